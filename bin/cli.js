@@ -4,425 +4,735 @@ const {Command} = require('commander');
 const program = new Command();
 const path = require('path');
 const fs = require('fs');
+const readline = require('readline/promises');
 
-const scanner = require('../lib/scanner');
+const api = require('../lib/index');
+const config = require('../lib/config');
 const suggestions = require('../lib/suggestions');
+const fixer = require('../lib/fixer');
+const {createUnifiedDiff} = require('../lib/diff');
+const baseline = require('../lib/baseline');
+const {toPosixPath, toReportPath, isURL} = require('../lib/glob');
+const {FORMATTERS, GROUP_BY, formatTable} = require('../lib/formatters');
+const {STANDARDS} = require('../lib/standards');
+const files = require('../lib/files');
+const severity = require('../lib/severity');
+const cache = require('../lib/cache');
+const crawler = require('../lib/crawler');
+const watcher = require('../lib/watcher');
+const history = require('../lib/history');
+const trendReport = require('../lib/trend-report');
 
 program
     .name('axcel')
     .description('An AI-powered Web Accessibility Scanning tool which scans HTML and CSS files for accessibility issues and provides AI suggestions to improve accessibility.')
-    .version('1.0.0');
+    .version('1.0.0')
+    .exitOverride(error => {
+        // Help and version output exit normally, anything else commander rejects is a usage error
+        process.exit(error.exitCode === 0 ? severity.EXIT_CODES.SUCCESS : severity.EXIT_CODES.USAGE_ERROR);
+    });
+
+// Report formats supported by the scan command
+const REPORT_FORMATS = Object.keys(FORMATTERS);
 
 program
     .command('scan')
     .description('Scan HTML and CSS files for accessibility issues')
     .argument('<input>', 'Path to the HTML/CSS file or directory')
-    .option('-r, --report <type>', 'Specify report format (json, html)', 'table')
+    .option('-r, --report <type>', 'Specify report format (table, json, html, sarif, markdown)')
     .option('-o, --output <file>', 'Save report to a file instead of displaying in terminal')
+    .option('--max-length <n>', 'Shorten the markdown report to this many characters, e.g. 65000 for a GitHub comment')
+    .option('--group-by <key>', `Group findings in html and markdown reports by ${GROUP_BY.join(', ')} (default file)`)
     .option('-a, --ai', 'Enable AI-driven accessibility suggestions')
-    .action(async (input, options) => {
+    .option('--no-ai', 'Disable AI-driven suggestions even if enabled in the config file')
+    .option('--ai-provider <name>', 'AI provider to use (gemini, openai, mock)')
+    .option('--ai-model <name>', 'Model name passed to the AI provider')
+    .option('--ai-base-url <url>', 'Base URL of an OpenAI-compatible endpoint (e.g. http://localhost:11434/v1)')
+    .option('--ai-timeout <ms>', 'Time to wait for each answer of an OpenAI-compatible endpoint in milliseconds')
+    .option('--no-cache', 'Do not read or write cached AI suggestions')
+    .option('--cache-dir <dir>', 'Directory for cached AI suggestions (default .axcel/cache)')
+    .option('-c, --config <file>', 'Path to a config file (defaults to the nearest .axcelrc, .axcelrc.json or axcel.config.js)')
+    .option('--tags <list>', 'Comma separated axe-core tags to run (e.g. wcag2a,wcag2aa)')
+    .option('--standard <name>', `Conformance standard that selects the rules, instead of --tags (${Object.keys(STANDARDS).join(', ')})`)
+    .option('--enable-rules <list>', 'Comma separated axe-core rule ids to enable')
+    .option('--disable-rules <list>', 'Comma separated axe-core rule ids to disable')
+    .option('--include <globs>', 'Comma separated globs of files to scan in directories')
+    .option('--exclude <globs>', 'Comma separated globs of files to skip in directories')
+    .option('--min-contrast <ratio>', 'Minimum contrast ratio required by the CSS contrast check')
+    .option('--palette <file>', 'Palette or design-token file (JSON, CSS, SCSS or Less) to pick compliant contrast colors from')
+    .option('-j, --concurrency <n>', 'Number of files to scan at the same time (default: number of CPUs)')
+    .option('--baseline <file>', 'Only report issues that are not in the baseline file, and issues fixed since')
+    .option('--update-baseline <file>', 'Record every current issue in a baseline file')
+    .option('--fail-on <impact>', 'Exit with code 1 when issues at or above this impact are found (critical, serious, moderate, minor)')
+    .option('--max-issues <n>', 'Number of issues at or above the --fail-on impact allowed before the scan fails')
+    .option('--report-unused-disables', 'Report axcel-disable comments that no longer suppress anything, and fail the scan if there are any')
+    .option('--history', 'Record the issues of this run in the scan history used by "axcel trend"')
+    .option('--no-history', 'Do not record this run even if history is enabled in the config file')
+    .option('--history-file <file>', 'History file to record runs in (default .axcel/history.jsonl)')
+    .action(async (input, cliOptions) => {
         try {
             if (!fs.existsSync(input)) {
                 console.error(`Error: The Specified path "${input}" does not exist.`);
-                process.exit(1);
+                process.exit(severity.EXIT_CODES.USAGE_ERROR);
             }
 
-            const stats = fs.statSync(input);
-            let results = [];
-
-            // Asynchronous recursive function to walk through directories and scan files
-            const walkDirectory = async (dir) => {
-                const files = fs.readdirSync(dir);
-                for (const file of files) {
-                    const fullPath = path.join(dir, file);
-                    const fileStats = fs.statSync(fullPath);
-                    if (fileStats.isDirectory()) {
-                        await walkDirectory(fullPath);
-                    } else if (['.html', '.css'].includes(path.extname(fullPath))) {
-                        console.log(`Scanning file: ${fullPath}`);
-                        const report = await scanner.scan(fullPath);
-                        results.push({file: fullPath, report});
-                    }
-                }
-            };
+            const options = loadOptions(cliOptions);
+            checkReportOptions(options, cliOptions);
+
+            const results = await scanInput(input, options);
+
+            // Baseline entries outside the scanned path are not reported as fixed
+            const scope = toPosixPath(path.relative(options.rootDir, path.resolve(input)));
+            const inScope = file => !scope || file === scope || file.startsWith(`${scope}/`);
+            await reportResults(results, options, cliOptions, {inScope, target: scope || '.'});
+        } catch (error) {
+            console.error("An error occurred during scanning:", error);
+            process.exit(severity.EXIT_CODES.SCAN_ERROR);
+        }
+    });
 
-            // Scan a single file or directory
-            if (stats.isFile()) {
-                console.log(`Scanning file: ${input}`);
-                try {
-                    const report = await scanner.scan(input);
-                    results.push({file: input, report});
-                } catch (error) {
-                    const errorReport = handleScanError(error, input);
-                    results.push({file: input, report: errorReport});
+program
+    .command('crawl')
+    .description('Crawl a running site and scan its pages for accessibility issues')
+    .argument('<url>', 'URL to start crawling from (e.g. http://localhost:3000)')
+    .option('--max-depth <n>', `Number of links to follow from the start page (default ${crawler.DEFAULT_MAX_DEPTH})`)
+    .option('--max-pages <n>', `Maximum number of pages to scan (default ${crawler.DEFAULT_MAX_PAGES})`)
+    .option('--no-sitemap', 'Do not read sitemap.xml for pages to scan')
+    .option('--no-robots', 'Ignore robots.txt')
+    .option('--timeout <ms>', 'Time to wait for each response in milliseconds (default 10000)')
+    .option('-r, --report <type>', 'Specify report format (table, json, html, sarif, markdown)')
+    .option('-o, --output <file>', 'Save report to a file instead of displaying in terminal')
+    .option('--max-length <n>', 'Shorten the markdown report to this many characters, e.g. 65000 for a GitHub comment')
+    .option('--group-by <key>', `Group findings in html and markdown reports by ${GROUP_BY.join(', ')} (default file)`)
+    .option('-a, --ai', 'Enable AI-driven accessibility suggestions')
+    .option('--no-ai', 'Disable AI-driven suggestions even if enabled in the config file')
+    .option('--ai-provider <name>', 'AI provider to use (gemini, openai, mock)')
+    .option('--ai-model <name>', 'Model name passed to the AI provider')
+    .option('--ai-base-url <url>', 'Base URL of an OpenAI-compatible endpoint (e.g. http://localhost:11434/v1)')
+    .option('--ai-timeout <ms>', 'Time to wait for each answer of an OpenAI-compatible endpoint in milliseconds')
+    .option('--no-cache', 'Do not read or write cached AI suggestions')
+    .option('--cache-dir <dir>', 'Directory for cached AI suggestions (default .axcel/cache)')
+    .option('-c, --config <file>', 'Path to a config file (defaults to the nearest .axcelrc, .axcelrc.json or axcel.config.js)')
+    .option('--tags <list>', 'Comma separated axe-core tags to run (e.g. wcag2a,wcag2aa)')
+    .option('--standard <name>', `Conformance standard that selects the rules, instead of --tags (${Object.keys(STANDARDS).join(', ')})`)
+    .option('--enable-rules <list>', 'Comma separated axe-core rule ids to enable')
+    .option('--disable-rules <list>', 'Comma separated axe-core rule ids to disable')
+    .option('--min-contrast <ratio>', 'Minimum contrast ratio required by the CSS contrast check')
+    .option('--palette <file>', 'Palette or design-token file (JSON, CSS, SCSS or Less) to pick compliant contrast colors from')
+    .option('--baseline <file>', 'Only report issues that are not in the baseline file, and issues fixed since')
+    .option('--update-baseline <file>', 'Record every current issue in a baseline file')
+    .option('--fail-on <impact>', 'Exit with code 1 when issues at or above this impact are found (critical, serious, moderate, minor)')
+    .option('--max-issues <n>', 'Number of issues at or above the --fail-on impact allowed before the scan fails')
+    .option('--report-unused-disables', 'Report axcel-disable comments that no longer suppress anything, and fail the scan if there are any')
+    .option('--history', 'Record the issues of this run in the scan history used by "axcel trend"')
+    .option('--no-history', 'Do not record this run even if history is enabled in the config file')
+    .option('--history-file <file>', 'History file to record runs in (default .axcel/history.jsonl)')
+    .action(async (url, cliOptions) => {
+        try {
+            const options = loadOptions(cliOptions);
+            checkReportOptions(options, cliOptions);
+
+            const limits = {};
+            for (const [name, flag] of [['maxDepth', '--max-depth'], ['maxPages', '--max-pages'], ['timeout', '--timeout']]) {
+                if (cliOptions[name] === undefined) continue;
+                const value = Number(cliOptions[name]);
+                if (!Number.isInteger(value) || value < (name === 'maxDepth' ? 0 : 1)) {
+                    console.error(`Error: ${flag} must be a whole number of ${name === 'maxDepth' ? 0 : 1} or more.`);
+                    process.exit(severity.EXIT_CODES.USAGE_ERROR);
                 }
-            } else if (stats.isDirectory()) {
-                console.log(`Scanning directory: ${input}`);
-
-                // Modified walkDirectory function with error handling
-                const walkDirectory = async (dir) => {
-                    const files = fs.readdirSync(dir);
-                    for (const file of files) {
-                        const fullPath = path.join(dir, file);
-                        const fileStats = fs.statSync(fullPath);
-                        if (fileStats.isDirectory()) {
-                            await walkDirectory(fullPath);
-                        } else if (['.html', '.css'].includes(path.extname(fullPath))) {
-                            console.log(`Scanning file: ${fullPath}`);
-                            try {
-                                const report = await scanner.scan(fullPath);
-                                results.push({file: fullPath, report});
-                            } catch (error) {
-                                const errorReport = handleScanError(error, fullPath);
-                                results.push({file: fullPath, report: errorReport});
-                            }
-                        }
-                    }
-                };
+                limits[name] = value;
+            }
+
+            let crawled;
+            try {
+                crawled = await api.crawlSite(url, {
+                    ...options,
+                    ...limits,
+                    sitemap: cliOptions.sitemap,
+                    robots: cliOptions.robots
+                }).on('progress', ({completed, file}) => process.stderr.write(`Scanned ${completed}: ${file}\n`));
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+                process.exit(severity.EXIT_CODES.USAGE_ERROR);
+            }
+
+            // Pages that could not be fetched or scanned count as scan errors
+            crawled.files.filter(report => report.error).forEach(report => {
+                console.error(`Warning: Could not scan ${report.file}: ${report.error}`);
+            });
+            crawled.skipped.forEach(page => console.error(`Skipped ${page.url}: ${page.reason}`));
 
-                await walkDirectory(input);
+            const results = crawled.files.map(report => ({file: report.file, report}));
+            if (results.length === 0) {
+                console.error(`Error: No pages could be scanned from ${url}.`);
+                process.exit(severity.EXIT_CODES.SCAN_ERROR);
             }
 
-            // If AI suggestions are enabled, add them to the report
-            if (options.ai) {
-                console.log("Generating AI-driven accessibility suggestions...");
-                for (let result of results) {
-                    const aiSuggestions = await suggestions.processReport(result.report);
-                    result.aiSuggestions = aiSuggestions;
+            // A crawl only covers the pages of its own site
+            const origin = new URL(url).origin;
+            await reportResults(results, options, cliOptions, {
+                inScope: file => isURL(file) && new URL(file).origin === origin,
+                target: url
+            });
+        } catch (error) {
+            console.error("An error occurred during crawling:", error);
+            process.exit(severity.EXIT_CODES.SCAN_ERROR);
+        }
+    });
+
+program
+    .command('watch')
+    .description('Watch a directory and rescan files as they change')
+    .argument('<dir>', 'Directory to watch')
+    .option('--debounce <ms>', `Time to wait after the last change before rescanning (default ${watcher.DEFAULT_DEBOUNCE})`)
+    .option('-a, --ai', 'Enable AI-driven accessibility suggestions, generated after each rescan')
+    .option('--no-ai', 'Disable AI-driven suggestions even if enabled in the config file')
+    .option('--ai-provider <name>', 'AI provider to use (gemini, openai, mock)')
+    .option('--ai-model <name>', 'Model name passed to the AI provider')
+    .option('--ai-base-url <url>', 'Base URL of an OpenAI-compatible endpoint (e.g. http://localhost:11434/v1)')
+    .option('--ai-timeout <ms>', 'Time to wait for each answer of an OpenAI-compatible endpoint in milliseconds')
+    .option('--no-cache', 'Do not read or write cached AI suggestions')
+    .option('--cache-dir <dir>', 'Directory for cached AI suggestions (default .axcel/cache)')
+    .option('-c, --config <file>', 'Path to a config file (defaults to the nearest .axcelrc, .axcelrc.json or axcel.config.js)')
+    .option('--tags <list>', 'Comma separated axe-core tags to run (e.g. wcag2a,wcag2aa)')
+    .option('--standard <name>', `Conformance standard that selects the rules, instead of --tags (${Object.keys(STANDARDS).join(', ')})`)
+    .option('--enable-rules <list>', 'Comma separated axe-core rule ids to enable')
+    .option('--disable-rules <list>', 'Comma separated axe-core rule ids to disable')
+    .option('--include <globs>', 'Comma separated globs of files to scan in directories')
+    .option('--exclude <globs>', 'Comma separated globs of files to skip in directories')
+    .option('--min-contrast <ratio>', 'Minimum contrast ratio required by the CSS contrast check')
+    .option('--palette <file>', 'Palette or design-token file (JSON, CSS, SCSS or Less) to pick compliant contrast colors from')
+    .option('-j, --concurrency <n>', 'Number of files to scan at the same time (default: number of CPUs)')
+    .action(async (dir, cliOptions) => {
+        try {
+            if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+                console.error(`Error: The Specified directory "${dir}" does not exist.`);
+                process.exit(severity.EXIT_CODES.USAGE_ERROR);
+            }
+
+            let debounce = watcher.DEFAULT_DEBOUNCE;
+            if (cliOptions.debounce !== undefined) {
+                debounce = Number(cliOptions.debounce);
+                if (!Number.isInteger(debounce) || debounce < 0) {
+                    console.error('Error: --debounce must be a whole number of milliseconds.');
+                    process.exit(severity.EXIT_CODES.USAGE_ERROR);
                 }
             }
 
-            // Process results for output
-            const outputResults = results.map(result => {
-                const output = {
-                    file: result.file,
-                    issues: result.report.issues || []
-                };
+            const options = loadOptions(cliOptions);
+            const suggestionCache = options.ai.enabled ? api.createSuggestionCache(options) : null;
+            const results = new Map((await scanInput(dir, options)).map(result => [result.file, result]));
+
+            // Each run bumps the generation, so AI suggestions for an older run are dropped
+            let generation = 0;
+            const render = (changes) => {
+                const current = [...results.values()].sort((a, b) => a.file.localeCompare(b.file));
+                printWatchView(dir, current, changes);
+            };
 
-                if (result.aiSuggestions) {
-                    output.aiSuggestions = result.aiSuggestions;
+            // Suggestions are only requested for files without them, after the table is shown,
+            // so a slow provider never holds up the next rescan
+            let pendingSuggestions = Promise.resolve();
+            const requestSuggestions = (runGeneration, changes) => {
+                pendingSuggestions = pendingSuggestions
+                    .then(() => addSuggestions(runGeneration, changes))
+                    .catch(error => console.error(`Warning: Could not generate AI suggestions: ${error.message}`));
+            };
+            const addSuggestions = async (runGeneration, changes) => {
+                if (!suggestionCache) return;
+                const missing = [...results.values()].filter(result => !result.report.aiSuggestions && !result.report.error && result.report.issues.length > 0);
+                if (missing.length === 0) return;
+
+                for (const result of missing) {
+                    if (runGeneration !== generation) return;
+                    await api.addSuggestions([result.report], options, suggestionCache);
                 }
+                if (runGeneration === generation) render(changes);
+            };
+
+            const rescan = async (changed) => {
+                const runGeneration = ++generation;
+                const {rescan: rescanFiles, removed} = watcher.findAffectedFiles(changed, results);
+                if (rescanFiles.length === 0 && removed.length === 0) return;
+
+                const previous = baseline.collectFindings([...results.values()], options.rootDir);
+                removed.forEach(file => results.delete(file));
 
-                return output;
+                const scanned = await api.scanPaths(rescanFiles, options);
+                scanned.files.forEach(report => {
+                    if (report.error) console.error(`Warning: Error scanning ${report.file}: ${report.error}`);
+                    results.set(report.file, {file: report.file, report});
+                });
+
+                const current = baseline.collectFindings([...results.values()], options.rootDir);
+                const changes = {files: [...rescanFiles, ...removed], ...watcher.diffFindings(previous, current)};
+                render(changes);
+                requestSuggestions(runGeneration, changes);
+            };
+
+            // Changes that arrive during a rescan are handled in the next one
+            const queued = new Set();
+            let scanning = false;
+            const stop = watcher.watchDirectory(dir, {
+                debounce,
+                filter: filePath => files.isScannable(filePath, options),
+                onChange: async (changed) => {
+                    changed.forEach(file => queued.add(file));
+                    if (scanning) return;
+                    scanning = true;
+                    try {
+                        while (queued.size > 0) {
+                            const batch = [...queued];
+                            queued.clear();
+                            await rescan(batch);
+                        }
+                    } catch (error) {
+                        console.error("An error occurred during scanning:", error);
+                    } finally {
+                        scanning = false;
+                    }
+                }
             });
 
-            // Generate the appropriate output based on the chosen format
-            let outputContent = '';
-
-            if (options.report === 'json') {
-                outputContent = JSON.stringify(outputResults, null, 2);
-            } else if (options.report === 'html') {
-                outputContent = generateHTMLReport(outputResults);
-            } else if (options.report === 'table') {
-                // Default to table format for terminal output
-                printTableReport(outputResults);
-                return; // Exit after printing to terminal
-            } else {
-                console.error("Error: Unsupported report format. Please use 'table', 'json', or 'html'.");
-                process.exit(1);
+            process.on('SIGINT', () => {
+                stop();
+                console.log('\nStopped watching.');
+                process.exit(severity.EXIT_CODES.SUCCESS);
+            });
+
+            render(null);
+            requestSuggestions(generation, null);
+        } catch (error) {
+            console.error("An error occurred during watching:", error);
+            process.exit(severity.EXIT_CODES.SCAN_ERROR);
+        }
+    });
+
+program
+    .command('fix')
+    .description('Apply suggested code fixes to HTML and CSS files in place')
+    .argument('<input>', 'Path to the HTML/CSS file or directory')
+    .option('--dry-run', 'Print a unified diff of the fixes instead of writing files')
+    .option('-y, --yes', 'Apply every fix without asking for confirmation')
+    .option('--no-backup', 'Do not write a .bak copy of each file before changing it')
+    .option('-a, --ai', 'Use AI-generated fixes instead of rule-based fixes')
+    .option('--no-ai', 'Use rule-based fixes even if AI is enabled in the config file')
+    .option('-j, --concurrency <n>', 'Number of files to scan at the same time (default: number of CPUs)')
+    .option('--palette <file>', 'Palette or design-token file (JSON, CSS, SCSS or Less) to pick compliant contrast colors from')
+    .option('--ai-provider <name>', 'AI provider to use (gemini, openai, mock)')
+    .option('--ai-model <name>', 'Model name passed to the AI provider')
+    .option('--ai-base-url <url>', 'Base URL of an OpenAI-compatible endpoint (e.g. http://localhost:11434/v1)')
+    .option('--ai-timeout <ms>', 'Time to wait for each answer of an OpenAI-compatible endpoint in milliseconds')
+    .option('--no-cache', 'Do not read or write cached AI suggestions')
+    .option('--cache-dir <dir>', 'Directory for cached AI suggestions (default .axcel/cache)')
+    .option('-c, --config <file>', 'Path to a config file (defaults to the nearest .axcelrc, .axcelrc.json or axcel.config.js)')
+    .action(async (input, cliOptions) => {
+        try {
+            if (!fs.existsSync(input)) {
+                console.error(`Error: The Specified path "${input}" does not exist.`);
+                process.exit(severity.EXIT_CODES.USAGE_ERROR);
+            }
+            if (!cliOptions.dryRun && !cliOptions.yes && !process.stdin.isTTY) {
+                console.error('Error: Cannot ask for confirmation without a terminal. Use --yes to apply all fixes or --dry-run to preview them.');
+                process.exit(severity.EXIT_CODES.USAGE_ERROR);
             }
 
-            // Output to file if specified, otherwise to console
-            if (options.output) {
-                fs.writeFileSync(options.output, outputContent);
-                console.log(`Report saved to ${options.output}`);
-            } else {
-                console.log(outputContent);
+            const options = loadOptions(cliOptions);
+            const results = await scanInput(input, options);
+            const prompt = cliOptions.dryRun || cliOptions.yes ? null : readline.createInterface({input: process.stdin, output: process.stdout});
+            const suggestionCache = options.ai.enabled ? api.createSuggestionCache(options) : null;
+            let applyAll = false;
+            let quit = false;
+            let appliedCount = 0;
+
+            try {
+                for (const result of results) {
+                    if (quit) break;
+                    if (result.report.error || !Array.isArray(result.report.issues) || result.report.issues.length === 0) continue;
+
+                    const fixSuggestions = options.ai.enabled ?
+                        await suggestions.processReport(result.report, options.ai, suggestionCache) :
+                        suggestions.generateRuleBasedSuggestions(result.report);
+                    const content = fs.readFileSync(result.file, 'utf-8');
+                    const {fixes, refused} = fixer.planFixes(result.report, fixSuggestions, content);
+
+                    refused.forEach(fix => {
+                        console.error(`Skipping ${fix.rule}${fix.target ? ` (${fix.target})` : ''} in ${result.file}: ${fix.reason}`);
+                    });
+
+                    // Ask for each fix unless all fixes were accepted
+                    const accepted = [];
+                    for (const fix of fixes) {
+                        if (prompt && !applyAll) {
+                            console.log(`\n${result.file}:${fix.line}:${fix.column} ${fix.rule}`);
+                            console.log(`  ${fix.suggestion}`);
+                            process.stdout.write(createUnifiedDiff(result.file, content, fixer.applyFixes(content, [fix])));
+                            const answer = (await prompt.question('Apply this fix? [y]es, [n]o, [a]ll, [q]uit: ')).trim().toLowerCase();
+                            if (answer === 'q') {
+                                quit = true;
+                                break;
+                            }
+                            if (answer === 'a') applyAll = true;
+                            if (answer !== 'y' && answer !== 'a') continue;
+                        }
+                        accepted.push(fix);
+                    }
+
+                    if (accepted.length === 0) continue;
+                    const fixedContent = fixer.applyFixes(content, accepted);
+
+                    if (cliOptions.dryRun) {
+                        process.stdout.write(createUnifiedDiff(result.file, content, fixedContent));
+                    } else {
+                        if (cliOptions.backup) {
+                            fs.writeFileSync(`${result.file}.bak`, content);
+                        }
+                        fs.writeFileSync(result.file, fixedContent);
+                        console.error(`Applied ${accepted.length} fix(es) to ${result.file}`);
+                    }
+                    appliedCount += accepted.length;
+                }
+            } finally {
+                if (prompt) prompt.close();
             }
+
+            console.error(`\n${cliOptions.dryRun ? 'Fixes available' : 'Fixes applied'}: ${appliedCount}`);
         } catch (error) {
-            console.error("An error occurred during scanning:", error);
-            process.exit(1);
+            console.error("An error occurred while fixing:", error);
+            process.exit(severity.EXIT_CODES.SCAN_ERROR);
+        }
+    });
+
+program
+    .command('trend')
+    .description('Show how issue counts changed across the runs recorded with --history')
+    .option('--by <dimension>', `Break the counts down by ${history.DIMENSIONS.join(', ')} (default impact)`)
+    .option('--last <n>', 'Only show the last n runs')
+    .option('--top <n>', `Number of rules or directories shown in the table and chart, the rest are counted as other (default ${trendReport.DEFAULT_TOP})`)
+    .option('--target <path>', 'Only show runs that scanned this path or URL')
+    .option('--compare <runs>', 'List the issues fixed and regressed between two runs, e.g. 3..7, -2..-1 or two commits (a1b2c3d..e4f5a6b)')
+    .option('-r, --report <type>', 'Output format (table, csv, html)')
+    .option('-o, --output <file>', 'Save the trend to a file instead of displaying in terminal')
+    .option('--history-file <file>', 'History file to read (default .axcel/history.jsonl)')
+    .option('-c, --config <file>', 'Path to a config file (defaults to the nearest .axcelrc, .axcelrc.json or axcel.config.js)')
+    .action((cliOptions) => {
+        const options = loadOptions({config: cliOptions.config, historyFile: cliOptions.historyFile});
+        const dimension = cliOptions.by || 'impact';
+        const format = cliOptions.report || 'table';
+        if (!history.DIMENSIONS.includes(dimension)) {
+            console.error(`Error: Unknown dimension "${dimension}". Use ${history.DIMENSIONS.join(', ')}.`);
+            process.exit(severity.EXIT_CODES.USAGE_ERROR);
+        }
+        if (!['table', 'csv', 'html'].includes(format)) {
+            console.error("Error: Unsupported trend format. Please use 'table', 'csv' or 'html'.");
+            process.exit(severity.EXIT_CODES.USAGE_ERROR);
+        }
+        for (const [name, flag] of [['last', '--last'], ['top', '--top']]) {
+            if (cliOptions[name] !== undefined && !(Number.isInteger(Number(cliOptions[name])) && Number(cliOptions[name]) >= 1)) {
+                console.error(`Error: ${flag} must be a whole number of 1 or more.`);
+                process.exit(severity.EXIT_CODES.USAGE_ERROR);
+            }
+        }
+
+        let runs;
+        try {
+            runs = history.readHistory(history.resolveHistoryFile(options));
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(severity.EXIT_CODES.USAGE_ERROR);
+        }
+
+        if (cliOptions.compare) {
+            printRunComparison(runs, cliOptions.compare);
+            return;
+        }
+
+        if (cliOptions.target) {
+            const target = isURL(cliOptions.target) ? cliOptions.target : toPosixPath(path.relative(options.rootDir, path.resolve(cliOptions.target))) || '.';
+            runs = runs.filter(run => run.target === target);
+        }
+        const shown = cliOptions.last ? runs.slice(-Number(cliOptions.last)) : runs;
+        const series = history.buildSeries(shown, dimension);
+        const top = cliOptions.top ? Number(cliOptions.top) : trendReport.DEFAULT_TOP;
+
+        if (format === 'table') {
+            console.log(trendReport.formatTrendTable(series, {top}));
+            return;
+        }
+
+        const outputContent = format === 'csv' ? trendReport.formatTrendCSV(series) : trendReport.formatTrendHTML(series, {top});
+        if (cliOptions.output) {
+            fs.writeFileSync(cliOptions.output, outputContent);
+            console.log(`Trend saved to ${cliOptions.output}`);
+        } else {
+            process.stdout.write(outputContent);
         }
     });
 
-// Generates an HTML report from scan results
-function generateHTMLReport(results) {
-    return `
-        <html>
-            <head>
-                <title>Accessibility Scan Report</title>
-                <style>
-                    body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; }
-                    h1, h2, h3, h4 { color: #333; margin-top: 1.5em; }
-                    .file { margin-bottom: 30px; border: 1px solid #ddd; padding: 20px; border-radius: 5px; }
-                    .issue { margin-bottom: 25px; border-left: 4px solid #e74c3c; padding-left: 15px; }
-                    .suggestion { margin-top: 15px; border-left: 4px solid #3498db; padding-left: 15px; }
-                    pre { background: #f8f8f8; padding: 15px; border-radius: 5px; overflow: auto; font-family: monospace; white-space: pre; margin: 10px 0; }
-                    .impact-critical { color: #e74c3c; }
-                    .impact-serious { color: #e67e22; }
-                    .impact-moderate { color: #f39c12; }
-                    .impact-minor { color: #2ecc71; }
-                </style>
-            </head>
-            <body>
-                <h1>Accessibility Scan Report</h1>
-                ${results.map(result => `
-                    <div class="file">
-                        <h2>File: ${result.file}</h2>
-                        <h3>Issues:</h3>
-                        ${result.issues.length === 0 ? '<p>No issues found!</p>' : result.issues.map(issue => {
-        if (issue.id) {
-            // HTML issue
-            return `
-                                <div class="issue">
-                                    <h4 class="impact-${issue.impact || 'moderate'}">${escapeHTML(issue.id)}: ${escapeHTML(issue.description || '')}</h4>
-                                    <p>${escapeHTML(issue.help || '')}</p>
-                                    ${issue.nodes && issue.nodes[0] ? `<pre>${escapeHTML(issue.nodes[0].html)}</pre>` : ''}
-                                    
-                                    ${result.aiSuggestions && result.aiSuggestions.html ?
-                result.aiSuggestions.html
-                    .filter(s => s.ruleId === issue.id)
-                    .map(suggestion => `
-                                          <div class="suggestion">
-                                              <h4>Suggestion:</h4>
-                                              <p>${escapeHTML(suggestion.suggestion)}</p>
-                                              <pre>${escapeHTML(suggestion.codeFix)}</pre>
-                                          </div>
-                                        `).join('') : ''}
-                                </div>`;
-        } else if (issue.selector) {
-            // CSS issue
-            return `
-                                <div class="issue">
-                                    <h4 class="impact-moderate">${escapeHTML(issue.selector)}:</h4>
-                                    ${issue.issues ? issue.issues.map(cssIssue => `
-                                    <p>${escapeHTML(cssIssue.message)}</p>
-                                    `).join('') : ''}
-                                    
-                                    ${result.aiSuggestions && result.aiSuggestions.css ?
-                result.aiSuggestions.css
-                    .filter(s => s.selector === issue.selector)
-                    .map(suggestion => `
-                                        <div class="suggestion">
-                                            <h4>Suggestion:</h4>
-                                            <p>${escapeHTML(suggestion.suggestion)}</p>
-                                            <pre>${escapeHTML(suggestion.codeFix)}</pre>
-                                        </div>
-                                        `).join('') : ''}
-                                </div>`;
+program
+    .command('cache')
+    .description('Manage the on-disk cache of AI suggestions')
+    .argument('<action>', 'clear or stats')
+    .option('--cache-dir <dir>', 'Directory for cached AI suggestions (default .axcel/cache)')
+    .option('-c, --config <file>', 'Path to a config file (defaults to the nearest .axcelrc, .axcelrc.json or axcel.config.js)')
+    .action((action, cliOptions) => {
+        const options = loadOptions(cliOptions);
+        const dir = cache.resolveCacheDir(options);
+
+        if (action === 'clear') {
+            const removed = cache.clearCache(dir);
+            console.log(`Removed ${removed} cached suggestion(s) from ${dir}`);
+        } else if (action === 'stats') {
+            const stats = cache.getCacheStats(dir);
+            console.log(`Cache directory: ${stats.dir}`);
+            console.log(`Entries: ${stats.entries}`);
+            console.log(`Size: ${(stats.bytes / 1024).toFixed(1)} KB`);
+            if (stats.entries > 0) {
+                console.log(`Oldest entry: ${stats.oldest.toISOString()}`);
+                console.log(`Newest entry: ${stats.newest.toISOString()}`);
+            }
+        } else {
+            console.error(`Error: Unknown cache action "${action}". Use "clear" or "stats".`);
+            process.exit(severity.EXIT_CODES.USAGE_ERROR);
         }
-    }).join('')}
-                    </div>
-                `).join('')}
-            </body>
-        </html>
-    `;
+    });
+
+// Loads the project config and lets CLI flags override it
+function loadOptions(cliOptions) {
+    let options;
+    try {
+        options = config.applyCliOptions(config.loadConfig(cliOptions.config), cliOptions);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(severity.EXIT_CODES.USAGE_ERROR);
+    }
+    if (options.filepath) {
+        console.error(`Using config file: ${options.filepath}`);
+    }
+    return options;
 }
 
-function escapeHTML(text) {
-    if (!text) return '';
-    return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
+// Prints the issues fixed and regressed between two recorded runs, given as "from..to" or a single run compared with the latest
+function printRunComparison(runs, refs) {
+    const [fromRef, toRef = '-1'] = refs.split('..');
+    let from;
+    let to;
+    try {
+        from = history.findRun(runs, fromRef);
+        to = history.findRun(runs, toRef);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(severity.EXIT_CODES.USAGE_ERROR);
+    }
+
+    const describe = run => `run ${run.id} (${run.timestamp}${run.commit ? `, ${run.commit.slice(0, 7)}` : ''})`;
+    const {fixed, regressed, unchanged} = history.compareRuns(from, to);
+    console.log(`From ${describe(from)} to ${describe(to)}: ${fixed.length} fixed, ${regressed.length} regressed, ${unchanged.length} unchanged`);
+    fixed.forEach(issue => console.log(`  Fixed: ${issue.file} ${issue.rule} ${issue.target}`));
+    regressed.forEach(issue => console.log(`  Regressed: ${issue.file} ${issue.rule} ${issue.target}`));
 }
 
-// Prints a formatted table report to the console
-function printTableReport(results) {
-    // Get terminal width for better formatting
-    let terminalWidth = process.stdout.columns || 120;
-    terminalWidth = Math.min(terminalWidth, 140);
-
-    const columnWidths = {
-        file: Math.floor(terminalWidth * 0.15),
-        issue: Math.floor(terminalWidth * 0.12),
-        impact: Math.floor(terminalWidth * 0.08),
-        description: Math.floor(terminalWidth * 0.32),
-        suggestion: Math.floor(terminalWidth * 0.33)
-    };
+// Prints how many AI requests the cache saved
+function printCacheUsage(stats) {
+    if (stats.enabled) {
+        console.error(`AI cache: ${stats.hits} hit(s), ${stats.misses} request(s)`);
+    }
+}
 
-    // Get total width for separators (add 4 for the | separators)
-    const totalWidth = Object.values(columnWidths).reduce((a, b) => a + b, 0) + 4;
+// Exits with a usage error for an unknown report format or an invalid --max-length
+function checkReportOptions(options, cliOptions) {
+    if (!REPORT_FORMATS.includes(options.report)) {
+        console.error(`Error: Unsupported report format. Please use ${REPORT_FORMATS.map(format => `'${format}'`).join(', ')}.`);
+        process.exit(severity.EXIT_CODES.USAGE_ERROR);
+    }
+    if (cliOptions.maxLength !== undefined && !(Number.isInteger(Number(cliOptions.maxLength)) && Number(cliOptions.maxLength) > 0)) {
+        console.error('Error: --max-length must be a whole number of characters.');
+        process.exit(severity.EXIT_CODES.USAGE_ERROR);
+    }
+    if (cliOptions.groupBy !== undefined && !GROUP_BY.includes(cliOptions.groupBy)) {
+        console.error(`Error: --group-by must be one of: ${GROUP_BY.join(', ')}.`);
+        process.exit(severity.EXIT_CODES.USAGE_ERROR);
+    }
+}
 
-    // Print table header
-    console.log('\n' + '='.repeat(totalWidth));
-    console.log('ACCESSIBILITY SCAN REPORT');
-    console.log('='.repeat(totalWidth));
+// Scans a single file or every included file in a directory, returning [{file, report}] in file order
+async function scanInput(input, options) {
+    const progress = createProgress();
+    const scanned = await api.scanPaths([input], options)
+        .on('start', ({total}) => {
+            if (fs.statSync(input).isDirectory()) {
+                console.error(`Scanning directory: ${input} (${total} files)`);
+            }
+        })
+        .on('progress', ({completed, total, file}) => progress.update(completed, total, file));
+    progress.done();
 
-    // Function to wrap text to fit within column width
-    const wrapText = (text, maxWidth) => {
-        if (!text || text.length <= maxWidth) return [text || ''];
+    scanned.files.filter(report => report.error).forEach(report => {
+        console.error(`Warning: Error scanning ${report.file}: ${report.error}`);
+    });
+    return scanned.files.map(report => ({file: report.file, report}));
+}
 
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
+// Reports scan progress on stderr, so it never mixes with a report written to stdout.
+// Terminals get a single updating line, logs get one line per file.
+function createProgress() {
+    const interactive = Boolean(process.stderr.isTTY);
+    let lastLength = 0;
 
-        words.forEach(word => {
-            if ((currentLine + ' ' + word).length <= maxWidth) {
-                currentLine += (currentLine ? ' ' : '') + word;
+    return {
+        update(completed, total, filePath) {
+            const line = `Scanned ${completed}/${total}: ${filePath}`;
+            if (interactive) {
+                process.stderr.write(`\r${line.padEnd(lastLength)}`);
+                lastLength = line.length;
             } else {
-                if (currentLine) lines.push(currentLine);
-                currentLine = word.length > maxWidth ? word.substring(0, maxWidth - 3) + '...' : word;
+                process.stderr.write(`${line}\n`);
             }
-        });
-
-        if (currentLine) lines.push(currentLine);
-        return lines;
-    };
-
-    // Format a row with proper column widths
-    const formatRow = (file, issue, impact, description, suggestion) => {
-        const wrappedDesc = wrapText(description, columnWidths.description);
-        const wrappedSuggestion = wrapText(suggestion, columnWidths.suggestion);
-
-        // Calculate the maximum number of lines needed
-        const maxLines = Math.max(1, wrappedDesc.length, wrappedSuggestion.length);
-
-        if (maxLines === 1) {
-            return [
-                file.substring(0, columnWidths.file).padEnd(columnWidths.file),
-                issue.substring(0, columnWidths.issue).padEnd(columnWidths.issue),
-                impact.substring(0, columnWidths.impact).padEnd(columnWidths.impact),
-                description.substring(0, columnWidths.description).padEnd(columnWidths.description),
-                suggestion.substring(0, columnWidths.suggestion).padEnd(columnWidths.suggestion)
-            ].join('|');
-        } else {
-            // Multiple lines case
-            const lines = [];
-            for (let i = 0; i < maxLines; i++) {
-                const line = [
-                    i === 0 ? file.substring(0, columnWidths.file).padEnd(columnWidths.file) : ''.padEnd(columnWidths.file),
-                    i === 0 ? issue.substring(0, columnWidths.issue).padEnd(columnWidths.issue) : ''.padEnd(columnWidths.issue),
-                    i === 0 ? impact.substring(0, columnWidths.impact).padEnd(columnWidths.impact) : ''.padEnd(columnWidths.impact),
-                    (wrappedDesc[i] || '').padEnd(columnWidths.description),
-                    (wrappedSuggestion[i] || '').padEnd(columnWidths.suggestion)
-                ].join('|');
-                lines.push(line);
+        },
+        done() {
+            if (interactive && lastLength > 0) {
+                process.stderr.write('\n');
             }
-            return lines.join('\n');
         }
     };
+}
 
-    // Print column headers
-    console.log(formatRow('FILE', 'ISSUE', 'IMPACT', 'DESCRIPTION', 'SUGGESTION'));
-    console.log('-'.repeat(totalWidth));
-
-    // For each result file
-    results.forEach(result => {
-        const fileName = path.basename(result.file);
-
-        // Process HTML issues
-        if (result.issues && Array.isArray(result.issues)) {
-            result.issues.forEach(issue => {
-                // Handle regular issues (HTML)
-                if (issue.id) {
-                    const issueName = issue.id;
-                    const impact = issue.impact || 'N/A';
-                    const description = issue.description || issue.help || 'No description';
-
-                    // Find matching suggestion if AI is enabled
-                    let suggestion = 'No AI suggestion available';
-                    if (result.aiSuggestions && result.aiSuggestions.html) {
-                        const matchingSuggestion = result.aiSuggestions.html.find(s => s.ruleId === issue.id);
-                        if (matchingSuggestion) {
-                            suggestion = matchingSuggestion.suggestion;
-                        }
-                    }
-
-                    console.log(formatRow(fileName, issueName, impact, description, suggestion));
-
-                    // If there are nodes affected, print them indented
-                    if (issue.nodes && issue.nodes.length > 0) {
-                        console.log(`    Affected element: ${issue.nodes[0].html.substring(0, Math.min(totalWidth - 20, 100))}${issue.nodes[0].html.length > Math.min(totalWidth - 20, 100) ? '...' : ''}`);
-
-                        // Print code fix if available
-                        if (result.aiSuggestions && result.aiSuggestions.html) {
-                            const matchingSuggestion = result.aiSuggestions.html.find(s => s.ruleId === issue.id);
-                            if (matchingSuggestion && matchingSuggestion.codeFix) {
-                                const codeFixLines = matchingSuggestion.codeFix.split('\n');
-                                if (codeFixLines.length === 1 || codeFixLines.length === 2) {
-                                    console.log(`    Suggested fix: ${matchingSuggestion.codeFix.substring(0, Math.min(totalWidth - 20, 120))}${matchingSuggestion.codeFix.length > Math.min(totalWidth - 20, 120) ? '...' : ''}`);
-                                } else {
-                                    // For longer fixes, show on multiple lines with limited width
-                                    console.log(`    Suggested fix:`);
-                                    codeFixLines.slice(0, 4).forEach(line => {
-                                        console.log(`      ${line.substring(0, Math.min(totalWidth - 6, 100))}`);
-                                    });
-                                    if (codeFixLines.length > 4) {
-                                        console.log(`      ...`);
-                                    }
-                                }
-                            }
-                        }
-
-                        console.log('-'.repeat(totalWidth));
-                    }
-                }
-                // Handle CSS issues
-                else if (issue.selector) {
-                    issue.issues.forEach(cssIssue => {
-                        const issueName = cssIssue.type;
-                        const impact = 'N/A';
-                        const description = cssIssue.message || 'No description';
-
-                        // Find matching suggestion if AI is enabled
-                        let suggestion = 'No AI suggestion available';
-                        if (result.aiSuggestions && result.aiSuggestions.css) {
-                            const matchingSuggestion = result.aiSuggestions.css.find(s =>
-                                s.selector === issue.selector && s.type === cssIssue.type);
-                            if (matchingSuggestion) {
-                                suggestion = matchingSuggestion.suggestion;
-                            }
-                        }
+// Redraws the watch mode view: the current issues and what the last rescan added or resolved
+function printWatchView(dir, results, changes) {
+    if (process.stdout.isTTY) {
+        process.stdout.write('\x1B[2J\x1B[H');
+    }
+
+    const issueCount = baseline.collectFindings(results).length;
+    console.log(`[${new Date().toLocaleTimeString()}] Watching ${dir}: ${results.length} file(s), ${issueCount} issue(s)`);
+
+    console.log(formatTable(results.map(result => ({
+        file: result.file,
+        issues: result.report.issues,
+        ...(result.report.aiSuggestions ? {aiSuggestions: result.report.aiSuggestions} : {})
+    })), {footer: false}));
+
+    if (changes) {
+        console.log(`\nRescanned ${changes.files.length} file(s): ${changes.added.length} added, ${changes.resolved.length} resolved`);
+        changes.added.forEach(issue => {
+            console.log(`  + ${issue.file} ${issue.rule} ${issue.target}`);
+        });
+        changes.resolved.forEach(issue => {
+            console.log(`  - ${issue.file} ${issue.rule} ${issue.target}`);
+        });
+    }
+    console.log('\nWaiting for changes. Press Ctrl+C to stop.');
+}
 
-                        console.log(formatRow(fileName, issueName, impact, description, suggestion));
+// Handles the results of a scan or crawl: history, baselines, the exit code, AI suggestions and the report output.
+// inScope tells which baseline entries the scan covered, so entries outside it are not reported as fixed,
+// and target is the scanned path or URL recorded in the history.
+async function reportResults(results, options, cliOptions, {inScope, target}) {
+    let baselineComparison = null;
+
+    // Record every current issue in the scan history
+    if (options.history.enabled) {
+        const historyFile = history.resolveHistoryFile(options);
+        const run = history.createRun(results, {rootDir: options.rootDir, target});
+        history.appendRun(historyFile, run);
+        console.error(`Recorded run with ${run.issues.length} issue(s) in ${historyFile}`);
+    }
+
+    // Record the current issues as the new baseline
+    if (cliOptions.updateBaseline) {
+        const findings = baseline.collectFindings(results, options.rootDir);
+        baseline.writeBaseline(cliOptions.updateBaseline, findings);
+        console.error(`Baseline saved to ${cliOptions.updateBaseline} (${findings.length} issues)`);
+    }
+
+    // Compare with an existing baseline and keep only the new issues
+    if (cliOptions.baseline) {
+        let knownIssues;
+        try {
+            knownIssues = baseline.readBaseline(cliOptions.baseline);
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(severity.EXIT_CODES.USAGE_ERROR);
+        }
 
-                        // Print the selector and declaration
-                        console.log(`    Selector: ${issue.selector}`);
-                        if (cssIssue.declaration) {
-                            console.log(`    Declaration: ${cssIssue.declaration}`);
-                        } else if (cssIssue.declarations) {
-                            Object.entries(cssIssue.declarations).forEach(([prop, value]) => {
-                                console.log(`    ${prop}: ${value}`);
-                            });
-                        }
+        baselineComparison = baseline.compareWithBaseline(baseline.collectFindings(results, options.rootDir), knownIssues, inScope);
+        results = baseline.filterResults(results, baselineComparison.newIssues, options.rootDir);
 
-                        // Print code fix if available
-                        if (result.aiSuggestions && result.aiSuggestions.css) {
-                            const matchingSuggestion = result.aiSuggestions.css.find(s =>
-                                s.selector === issue.selector && s.type === cssIssue.type);
-                            if (matchingSuggestion && matchingSuggestion.codeFix) {
-                                const codeFixLines = matchingSuggestion.codeFix.split('\n');
-                                if (codeFixLines.length <= 2) {
-                                    // For short fixes, show on a single line
-                                    const codeFix = matchingSuggestion.codeFix.replace(/\n/g, ' ').substring(0, Math.min(totalWidth - 20, 120));
-                                    console.log(`    Suggested fix: ${codeFix}${matchingSuggestion.codeFix.length > Math.min(totalWidth - 20, 120) ? '...' : ''}`);
-                                } else {
-                                    // For longer fixes, show on multiple lines
-                                    console.log(`    Suggested fix:`);
-                                    codeFixLines.slice(0, 4).forEach(line => {
-                                        console.log(`      ${line.substring(0, Math.min(totalWidth - 6, 100))}`);
-                                    });
-                                    if (codeFixLines.length > 4) {
-                                        console.log(`      ...`);
-                                    }
-                                }
-                            }
-                        }
+        console.error(`Baseline comparison: ${baselineComparison.newIssues.length} new, ${baselineComparison.fixedIssues.length} fixed, ${baselineComparison.unchanged.length} unchanged`);
+        baselineComparison.fixedIssues.forEach(issue => {
+            console.error(`  Fixed: ${issue.file} ${issue.rule} ${issue.target}`);
+        });
+    }
+
+    // Decide the exit code. With a baseline any new issue fails unless a threshold is set.
+    const gateOptions = cliOptions.baseline && !options.failOn && options.maxIssues === null ?
+        {failOn: 'minor', maxIssues: 0} :
+        {failOn: options.failOn, maxIssues: options.maxIssues};
+    const gate = severity.evaluateGate(results, gateOptions);
+    const scanErrors = results.filter(result => result.report.error);
+
+    // Suppression comments without a reason (or an axcel-enable without axcel-disable) suppress nothing
+    results.forEach(result => (result.report.invalidSuppressions || []).forEach(problem => {
+        console.error(`Warning: ${toReportPath(options.rootDir, result.file)}:${problem.line}: ${problem.message}`);
+    }));
+    const unusedCount = cliOptions.reportUnusedDisables ?
+        results.reduce((count, result) => count + (result.report.unusedSuppressions || []).length, 0) :
+        0;
+
+    if (scanErrors.length > 0) {
+        console.error(`${scanErrors.length} file(s) could not be scanned.`);
+        process.exitCode = severity.EXIT_CODES.SCAN_ERROR;
+    } else if (gate.failed) {
+        console.error(`Found ${gate.count} issue(s) with impact "${gate.threshold}" or higher (maximum allowed: ${gate.maxIssues}).`);
+        process.exitCode = severity.EXIT_CODES.VIOLATIONS;
+    }
+    if (unusedCount > 0) {
+        console.error(`Found ${unusedCount} unused suppression comment(s).`);
+        if (scanErrors.length === 0) process.exitCode = severity.EXIT_CODES.VIOLATIONS;
+    }
+
+    // If AI suggestions are enabled, add them to the report
+    if (options.ai.enabled) {
+        console.error("Generating AI-driven accessibility suggestions...");
+        printCacheUsage(await api.addSuggestions(results.map(result => result.report), options));
+    }
+
+    // Process results for output
+    const outputResults = results.map(result => {
+        const {unusedSuppressions, ...report} = result.report;
+        const output = {...report, file: result.file};
+
+        if (cliOptions.reportUnusedDisables && unusedSuppressions && unusedSuppressions.length > 0) {
+            output.unusedSuppressions = unusedSuppressions;
+        }
 
-                        console.log('-'.repeat(totalWidth));
-                    });
-                }
-            });
+        if (baselineComparison) {
+            const file = toReportPath(options.rootDir, result.file);
+            output.fixedIssues = baselineComparison.fixedIssues.filter(issue => issue.file === file);
         }
+
+        return output;
     });
 
-    console.log('\nScan complete. Use --report=json or --report=html with --output=filename.ext to save full reports with AI suggestions.');
-}
+    if (options.report === 'table') {
+        // Table output is for the terminal only
+        console.log(formatTable(outputResults));
+        return;
+    }
 
-// Handles errors during the scanning process
-function handleScanError(error, filePath) {
-    console.error(`Warning: Error scanning ${filePath}: ${error.message}`);
+    const outputContent = api.formatReport(options.report, outputResults, {
+        rootDir: options.rootDir,
+        maxLength: cliOptions.maxLength === undefined ? null : Number(cliOptions.maxLength),
+        groupBy: cliOptions.groupBy
+    });
 
-    // Create a minimal report object with error information
-    return {
-        file: filePath,
-        type: path.extname(filePath).toLowerCase() === '.html' ? 'html' : 'css',
-        issues: [],
-        error: error.message
-    };
+    // Output to file if specified, otherwise to console
+    if (options.output) {
+        fs.writeFileSync(options.output, outputContent);
+        console.log(`Report saved to ${options.output}`);
+    } else {
+        console.log(outputContent);
+    }
 }
 
 program.parse(process.argv);
\ No newline at end of file
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const {toReportPath} = require('./glob');
+
+// Baseline files record the issues that already exist so CI only fails on new ones.
+// Every issue is identified by a fingerprint of its file, rule and element target or CSS selector.
+
+const BASELINE_VERSION = 1;
+
+// Builds the stable fingerprint of a single finding.
+function fingerprint(file, rule, target) {
+    return crypto.createHash('sha1')
+        .update(`${file}\n${rule}\n${target}`)
+        .digest('hex');
+}
+
+// Flattens scan results into one finding per affected HTML element or CSS issue.
+// File paths are stored relative to the root directory so baselines work on every machine.
+function collectFindings(results, rootDir = process.cwd()) {
+    const findings = [];
+
+    for (const result of results) {
+        const report = result.report || result;
+        const file = toReportPath(rootDir, result.file);
+
+        for (const issue of report.issues || []) {
+            if (issue.id) {
+                for (const node of issue.nodes || []) {
+                    const target = Array.isArray(node.target) ? node.target.join(' ') : String(node.target || '');
+                    findings.push({
+                        fingerprint: fingerprint(file, issue.id, target),
+                        file,
+                        rule: issue.id,
+                        target,
+                        impact: issue.impact,
+                        message: issue.help || issue.description || ''
+                    });
+                }
+            } else if (issue.selector) {
+                for (const cssIssue of issue.issues || []) {
+                    findings.push({
+                        fingerprint: fingerprint(file, cssIssue.type, issue.selector),
+                        file,
+                        rule: cssIssue.type,
+                        target: issue.selector,
+                        impact: cssIssue.impact,
+                        message: cssIssue.message || ''
+                    });
+                }
+            }
+        }
+    }
+
+    return findings;
+}
+
+// Writes a baseline file recording the given findings.
+function writeBaseline(baselinePath, findings) {
+    const baseline = {
+        version: BASELINE_VERSION,
+        createdAt: new Date().toISOString(),
+        issues: findings
+            .map(({fingerprint, file, rule, target}) => ({fingerprint, file, rule, target}))
+            .sort((a, b) => a.file.localeCompare(b.file) || a.rule.localeCompare(b.rule) || a.target.localeCompare(b.target))
+    };
+    fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+    return baseline;
+}
+
+// Reads a baseline file written by writeBaseline.
+function readBaseline(baselinePath) {
+    if (!fs.existsSync(baselinePath)) {
+        throw new Error(`Baseline file "${baselinePath}" does not exist.`);
+    }
+
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid baseline file "${baselinePath}": ${error.message}`);
+    }
+    if (!Array.isArray(baseline.issues)) {
+        throw new Error(`Invalid baseline file "${baselinePath}": missing "issues" list.`);
+    }
+    return baseline;
+}
+
+// Compares current findings with a baseline. Fingerprints are counted, so a second copy of a
+// known issue on the same target is still reported as new. Only baseline entries accepted by
+// the scope filter (the files that were scanned) can be reported as fixed.
+function compareWithBaseline(findings, baseline, inScope = () => true) {
+    const remaining = new Map();
+    for (const entry of baseline.issues) {
+        remaining.set(entry.fingerprint, [...(remaining.get(entry.fingerprint) || []), entry]);
+    }
+
+    const newIssues = [];
+    const unchanged = [];
+    for (const finding of findings) {
+        const known = remaining.get(finding.fingerprint);
+        if (known && known.length > 0) {
+            known.pop();
+            unchanged.push(finding);
+        } else {
+            newIssues.push(finding);
+        }
+    }
+
+    const fixedIssues = [...remaining.values()].flat().filter(entry => inScope(entry.file));
+
+    return {newIssues, fixedIssues, unchanged};
+}
+
+// Removes every issue from the scan results that is not in the given list of new findings.
+function filterResults(results, newIssues, rootDir = process.cwd()) {
+    const newFingerprints = new Map();
+    newIssues.forEach(finding => newFingerprints.set(finding.fingerprint, (newFingerprints.get(finding.fingerprint) || 0) + 1));
+
+    // Consumes one occurrence of a fingerprint, mirroring how compareWithBaseline counts them
+    const isNew = (print) => {
+        const count = newFingerprints.get(print) || 0;
+        if (count === 0) return false;
+        newFingerprints.set(print, count - 1);
+        return true;
+    };
+
+    return results.map(result => {
+        const file = toReportPath(rootDir, result.file);
+        const issues = [];
+
+        for (const issue of result.report.issues || []) {
+            if (issue.id) {
+                const nodes = (issue.nodes || []).filter(node => {
+                    const target = Array.isArray(node.target) ? node.target.join(' ') : String(node.target || '');
+                    return isNew(fingerprint(file, issue.id, target));
+                });
+                if (nodes.length > 0) issues.push({...issue, nodes});
+            } else if (issue.selector) {
+                const cssIssues = (issue.issues || []).filter(cssIssue => isNew(fingerprint(file, cssIssue.type, issue.selector)));
+                if (cssIssues.length > 0) issues.push({...issue, issues: cssIssues});
+            }
+        }
+
+        return {...result, report: {...result.report, issues}};
+    });
+}
+
+module.exports = {
+    fingerprint,
+    collectFindings,
+    writeBaseline,
+    readBaseline,
+    compareWithBaseline,
+    filterResults
+};
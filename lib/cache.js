@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Content-addressed on-disk cache for AI suggestions. Entries are keyed by a hash of
+// everything that influences the answer, so unchanged markup never costs a second request.
+
+const DEFAULT_CACHE_DIR = path.join('.axcel', 'cache');
+
+// Hashes the parts of a cache key into a stable file name.
+function hashKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Returns the path of the file holding a cache entry.
+function entryPath(dir, key) {
+    return path.join(dir, key.substring(0, 2), `${key}.json`);
+}
+
+// Creates a cache in the given directory. A disabled cache always calls through to the producer.
+// Identical requests that are still in flight share one promise, so concurrent scans of the
+// same markup also cost a single request.
+function createCache({dir = DEFAULT_CACHE_DIR, enabled = true} = {}) {
+    const inFlight = new Map();
+    const stats = {hits: 0, misses: 0};
+
+    // Reads an entry, treating unreadable files as missing
+    const read = (key) => {
+        try {
+            return JSON.parse(fs.readFileSync(entryPath(dir, key), 'utf-8')).value;
+        } catch (error) {
+            return undefined;
+        }
+    };
+
+    // Writes an entry through a temporary file so readers never see partial JSON
+    const write = (key, value) => {
+        const file = entryPath(dir, key);
+        try {
+            fs.mkdirSync(path.dirname(file), {recursive: true});
+            const tempFile = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({createdAt: new Date().toISOString(), value}));
+            fs.renameSync(tempFile, file);
+        } catch (error) {
+            console.warn(`Warning: Could not write AI cache entry: ${error.message}`);
+        }
+    };
+
+    return {
+        dir,
+        enabled,
+        stats,
+
+        // Returns the cached value for the key parts, or produces and stores it
+        async getOrCreate(parts, produce) {
+            if (!enabled) {
+                stats.misses++;
+                return produce();
+            }
+
+            const key = hashKey(parts);
+            const cached = read(key);
+            if (cached !== undefined) {
+                stats.hits++;
+                return cached;
+            }
+
+            if (inFlight.has(key)) {
+                stats.hits++;
+                return inFlight.get(key);
+            }
+
+            stats.misses++;
+            const pending = Promise.resolve()
+                .then(produce)
+                .then(value => {
+                    write(key, value);
+                    return value;
+                })
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, pending);
+            return pending;
+        }
+    };
+}
+
+// Returns the cache directory of a resolved config, relative to its root directory unless given as an absolute path.
+function resolveCacheDir(config) {
+    return path.resolve(config.rootDir, (config.cache && config.cache.dir) || DEFAULT_CACHE_DIR);
+}
+
+// Lists every entry file in a cache directory.
+function listEntries(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const entries = [];
+    for (const bucket of fs.readdirSync(dir)) {
+        const bucketPath = path.join(dir, bucket);
+        if (!fs.statSync(bucketPath).isDirectory()) continue;
+        for (const file of fs.readdirSync(bucketPath)) {
+            if (file.endsWith('.json')) {
+                entries.push(path.join(bucketPath, file));
+            }
+        }
+    }
+    return entries;
+}
+
+// Returns the number of entries, their total size and the oldest and newest entry times.
+function getCacheStats(dir = DEFAULT_CACHE_DIR) {
+    const entries = listEntries(dir).map(file => fs.statSync(file));
+    const times = entries.map(stat => stat.mtimeMs);
+
+    return {
+        dir,
+        entries: entries.length,
+        bytes: entries.reduce((total, stat) => total + stat.size, 0),
+        oldest: times.length ? new Date(times.reduce((a, b) => Math.min(a, b))) : null,
+        newest: times.length ? new Date(times.reduce((a, b) => Math.max(a, b))) : null
+    };
+}
+
+// Deletes every entry in a cache directory and returns how many were removed.
+// Only entry files are deleted, so pointing this at the wrong directory cannot remove other files.
+function clearCache(dir = DEFAULT_CACHE_DIR) {
+    const entries = listEntries(dir);
+    entries.forEach(file => fs.rmSync(file, {force: true}));
+
+    // Remove the bucket directories and the cache directory itself once they are empty
+    for (const bucket of new Set(entries.map(file => path.dirname(file)))) {
+        if (fs.readdirSync(bucket).length === 0) fs.rmdirSync(bucket);
+    }
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+
+    return entries.length;
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIR,
+    createCache,
+    resolveCacheDir,
+    getCacheStats,
+    clearCache
+};
@@ -0,0 +1,311 @@
+const {parseColor, toHex, colorDistance, toLinear, fromLinear, luminance} = require('./colors');
+
+// Color vision deficiency checks. The color pairs a stylesheet or page relies on (text on its
+// background, links in body text, state colors such as .error and .success) are run through
+// simulations of the common deficiencies, and pairs that stay apart in normal vision but
+// collapse into one color for some viewers are flagged.
+
+// Simulations in linear RGB. The dichromacies use the full-severity matrices of Machado,
+// Oliveira and Fernandes (2009); achromatopsia keeps only the luminance.
+const DEFICIENCIES = {
+    protanopia: {
+        name: 'Protanopia',
+        description: 'no red cones',
+        matrix: [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]]
+    },
+    deuteranopia: {
+        name: 'Deuteranopia',
+        description: 'no green cones',
+        matrix: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]]
+    },
+    tritanopia: {
+        name: 'Tritanopia',
+        description: 'no blue cones',
+        matrix: [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+    },
+    achromatopsia: {
+        name: 'Achromatopsia',
+        description: 'no color vision',
+        matrix: null
+    }
+};
+
+// Perceptual distance (OKLab) below which two colors are taken as the same
+const MIN_DISTANCE = 0.07;
+
+// Class and id names that mark a state, by the state they stand for
+const STATE_FAMILIES = {
+    error: ['error', 'errors', 'danger', 'invalid', 'fail', 'failed', 'failure', 'negative', 'critical', 'alert'],
+    success: ['success', 'valid', 'ok', 'positive', 'passed', 'pass', 'done', 'complete'],
+    warning: ['warning', 'warn', 'caution', 'pending'],
+    info: ['info', 'notice', 'note']
+};
+
+// Selectors whose color is the body text color
+const TEXT_SELECTORS = ['body', 'html', ':root', 'main', 'p'];
+
+// Simulates how a color ({r, g, b}) looks with a deficiency.
+function simulate(color, deficiency) {
+    const {matrix} = DEFICIENCIES[deficiency];
+    if (!matrix) {
+        const gray = Math.round(fromLinear(luminance(color)) * 255);
+        return {r: gray, g: gray, b: gray, alpha: 1};
+    }
+
+    const linear = [color.r, color.g, color.b].map(channel => toLinear(channel / 255));
+    const [r, g, b] = matrix.map(row => {
+        const value = row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2];
+        return Math.round(fromLinear(Math.min(1, Math.max(0, value))) * 255);
+    });
+    return {r, g, b, alpha: 1};
+}
+
+// Compares two colors in normal vision and under every simulation. Returns {distance, simulations:
+// [{deficiency, colors, distance}], confusedBy: [deficiency]} or null for colors that cannot be
+// parsed. confusedBy lists the deficiencies that make colors which are apart in normal vision look alike.
+function compareColors(first, second, minDistance = MIN_DISTANCE) {
+    const a = parseColor(first);
+    const b = parseColor(second);
+    if (!a || !b || a.alpha < 1 || b.alpha < 1) return null;
+
+    const distance = colorDistance(a, b);
+    const simulations = Object.keys(DEFICIENCIES).map(deficiency => {
+        const x = simulate(a, deficiency);
+        const y = simulate(b, deficiency);
+        return {deficiency, colors: [toHex(x), toHex(y)], distance: round(colorDistance(x, y))};
+    });
+
+    return {
+        colors: [toHex(a), toHex(b)],
+        distance: round(distance),
+        simulations,
+        confusedBy: distance >= minDistance ?
+            simulations.filter(simulation => simulation.distance < minDistance).map(simulation => simulation.deficiency) :
+            []
+    };
+}
+
+// Returns the state family ('error', 'success', 'warning' or 'info') a selector styles, or null.
+function stateFamily(selector) {
+    const names = (String(selector).match(/[.#][\w-]+/g) || [])
+        .flatMap(name => name.slice(1).toLowerCase().split(/[-_]+/));
+    for (const [family, words] of Object.entries(STATE_FAMILIES)) {
+        if (names.some(name => words.includes(name))) return family;
+    }
+    return null;
+}
+
+// Checks whether a selector styles links, e.g. "a", "a:link" or ".content a".
+function isLinkSelector(selector) {
+    return /(^|[\s>+~])a(:link|:visited)?$/i.test(String(selector).trim());
+}
+
+// Collects the color pairs of a stylesheet from its merged rules ([{selector, color, background,
+// underline, sources: {color, background, ...}}], colors as rgb() strings). Each pair is
+// {kind: 'text' | 'link' | 'state', selectors, property, colors, sources}, where sources are the
+// declarations that set the two colors.
+function collectStylesheetPairs(entries) {
+    const pairs = [];
+
+    // Text on its own background
+    for (const entry of entries) {
+        if (entry.color && entry.background) {
+            pairs.push({kind: 'text', selectors: [entry.selector], property: 'color', colors: [entry.color, entry.background], sources: [entry.sources.color, entry.sources.background]});
+        }
+    }
+
+    // Links without an underline that only their color sets apart from the body text. Link rules
+    // that do not set text-decoration follow the rule for all links.
+    const body = TEXT_SELECTORS.map(selector => entries.find(entry => entry.selector === selector && entry.color)).find(Boolean);
+    const allLinks = entries.find(entry => entry.selector === 'a');
+    if (body) {
+        for (const entry of entries) {
+            const underline = entry.underline !== null ? entry.underline : allLinks && allLinks.underline;
+            if (!entry.color || underline !== false || !isLinkSelector(entry.selector)) continue;
+            pairs.push({kind: 'link', selectors: [entry.selector, body.selector], property: 'color', colors: [entry.color, body.color], sources: [entry.sources.color, body.sources.color]});
+        }
+    }
+
+    // State colors of different states, compared property by property
+    const states = entries.map(entry => ({...entry, family: stateFamily(entry.selector)})).filter(entry => entry.family);
+    for (const property of ['color', 'background', 'border']) {
+        const seen = new Set();
+        states.forEach((first, index) => states.slice(index + 1).forEach(second => {
+            if (first.family === second.family || !first[property] || !second[property]) return;
+            const key = [first[property], second[property]].sort().join('\n');
+            if (seen.has(key)) return;
+            seen.add(key);
+            pairs.push({kind: 'state', selectors: [first.selector, second.selector], property, colors: [first[property], second[property]], sources: [first.sources[property], second.sources[property]]});
+        }));
+    }
+
+    return pairs;
+}
+
+// Collects the color pairs of a rendered page from computed styles: the text of every element on
+// its effective background, links without an underline inside text, and elements with state
+// classes. Pairs hold the elements instead of declarations, and repeated pairs are counted once.
+function collectPagePairs(window) {
+    const document = window.document;
+    if (!document.body) return [];
+
+    const pairs = [];
+    const seen = new Set();
+    const add = pair => {
+        // State pairs are the same pair in either order
+        const colors = pair.kind === 'state' ? [...pair.colors].sort() : pair.colors;
+        const key = `${pair.kind}\n${pair.property}\n${colors.join('\n')}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        pairs.push(pair);
+    };
+
+    const states = [];
+    for (const element of document.body.querySelectorAll('*')) {
+        if (['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT'].includes(element.tagName)) continue;
+        const style = window.getComputedStyle(element);
+        const color = textColor(style);
+
+        const family = stateFamily(describeElement(element));
+        if (family) {
+            states.push({element, family, color, background: opaqueColor(style.backgroundColor), border: opaqueColor(style.borderColor)});
+        }
+
+        if (!hasOwnText(element)) continue;
+        add({kind: 'text', selectors: [describeElement(element)], property: 'color', colors: [color, effectiveBackground(window, element)], elements: [element]});
+
+        const parent = element.parentElement;
+        if (element.matches('a[href]') && parent && hasOwnText(parent) && !isUnderlined(style)) {
+            add({kind: 'link', selectors: [describeElement(element), describeElement(parent)], property: 'color', colors: [color, textColor(window.getComputedStyle(parent))], elements: [element, parent]});
+        }
+    }
+
+    for (const property of ['color', 'background', 'border']) {
+        states.forEach((first, index) => states.slice(index + 1).forEach(second => {
+            if (first.family === second.family || !first[property] || !second[property]) return;
+            add({kind: 'state', selectors: [describeElement(first.element), describeElement(second.element)], property, colors: [first[property], second[property]], elements: [first.element, second.element]});
+        }));
+    }
+
+    return pairs;
+}
+
+// Turns a pair that some deficiencies confuse into the fields of a ColorVision finding, or returns null.
+function describePair(pair, minDistance = MIN_DISTANCE) {
+    const comparison = compareColors(pair.colors[0], pair.colors[1], minDistance);
+    if (!comparison || comparison.confusedBy.length === 0) return null;
+
+    const [first, second] = comparison.colors;
+    const names = joinWords(comparison.confusedBy);
+    const messages = {
+        text: `Text color ${first} on background ${second} in "${pair.selectors[0]}" looks alike with ${names}.`,
+        link: `Links "${pair.selectors[0]}" (${first}) are set apart from the text of "${pair.selectors[1]}" (${second}) only by color, which looks alike with ${names}. Underline the links or give them another visual cue.`,
+        state: `State colors of "${pair.selectors[0]}" (${first}) and "${pair.selectors[1]}" (${second}) look alike with ${names}. Add an icon or text to tell the states apart.`
+    };
+    return {
+        message: messages[pair.kind],
+        colors: comparison.colors,
+        pair: {kind: pair.kind, selectors: pair.selectors, property: pair.property === 'color' ? 'color' : `${pair.property}-color`},
+        simulations: comparison.simulations,
+        confusedBy: comparison.confusedBy
+    };
+}
+
+// Renders the two colors of a finding side by side in normal vision and under every simulation,
+// as a PNG data URL. Returns null when the optional canvas package is not available.
+function renderSwatchesPNG(colors, simulations) {
+    const canvas = loadCanvas();
+    if (!canvas) return null;
+
+    const rows = [{label: 'Normal vision', colors}, ...simulations.map(simulation => ({label: DEFICIENCIES[simulation.deficiency].name, colors: simulation.colors}))];
+    const [rowHeight, labelWidth, swatchWidth] = [32, 130, 64];
+    const image = canvas.createCanvas(labelWidth + swatchWidth * 2 + 8, rows.length * rowHeight);
+    const context = image.getContext('2d');
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, image.width, image.height);
+    context.font = '13px sans-serif';
+    context.textBaseline = 'middle';
+    rows.forEach((row, index) => {
+        const top = index * rowHeight;
+        context.fillStyle = '#1f2328';
+        context.fillText(row.label, 4, top + rowHeight / 2);
+        row.colors.forEach((color, column) => {
+            context.fillStyle = color;
+            context.fillRect(labelWidth + column * swatchWidth, top + 4, swatchWidth, rowHeight - 8);
+        });
+    });
+
+    return image.toDataURL('image/png');
+}
+
+// Loads the canvas package once. It has a native build that is not available everywhere.
+let canvasModule;
+function loadCanvas() {
+    if (canvasModule === undefined) {
+        try {
+            canvasModule = require('canvas');
+        } catch (error) {
+            canvasModule = null;
+        }
+    }
+    return canvasModule;
+}
+
+// Shows an element as a selector such as "span#total.error".
+function describeElement(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList || []).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+function hasOwnText(element) {
+    return Array.from(element.childNodes).some(child => child.nodeType === 3 && child.textContent.trim());
+}
+
+// The computed text color. Colors the page does not set fall back to black text.
+function textColor(style) {
+    return opaqueColor(style.color) || 'rgb(0, 0, 0)';
+}
+
+// The first opaque background of the element or its ancestors, white when there is none.
+function effectiveBackground(window, element) {
+    for (let current = element; current; current = current.parentElement) {
+        const background = opaqueColor(window.getComputedStyle(current).backgroundColor);
+        if (background) return background;
+    }
+    return 'rgb(255, 255, 255)';
+}
+
+// Returns a color value when it is an opaque color, null for transparent colors and keywords.
+function opaqueColor(value) {
+    const color = parseColor(value);
+    return color && color.alpha === 1 ? value : null;
+}
+
+// Links are underlined unless a style takes the underline away.
+function isUnderlined(style) {
+    const decoration = `${style.textDecorationLine || ''} ${style.textDecoration || ''}`.trim();
+    return !decoration || /underline/i.test(decoration);
+}
+
+function joinWords(words) {
+    return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    DEFICIENCIES,
+    MIN_DISTANCE,
+    simulate,
+    compareColors,
+    stateFamily,
+    isLinkSelector,
+    collectStylesheetPairs,
+    collectPagePairs,
+    describePair,
+    renderSwatchesPNG
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+
+// Color math for contrast recommendations. Colors are moved in OKLCH, a perceptual color space:
+// only the lightness changes, so the hue of a brand color survives and the result is the
+// smallest visible change that reaches the required contrast ratio.
+
+// Contrast thresholds recommendations are made for: WCAG AA for large text, AA and AAA.
+const CONTRAST_LEVELS = [
+    {level: 'AA large text', ratio: 3},
+    {level: 'AA', ratio: 4.5},
+    {level: 'AAA', ratio: 7}
+];
+
+// Parses "#rgb", "#rgba", "#rrggbb", "#rrggbbaa" and rgb()/rgba() into {r, g, b, alpha} with
+// channels from 0 to 255. Returns null for anything else.
+function parseColor(value) {
+    const text = String(value || '').trim().toLowerCase();
+
+    const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+        const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return {r: channels[0], g: channels[1], b: channels[2], alpha: channels.length === 4 ? channels[3] / 255 : 1};
+    }
+
+    const rgb = /^rgba?\(\s*([^)]+)\)$/.exec(text);
+    if (rgb) {
+        const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const channel = part => part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+        const [r, g, b] = parts.slice(0, 3).map(channel);
+        const alpha = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+        if ([r, g, b, alpha].some(Number.isNaN)) return null;
+        return {r: clamp(r, 0, 255), g: clamp(g, 0, 255), b: clamp(b, 0, 255), alpha: clamp(alpha, 0, 1)};
+    }
+
+    return null;
+}
+
+function toHex({r, g, b}) {
+    return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Relative luminance as defined by WCAG.
+function luminance({r, g, b}) {
+    const [lr, lg, lb] = [r, g, b].map(channel => toLinear(channel / 255));
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+function contrastRatio(foreground, background) {
+    const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+function toLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+// Converts sRGB to OKLab ({L, a, b}).
+function toOklab({r, g, b}) {
+    const [lr, lg, lb] = [r, g, b].map(channel => toLinear(channel / 255));
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+// Converts OKLab to linear sRGB channels from 0 to 1, which may be outside the sRGB gamut.
+function oklabToLinear({L, a, b}) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+// Converts OKLCH to an sRGB color. Colors outside the gamut lose chroma until they fit, keeping lightness and hue.
+function fromOklch(L, C, h) {
+    const inGamut = channels => channels.every(channel => channel >= -0.0001 && channel <= 1.0001);
+    const toRGB = chroma => oklabToLinear({L, a: chroma * Math.cos(h), b: chroma * Math.sin(h)});
+
+    let channels = toRGB(C);
+    if (!inGamut(channels)) {
+        let low = 0;
+        let high = C;
+        for (let i = 0; i < 24; i++) {
+            const middle = (low + high) / 2;
+            if (inGamut(toRGB(middle))) low = middle; else high = middle;
+        }
+        channels = toRGB(low);
+    }
+
+    const [r, g, b] = channels.map(channel => Math.round(clamp(fromLinear(clamp(channel, 0, 1)), 0, 1) * 255));
+    return {r, g, b, alpha: 1};
+}
+
+// Perceptual distance between two colors (Euclidean distance in OKLab).
+function colorDistance(first, second) {
+    const a = toOklab(first);
+    const b = toOklab(second);
+    return Math.hypot(a.L - b.L, a.a - b.a, a.b - b.b);
+}
+
+// Finds the color closest to `color` that has at least `ratio` contrast with `against`, changing only
+// its OKLCH lightness. Both lighter and darker versions are tried. Returns {color, ratio, distance}
+// with the color as hex, or null when no lightness reaches the ratio.
+function findCompliantColor(color, against, ratio) {
+    if (contrastRatio(color, against) >= ratio) {
+        return {color: toHex(color), ratio: round(contrastRatio(color, against)), distance: 0};
+    }
+
+    const {L, a, b} = toOklab(color);
+    // Grays keep exactly zero chroma, so rounding cannot tint them
+    const C = Math.hypot(a, b) < 1e-4 ? 0 : Math.hypot(a, b);
+    const h = Math.atan2(b, a);
+    const meets = lightness => contrastRatio(fromOklch(lightness, C, h), against) >= ratio;
+
+    const candidates = [];
+    for (const end of [0, 1]) {
+        if (!meets(end)) continue;
+        // Lightness moves toward the end until the ratio is met, so the first passing value is the closest
+        let failing = L;
+        let passing = end;
+        for (let i = 0; i < 30; i++) {
+            const middle = (failing + passing) / 2;
+            if (meets(middle)) passing = middle; else failing = middle;
+        }
+        const candidate = fromOklch(passing, C, h);
+        candidates.push({
+            color: toHex(candidate),
+            ratio: round(contrastRatio(candidate, against)),
+            distance: colorDistance(color, candidate)
+        });
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates.sort((x, y) => x.distance - y.distance)[0];
+}
+
+// Picks the palette color closest to `color` with at least `ratio` contrast with `against`.
+// Returns {name, value, color, ratio, distance} or null when no palette color passes.
+function findPaletteColor(palette, color, against, ratio) {
+    const passing = palette
+        .map(entry => ({entry, parsed: parseColor(entry.color)}))
+        .filter(({parsed}) => parsed && contrastRatio(parsed, against) >= ratio)
+        .map(({entry, parsed}) => ({
+            name: entry.name,
+            value: entry.value,
+            color: toHex(parsed),
+            ratio: round(contrastRatio(parsed, against)),
+            distance: colorDistance(color, parsed)
+        }));
+
+    if (passing.length === 0) return null;
+    return passing.sort((x, y) => x.distance - y.distance)[0];
+}
+
+// Recommends compliant colors for a foreground/background pair: for each threshold (3:1, 4.5:1, 7:1
+// and the required ratio) a new foreground that keeps the background, and a new background that
+// keeps the foreground. Thresholds the pair already meets are skipped. With a palette, the closest passing palette colors are added too.
+// Returns {required, options: [{level, threshold, change, color, ratio}], palette?: [...]} or null
+// for colors that cannot be parsed.
+function recommendContrastFix(foreground, background, required = 4.5, palette = []) {
+    const fg = parseColor(foreground);
+    const bg = parseColor(background);
+    if (!fg || !bg || bg.alpha < 1) return null;
+
+    // A translucent foreground is judged as it appears over the background
+    const fgSolid = fg.alpha < 1 ? blend(fg, bg) : fg;
+
+    // Thresholds the pair already meets need no recommendation
+    const current = contrastRatio(fgSolid, bg);
+    const levels = (CONTRAST_LEVELS.some(level => level.ratio === required) ?
+        CONTRAST_LEVELS :
+        [...CONTRAST_LEVELS, {level: 'required', ratio: required}].sort((x, y) => x.ratio - y.ratio))
+        .filter(({ratio}) => current < ratio);
+
+    const options = [];
+    const paletteOptions = [];
+    for (const {level, ratio} of levels) {
+        const byForeground = findCompliantColor(fgSolid, bg, ratio);
+        const byBackground = findCompliantColor(bg, fgSolid, ratio);
+        if (byForeground) options.push({level, threshold: ratio, change: 'color', color: byForeground.color, ratio: byForeground.ratio, distance: round(byForeground.distance)});
+        if (byBackground) options.push({level, threshold: ratio, change: 'background-color', color: byBackground.color, ratio: byBackground.ratio, distance: round(byBackground.distance)});
+
+        if (palette.length > 0) {
+            const paletteForeground = findPaletteColor(palette, fgSolid, bg, ratio);
+            const paletteBackground = findPaletteColor(palette, bg, fgSolid, ratio);
+            if (paletteForeground) paletteOptions.push({level, threshold: ratio, change: 'color', ...paletteForeground, distance: round(paletteForeground.distance)});
+            if (paletteBackground) paletteOptions.push({level, threshold: ratio, change: 'background-color', ...paletteBackground, distance: round(paletteBackground.distance)});
+        }
+    }
+
+    return {
+        required,
+        options,
+        ...(palette.length > 0 ? {palette: paletteOptions} : {})
+    };
+}
+
+// Picks the fix for a contrast finding from its recommendations: the smallest change that meets
+// the required ratio, taken from the palette when one was given and has a passing color.
+// change limits the pick to new text colors ('color') or new backgrounds ('background-color').
+function pickContrastFix(recommendations, change = null) {
+    const closest = options => options
+        .filter(option => option.threshold === recommendations.required && (!change || option.change === change))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return closest(recommendations.palette || []) || closest(recommendations.options);
+}
+
+// Blends a translucent color over an opaque background.
+function blend(color, background) {
+    const mix = channel => color[channel] * color.alpha + background[channel] * (1 - color.alpha);
+    return {r: mix('r'), g: mix('g'), b: mix('b'), alpha: 1};
+}
+
+// Loaded palettes by absolute path, so every file of a scan shares one read.
+const palettes = new Map();
+
+// Loads the colors of a palette or design-token file as [{name, value, color}], where value is what
+// goes into the CSS (a var() reference for custom properties) and color is the resolved color.
+// JSON files may hold a flat {name: color} map, nested groups or design tokens with "$value"
+// (or "value"); CSS, SCSS and Less files are read for custom properties and variables.
+function loadPalette(filePath) {
+    const absolute = path.resolve(filePath);
+    if (palettes.has(absolute)) return palettes.get(absolute);
+
+    if (!fs.existsSync(absolute)) {
+        throw new Error(`Palette file "${filePath}" does not exist.`);
+    }
+    const content = fs.readFileSync(absolute, 'utf-8');
+    let entries;
+
+    if (path.extname(absolute).toLowerCase() === '.json') {
+        let tokens;
+        try {
+            tokens = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid palette file "${filePath}": ${error.message}`);
+        }
+        entries = [];
+        const visit = (node, names) => {
+            if (typeof node === 'string') {
+                entries.push({name: names.join('.'), value: node, color: node});
+            } else if (node && typeof node === 'object') {
+                const tokenValue = node.$value !== undefined ? node.$value : node.value;
+                if (typeof tokenValue === 'string') {
+                    entries.push({name: names.join('.'), value: tokenValue, color: tokenValue});
+                    return;
+                }
+                Object.entries(node)
+                    .filter(([key]) => !key.startsWith('$'))
+                    .forEach(([key, child]) => visit(child, [...names, key]));
+            }
+        };
+        visit(tokens, []);
+    } else {
+        entries = [...content.matchAll(/(--[\w-]+|[$@][\w-]+)\s*:\s*([^;}\n]+)/g)].map(([, name, value]) => ({
+            name,
+            value: name.startsWith('--') ? `var(${name})` : name,
+            color: value.trim()
+        }));
+    }
+
+    const palette = entries.filter(entry => parseColor(entry.color));
+    palettes.set(absolute, palette);
+    return palette;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    CONTRAST_LEVELS,
+    parseColor,
+    toHex,
+    luminance,
+    contrastRatio,
+    toLinear,
+    fromLinear,
+    colorDistance,
+    findCompliantColor,
+    findPaletteColor,
+    recommendContrastFix,
+    pickContrastFix,
+    loadPalette
+};
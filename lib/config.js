@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const {matchesAny, toPosixPath} = require('./glob');
+const {IMPACT_LEVELS, isImpactLevel} = require('./severity');
+const {PROVIDERS} = require('./providers');
+const {loadPalette} = require('./colors');
+const {getStandard} = require('./standards');
+
+// Config file names, in the order they are looked up in each directory.
+const CONFIG_FILES = ['.axcelrc', '.axcelrc.json', 'axcel.config.js'];
+
+// Settings used when no config file is found and no CLI flag overrides them.
+const DEFAULT_CONFIG = {
+    // axe-core tags to run, and per-rule switches ({"color-contrast": false})
+    tags: ['wcag2a', 'wcag2aa', 'best-practice'],
+    // Conformance standard (see standards.js), which replaces tags and selects the CSS checks
+    standard: null,
+    rules: {},
+    // CSS check thresholds and per-check switches ({"FocusStyle": false})
+    css: {
+        minContrastRatio: 4.5,
+        // Palette or design-token file that contrast recommendations are picked from
+        palette: null,
+        checks: {}
+    },
+    include: ['**/*.html', '**/*.css', '**/*.scss', '**/*.less', '**/*.jsx', '**/*.tsx', '**/*.vue', '**/*.svelte', '**/*.hbs'],
+    // Number of files scanned at the same time, null for one per CPU
+    concurrency: null,
+    exclude: ['**/node_modules/**'],
+    // Per-glob overrides: [{files: ['legacy/**'], rules: {...}, css: {...}}]
+    overrides: [],
+    report: 'table',
+    output: null,
+    // CI gating: fail when more than maxIssues issues are at or above the failOn impact
+    failOn: null,
+    maxIssues: null,
+    // AI suggestions: provider is "gemini", "openai" (any OpenAI-compatible endpoint) or "mock".
+    // Credentials are read from the environment variable named by apiKeyEnv.
+    ai: {
+        enabled: false,
+        provider: 'gemini',
+        model: null,
+        baseUrl: null,
+        apiKeyEnv: null,
+        // Milliseconds to wait for an answer from an OpenAI-compatible endpoint (default 60000)
+        timeout: null
+    },
+    // On-disk cache for AI suggestions, relative to the config root (default .axcel/cache)
+    cache: {
+        enabled: true,
+        dir: null
+    },
+    // Scan history for "axcel trend", relative to the config root (default .axcel/history.jsonl)
+    history: {
+        enabled: false,
+        file: null
+    }
+};
+
+// Walks up from the start directory and returns the first config file found.
+function findConfigFile(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        for (const name of CONFIG_FILES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return candidate;
+            }
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+// Reads a config file. ".js" files are required, everything else is parsed as JSON.
+function readConfigFile(configPath) {
+    if (path.extname(configPath) === '.js') {
+        return require(path.resolve(configPath));
+    }
+
+    const content = fs.readFileSync(configPath, 'utf-8');
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid config file "${configPath}": ${error.message}`);
+    }
+}
+
+// Merges two plain config objects. Arrays and scalars from the override replace the base value.
+function mergeConfig(base, override) {
+    const merged = {...base};
+    for (const [key, value] of Object.entries(override || {})) {
+        if (value === undefined) continue;
+        if (isPlainObject(value) && isPlainObject(base[key])) {
+            merged[key] = mergeConfig(base[key], value);
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Loads the project config. An explicit path must exist, otherwise the file is searched for from cwd upwards.
+function loadConfig(configPath, cwd = process.cwd()) {
+    let filepath = null;
+
+    if (configPath) {
+        filepath = path.resolve(cwd, configPath);
+        if (!fs.existsSync(filepath)) {
+            throw new Error(`Config file "${configPath}" does not exist.`);
+        }
+    } else {
+        filepath = findConfigFile(cwd);
+    }
+
+    const fileConfig = filepath ? readConfigFile(filepath) : {};
+    const config = mergeConfig(DEFAULT_CONFIG, fileConfig);
+
+    // Globs in the config file are relative to the directory that holds it
+    config.rootDir = filepath ? path.dirname(filepath) : path.resolve(cwd);
+    config.filepath = filepath;
+
+    return config;
+}
+
+// Resolves the options passed to the programmatic API into a full config. Config files are only read
+// when asked for: "config" is a path, or true to search from cwd upwards like the CLI does.
+// Every other option is merged over the defaults (or the config file), so a resolved config passes through unchanged.
+function resolveOptions(options = {}) {
+    const {config: configPath, cwd = process.cwd(), ...settings} = options;
+    const base = configPath ?
+        loadConfig(configPath === true ? null : configPath, cwd) :
+        {...DEFAULT_CONFIG, rootDir: path.resolve(cwd), filepath: null};
+
+    const resolved = mergeConfig(base, settings);
+    validateConfig(resolved);
+    return resolved;
+}
+
+// Splits a comma separated CLI value into a list.
+function parseList(value) {
+    if (!value) return undefined;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => item.trim()).filter(Boolean);
+}
+
+// Applies CLI flags on top of the loaded config. Flags always win over the config file.
+function applyCliOptions(config, options = {}) {
+    const merged = mergeConfig(config, {});
+
+    // --tags replaces a standard from the config file; --standard on the command line still wins over both
+    const tags = parseList(options.tags);
+    if (tags) {
+        merged.tags = tags;
+        merged.standard = null;
+    }
+    if (options.standard) merged.standard = options.standard;
+
+    const enabledRules = parseList(options.enableRules) || [];
+    const disabledRules = parseList(options.disableRules) || [];
+    if (enabledRules.length || disabledRules.length) {
+        merged.rules = {...merged.rules};
+        enabledRules.forEach(rule => merged.rules[rule] = true);
+        disabledRules.forEach(rule => merged.rules[rule] = false);
+    }
+
+    const include = parseList(options.include);
+    if (include) merged.include = include;
+
+    const exclude = parseList(options.exclude);
+    if (exclude) merged.exclude = [...merged.exclude, ...exclude];
+
+    if (options.minContrast !== undefined) {
+        const minContrast = Number(options.minContrast);
+        if (!(Number.isFinite(minContrast) && minContrast >= 1)) {
+            throw new Error(`Invalid --min-contrast "${options.minContrast}". Use a number of 1 or more.`);
+        }
+        merged.css = {...merged.css, minContrastRatio: minContrast};
+    }
+    if (options.palette) merged.css = {...merged.css, palette: path.resolve(options.palette)};
+
+    if (options.concurrency !== undefined) merged.concurrency = Number(options.concurrency);
+    if (options.failOn) merged.failOn = options.failOn;
+    if (options.maxIssues !== undefined) merged.maxIssues = options.maxIssues;
+
+    if (options.report) merged.report = options.report;
+    if (options.output) merged.output = options.output;
+    if (options.ai !== undefined) merged.ai = {...merged.ai, enabled: Boolean(options.ai)};
+    if (options.aiProvider) merged.ai = {...merged.ai, provider: options.aiProvider};
+    if (options.aiModel) merged.ai = {...merged.ai, model: options.aiModel};
+    if (options.aiBaseUrl) merged.ai = {...merged.ai, baseUrl: options.aiBaseUrl};
+    if (options.aiTimeout !== undefined) merged.ai = {...merged.ai, timeout: options.aiTimeout};
+    if (options.cache === false) merged.cache = {...merged.cache, enabled: false};
+    if (options.cacheDir) merged.cache = {...merged.cache, dir: path.resolve(options.cacheDir)};
+    if (options.history !== undefined) merged.history = {...merged.history, enabled: Boolean(options.history)};
+    if (options.historyFile) merged.history = {...merged.history, file: path.resolve(options.historyFile)};
+
+    validateConfig(merged);
+    return merged;
+}
+
+// Throws on settings that would otherwise fail silently later on.
+function validateConfig(config) {
+    if (config.failOn && !isImpactLevel(config.failOn)) {
+        throw new Error(`Invalid failOn "${config.failOn}". Use one of: ${IMPACT_LEVELS.slice().reverse().join(', ')}.`);
+    }
+    if (config.maxIssues !== null && config.maxIssues !== undefined &&
+        !(Number.isInteger(Number(config.maxIssues)) && Number(config.maxIssues) >= 0)) {
+        throw new Error(`Invalid maxIssues "${config.maxIssues}". Use a whole number of 0 or more.`);
+    }
+    if (config.concurrency !== null && config.concurrency !== undefined &&
+        !(Number.isInteger(Number(config.concurrency)) && Number(config.concurrency) >= 1)) {
+        throw new Error(`Invalid concurrency "${config.concurrency}". Use a whole number of 1 or more.`);
+    }
+    if (config.css && config.css.minContrastRatio !== null && config.css.minContrastRatio !== undefined &&
+        !(Number.isFinite(Number(config.css.minContrastRatio)) && Number(config.css.minContrastRatio) >= 1)) {
+        throw new Error(`Invalid minContrastRatio "${config.css.minContrastRatio}". Use a number of 1 or more.`);
+    }
+    if (config.ai && config.ai.timeout !== null && config.ai.timeout !== undefined &&
+        !(Number.isInteger(Number(config.ai.timeout)) && Number(config.ai.timeout) >= 1)) {
+        throw new Error(`Invalid AI timeout "${config.ai.timeout}". Use a whole number of milliseconds of 1 or more.`);
+    }
+    if (config.ai && config.ai.provider && !PROVIDERS[config.ai.provider]) {
+        throw new Error(`Unknown AI provider "${config.ai.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    getStandard(config.standard);
+    // Reading the palette once here reports a missing or broken file before any scan starts
+    if (config.css && config.css.palette) {
+        loadPalette(path.resolve(config.rootDir || process.cwd(), config.css.palette));
+    }
+}
+
+// Returns the path of a file relative to the config root, in forward slash form.
+function relativeToRoot(config, filePath) {
+    return toPosixPath(path.relative(config.rootDir, path.resolve(filePath)));
+}
+
+// Checks whether a file should be scanned according to the include/exclude globs.
+function isIncluded(config, filePath) {
+    const relativePath = relativeToRoot(config, filePath);
+    if (matchesAny(relativePath, config.exclude)) return false;
+    return matchesAny(relativePath, config.include);
+}
+
+// Checks whether a file matches one of the exclude globs.
+function isExcluded(config, filePath) {
+    return matchesAny(relativeToRoot(config, filePath), config.exclude);
+}
+
+// Resolves the effective settings for a single file by applying every matching override in order.
+function resolveFileConfig(config, filePath) {
+    const relativePath = relativeToRoot(config, filePath);
+    let resolved = config;
+
+    for (const override of config.overrides || []) {
+        const files = Array.isArray(override.files) ? override.files : [override.files];
+        if (matchesAny(relativePath, files)) {
+            const {files: _files, ...settings} = override;
+            resolved = mergeConfig(resolved, settings);
+        }
+    }
+
+    return resolved;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    DEFAULT_CONFIG,
+    findConfigFile,
+    loadConfig,
+    mergeConfig,
+    applyCliOptions,
+    resolveOptions,
+    isIncluded,
+    isExcluded,
+    resolveFileConfig
+};
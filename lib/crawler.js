@@ -0,0 +1,333 @@
+const cheerio = require('cheerio');
+const {version} = require('../package.json');
+
+// Crawls a running site from a start URL. Pages are visited breadth first, following links on the
+// same origin, seeded from sitemap.xml and filtered by robots.txt. Each page is fetched together
+// with its stylesheets, so it can be scanned like a file on disk.
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_TIMEOUT = 10000;
+
+// Name used in the User-Agent header and matched against robots.txt groups.
+const USER_AGENT = `axcel/${version}`;
+const ROBOTS_AGENT = 'axcel';
+
+// Maximum number of sitemaps read through sitemap index files.
+const MAX_SITEMAPS = 10;
+
+// Crawls the site and calls onPage({url, depth, html, stylesheets}) for each HTML page, in crawl order.
+// Resolves to {pages: [{url, depth, status, error?}], skipped: [{url, reason}]}.
+async function crawl(startUrl, options = {}) {
+    const {
+        maxDepth = DEFAULT_MAX_DEPTH,
+        maxPages = DEFAULT_MAX_PAGES,
+        sitemap = true,
+        robots = true,
+        timeout = DEFAULT_TIMEOUT,
+        onPage = async () => {}
+    } = options;
+
+    const start = normalizeURL(startUrl);
+    if (!start) {
+        throw new Error(`Invalid URL "${startUrl}". Use an http:// or https:// URL.`);
+    }
+    const origin = new URL(start).origin;
+    const get = url => fetchWithTimeout(url, timeout);
+
+    const robotsRules = robots ? await loadRobots(origin, get) : {rules: [], sitemaps: []};
+
+    const queue = [{url: start, depth: 0}];
+    if (sitemap) {
+        const sitemapURLs = robotsRules.sitemaps.length > 0 ? robotsRules.sitemaps : [`${origin}/sitemap.xml`];
+        for (const url of await loadSitemaps(sitemapURLs, get)) {
+            const normalized = normalizeURL(url);
+            if (normalized && new URL(normalized).origin === origin) {
+                queue.push({url: normalized, depth: 0});
+            }
+        }
+    }
+
+    const seen = new Set();
+    const pages = [];
+    const skipped = [];
+    const stylesheetCache = new Map();
+
+    while (queue.length > 0 && pages.length < maxPages) {
+        const {url, depth} = queue.shift();
+        if (seen.has(url)) continue;
+        seen.add(url);
+
+        if (!isAllowed(robotsRules, url)) {
+            skipped.push({url, reason: 'Disallowed by robots.txt'});
+            continue;
+        }
+
+        let response;
+        try {
+            response = await get(url);
+        } catch (error) {
+            pages.push({url, depth, status: null, error: describeFetchError(error, timeout)});
+            continue;
+        }
+
+        // Redirects may leave the site
+        const finalURL = normalizeURL(response.url) || url;
+        if (new URL(finalURL).origin !== origin) {
+            await discardBody(response);
+            skipped.push({url, reason: `Redirects to another origin (${finalURL})`});
+            continue;
+        }
+        if (finalURL !== url) {
+            if (seen.has(finalURL)) {
+                await discardBody(response);
+                continue;
+            }
+            seen.add(finalURL);
+        }
+
+        if (!response.ok) {
+            await discardBody(response);
+            pages.push({url: finalURL, depth, status: response.status, error: `HTTP ${response.status}`});
+            continue;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+            await discardBody(response);
+            skipped.push({url: finalURL, reason: `Not an HTML page (${contentType || 'no content type'})`});
+            continue;
+        }
+
+        // The timeout also covers the body, so a page that stalls after its headers fails on its own
+        let html;
+        try {
+            html = await response.text();
+        } catch (error) {
+            pages.push({url: finalURL, depth, status: response.status, error: describeFetchError(error, timeout)});
+            continue;
+        }
+        const $ = cheerio.load(html);
+        const baseURL = resolveURL($('base[href]').attr('href'), finalURL) || finalURL;
+
+        if (depth < maxDepth) {
+            $('a[href], area[href]').each((index, element) => {
+                if (/\bnofollow\b/i.test($(element).attr('rel') || '')) return;
+                const link = normalizeURL(resolveURL($(element).attr('href'), baseURL));
+                if (link && new URL(link).origin === origin && !seen.has(link)) {
+                    queue.push({url: link, depth: depth + 1});
+                }
+            });
+        }
+
+        const stylesheets = await Promise.all($('link[href]')
+            .filter((index, element) => /(?:^|\s)stylesheet(?:\s|$)/i.test($(element).attr('rel') || ''))
+            .map((index, element) => fetchStylesheet($(element).attr('href'), baseURL, get, stylesheetCache))
+            .get());
+
+        pages.push({url: finalURL, depth, status: response.status});
+        await onPage({url: finalURL, depth, html, stylesheets});
+    }
+
+    // Anything left in the queue was cut off by the page limit
+    const remaining = new Set(queue.map(item => item.url).filter(url => !seen.has(url) && isAllowed(robotsRules, url)));
+    remaining.forEach(url => skipped.push({url, reason: `Page limit of ${maxPages} reached`}));
+
+    return {pages, skipped};
+}
+
+// Fetches a URL with a timeout and the axcel User-Agent.
+function fetchWithTimeout(url, timeout) {
+    return fetch(url, {
+        headers: {'user-agent': USER_AGENT},
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout)
+    });
+}
+
+function describeFetchError(error, timeout) {
+    if (error.name === 'TimeoutError') return `No response within ${timeout}ms`;
+    return error.cause ? `${error.message}: ${error.cause.message || error.cause.code}` : error.message;
+}
+
+// Releases a response body that is not needed.
+async function discardBody(response) {
+    try {
+        await response.body?.cancel();
+    } catch (error) {
+        // Nothing to release
+    }
+}
+
+// Resolves an href against a base URL, returning null for hrefs that are not valid URLs.
+function resolveURL(href, base) {
+    if (!href) return null;
+    try {
+        return new URL(href.trim(), base).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Normalizes a page URL: http(s) only, without the fragment. Returns null for anything else.
+function normalizeURL(url) {
+    if (!url) return null;
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Fetches a stylesheet once per crawl. Returns {href, url, css} or {href, url, error}.
+function fetchStylesheet(href, baseURL, get, cache) {
+    const url = resolveURL(href, baseURL);
+    if (!url || !/^https?:/i.test(url)) {
+        return Promise.resolve({href, url, error: 'Unsupported stylesheet URL'});
+    }
+
+    if (!cache.has(url)) {
+        cache.set(url, get(url)
+            .then(async response => {
+                if (!response.ok) {
+                    await discardBody(response);
+                    return {error: `HTTP ${response.status}`};
+                }
+                return {css: await response.text()};
+            })
+            .catch(error => ({error: error.message})));
+    }
+    return cache.get(url).then(result => ({href, url, ...result}));
+}
+
+// Fetches and parses robots.txt. A missing or unreadable file allows everything.
+async function loadRobots(origin, get) {
+    try {
+        const response = await get(`${origin}/robots.txt`);
+        if (!response.ok) {
+            await discardBody(response);
+            return {rules: [], sitemaps: []};
+        }
+        return parseRobots(await response.text());
+    } catch (error) {
+        return {rules: [], sitemaps: []};
+    }
+}
+
+// Parses robots.txt into the Allow/Disallow rules for axcel (or "*" when axcel has no group)
+// and the sitemaps it lists.
+function parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = {agents: [], rules: []};
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+
+        if (field === 'sitemap') {
+            sitemaps.push(value);
+        } else if (current && (field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({allow: field === 'allow', path: value});
+        }
+    }
+
+    const matching = groups.filter(group => group.agents.some(agent => agent !== '*' && ROBOTS_AGENT.includes(agent)));
+    const selected = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+    return {rules: selected.flatMap(group => group.rules), sitemaps};
+}
+
+// Checks a URL against robots.txt rules. The longest matching rule wins, and Allow wins ties.
+function isAllowed(robots, url) {
+    const {pathname, search} = new URL(url);
+    const target = pathname + search;
+    let best = null;
+
+    for (const rule of robots.rules) {
+        if (!robotsPattern(rule.path).test(target)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+// Converts a robots.txt path pattern with "*" and "$" wildcards into a regular expression.
+function robotsPattern(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Reads the page URLs listed in sitemaps, following sitemap index files.
+async function loadSitemaps(urls, get) {
+    const pageURLs = [];
+    const pending = [...urls];
+    let read = 0;
+
+    while (pending.length > 0 && read < MAX_SITEMAPS) {
+        const url = pending.shift();
+        read++;
+
+        let xml;
+        try {
+            const response = await get(url);
+            if (!response.ok) {
+                await discardBody(response);
+                continue;
+            }
+            xml = await response.text();
+        } catch (error) {
+            continue;
+        }
+
+        const locations = Array.from(xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi), match => decodeXML(match[1]));
+        if (/<sitemapindex[\s>]/i.test(xml)) {
+            pending.push(...locations);
+        } else {
+            pageURLs.push(...locations);
+        }
+    }
+
+    return pageURLs;
+}
+
+function decodeXML(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    DEFAULT_MAX_DEPTH,
+    DEFAULT_MAX_PAGES,
+    crawl,
+    parseRobots,
+    isAllowed
+};
@@ -0,0 +1,781 @@
+const path = require('path');
+const postcss = require('postcss');
+const scssSyntax = require('postcss-scss');
+const lessSyntax = require('postcss-less');
+const {recommendContrastFix, loadPalette} = require('./colors');
+const {getStandard, isCheckInStandard, criteriaFromTags, describeCriterion} = require('./standards');
+const {collectStylesheetPairs, describePair} = require('./color-vision');
+
+// CSS accessibility checks. Rules are walked inside nested at-rules, custom properties
+// and the background shorthand are resolved, and declarations for the same selector are
+// merged across the file before contrast is checked. SCSS and Less are parsed with their own
+// PostCSS syntaxes, so findings keep the lines of the preprocessor source.
+
+// Metadata for the CSS checks, used by reports that describe each rule.
+const CSS_CHECKS = {
+    FocusStyle: {
+        description: 'Focus indicators must not be removed without providing an alternative focus style.',
+        help: 'Keep a visible focus indicator for keyboard users',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-visible.html',
+        impact: 'serious',
+        tags: ['wcag2aa', 'wcag247']
+    },
+    ColorContrast: {
+        description: 'Text color and background color must have a sufficient contrast ratio.',
+        help: 'Ensure text has sufficient color contrast',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html',
+        impact: 'serious',
+        tags: ['wcag2aa', 'wcag143']
+    },
+    FocusVisible: {
+        description: 'Rules that remove the focus indicator on :focus must provide a :focus-visible replacement.',
+        help: 'Replace removed :focus indicators with a :focus-visible style',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-visible.html',
+        impact: 'serious',
+        tags: ['wcag2aa', 'wcag247']
+    },
+    ReducedMotion: {
+        description: 'Animations and transitions must be disabled or reduced when the user prefers reduced motion.',
+        help: 'Guard motion with @media (prefers-reduced-motion)',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/animation-from-interactions.html',
+        impact: 'moderate',
+        tags: ['wcag2aaa', 'wcag233']
+    },
+    FixedFontSize: {
+        description: 'Font sizes in px do not scale with the user\'s preferred text size.',
+        help: 'Use relative units such as rem or em for font sizes',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/resize-text.html',
+        impact: 'moderate',
+        tags: ['wcag2aa', 'wcag144']
+    },
+    FixedLineHeight: {
+        description: 'Line heights in px do not grow with the text and clip it when users increase text spacing.',
+        help: 'Use a unitless line-height',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/text-spacing.html',
+        impact: 'moderate',
+        tags: ['wcag21aa', 'wcag1412']
+    },
+    ImportantTextSpacing: {
+        description: 'Letter and word spacing marked !important cannot be overridden by user style sheets.',
+        help: 'Do not use !important on letter-spacing or word-spacing',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/text-spacing.html',
+        impact: 'moderate',
+        tags: ['wcag21aa', 'wcag1412']
+    },
+    InteractiveHidden: {
+        description: 'Interactive elements must not be made inoperable or invisible with pointer-events or visibility while they stay in the page.',
+        help: 'Use the disabled attribute or remove the control instead of pointer-events or visibility',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/name-role-value.html',
+        impact: 'serious',
+        tags: ['wcag2a', 'wcag412']
+    },
+    ColorVision: {
+        description: 'Colors that set text, links or states apart must stay distinguishable with color vision deficiencies.',
+        help: 'Do not rely on hue alone to tell text, links and states apart',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/use-of-color.html',
+        impact: 'serious',
+        tags: ['wcag2a', 'wcag141']
+    },
+    ContentText: {
+        description: 'Text injected with the CSS content property is not reliably announced and cannot be translated or selected.',
+        help: 'Put meaningful text in the markup instead of CSS content',
+        helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/info-and-relationships.html',
+        impact: 'moderate',
+        tags: ['wcag2a', 'wcag131']
+    }
+};
+
+const DEFAULT_MIN_CONTRAST_RATIO = 4.5;
+
+// PostCSS syntaxes of the stylesheet languages that can be scanned, by file extension.
+const STYLESHEET_SYNTAXES = {
+    '.css': postcss,
+    '.scss': scssSyntax,
+    '.less': lessSyntax
+};
+
+// At-rules whose content only applies under a condition. Their rules are merged separately.
+const CONDITIONAL_AT_RULES = ['media', 'supports', 'container'];
+
+// At-rules whose content are not style rules for elements.
+const SKIPPED_AT_RULES = ['keyframes', '-webkit-keyframes', 'font-face', 'page', 'counter-style', 'property', 'mixin', 'function'];
+
+// Selectors whose custom properties are visible to the whole document.
+const ROOT_SELECTORS = [':root', 'html'];
+
+// Maximum depth of nested var() and preprocessor variable references, to stop on cycles.
+const MAX_VAR_DEPTH = 10;
+
+// Checks whether a file is a stylesheet that can be scanned.
+function isStylesheet(filePath) {
+    return Object.prototype.hasOwnProperty.call(STYLESHEET_SYNTAXES, path.extname(filePath).toLowerCase());
+}
+
+// Parses a stylesheet with the syntax matching its file extension. Without a known extension it is parsed as CSS.
+function parseStylesheet(content, filePath = '') {
+    const syntax = STYLESHEET_SYNTAXES[path.extname(filePath).toLowerCase()] || postcss;
+    return syntax.parse(content);
+}
+
+// Loads the ESM-only "color" package once.
+let colorModule = null;
+async function loadColor() {
+    if (!colorModule) {
+        try {
+            colorModule = (await import('color')).default;
+        } catch (error) {
+            return null;
+        }
+    }
+    return colorModule;
+}
+
+// Calculates the contrast ratio between two colors.
+async function calculateContrastRatio(foreground, background) {
+    const Color = await loadColor();
+    if (!Color) return null;
+    return contrastRatio(Color, foreground, background);
+}
+
+// Calculates the contrast ratio with an already loaded Color. A translucent foreground is
+// blended over the background first. Returns null for values that are not plain colors.
+function contrastRatio(Color, foreground, background) {
+    const bgColor = parseColor(Color, background);
+    let fgColor = parseColor(Color, foreground);
+    if (!fgColor || !bgColor || bgColor.alpha() < 1) return null;
+
+    if (fgColor.alpha() < 1) {
+        fgColor = bgColor.mix(fgColor.alpha(1), fgColor.alpha());
+    }
+
+    const L1 = Math.max(fgColor.luminosity(), bgColor.luminosity());
+    const L2 = Math.min(fgColor.luminosity(), bgColor.luminosity());
+    return (L1 + 0.05) / (L2 + 0.05);
+}
+
+// Parses a color value, returning null for keywords and functions that are not colors.
+function parseColor(Color, value) {
+    if (!value) return null;
+    try {
+        return Color(value.trim());
+    } catch (error) {
+        return null;
+    }
+}
+
+// Recommends compliant colors for a failing pair (see colors.recommendContrastFix). Color
+// normalizes named colors and other notations first.
+function recommendColors(Color, foreground, background, minContrastRatio, palette) {
+    const fgColor = parseColor(Color, foreground);
+    const bgColor = parseColor(Color, background);
+    if (!fgColor || !bgColor) return null;
+    return recommendContrastFix(fgColor.rgb().string(), bgColor.rgb().string(), minContrastRatio, palette);
+}
+
+// SCSS and Less variables of a palette only work in their own syntax; other stylesheets get the plain color.
+function paletteFor(palette, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return palette.map(entry => {
+        const variable = entry.value.charAt(0);
+        if ((variable === '$' && extension !== '.scss') || (variable === '@' && extension !== '.less')) {
+            return {...entry, value: entry.color};
+        }
+        return entry;
+    });
+}
+
+// Returns the color part of a "background" or "border" shorthand, e.g. "#fff" in "#fff url(a.png) no-repeat".
+// Gradients and images are not plain colors, so a shorthand without a color yields null.
+function colorFromShorthand(Color, value) {
+    for (const token of splitValue(value)) {
+        if (parseColor(Color, token)) return token;
+    }
+    return null;
+}
+
+// Splits a CSS value on whitespace and commas that are not inside parentheses.
+function splitValue(value) {
+    const tokens = [];
+    let depth = 0;
+    let current = '';
+    for (const char of value) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth === 0 && /[\s,]/.test(char)) {
+            if (current) tokens.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) tokens.push(current);
+    return tokens;
+}
+
+// Replaces var(--x, fallback) references with the values of the custom properties in scope.
+// Returns null when a reference cannot be resolved.
+function resolveVars(value, vars, depth = 0) {
+    if (!value || !value.includes('var(')) return value;
+    if (depth > MAX_VAR_DEPTH) return null;
+
+    let unresolved = false;
+    const resolved = replaceVarCalls(value, (name, fallback) => {
+        if (vars[name] !== undefined) return vars[name];
+        if (fallback !== undefined) return fallback;
+        unresolved = true;
+        return '';
+    });
+
+    return unresolved ? null : resolveVars(resolved, vars, depth + 1);
+}
+
+// Replaces SCSS ($name) and Less (@name) variable references with their values.
+// Returns null when a reference cannot be resolved, e.g. for variables set in another file.
+function resolvePreprocessorVars(value, variables, depth = 0) {
+    if (!value || !/[$@][\w-]/.test(value)) return value;
+    if (depth > MAX_VAR_DEPTH) return null;
+
+    let unresolved = false;
+    const resolved = value.replace(/[$@][\w-]+/g, name => {
+        if (variables[name] !== undefined) return variables[name];
+        unresolved = true;
+        return name;
+    });
+
+    return unresolved ? null : resolvePreprocessorVars(resolved, variables, depth + 1);
+}
+
+// Collects the SCSS and Less variables declared at the top level of a stylesheet.
+function collectPreprocessorVars(root) {
+    const variables = {};
+    root.each(node => {
+        if (node.type === 'decl' && node.prop.startsWith('$')) {
+            variables[node.prop] = node.value.replace(/\s*!(?:default|global)\b/g, '').trim();
+        } else if (node.type === 'atrule' && node.variable) {
+            variables[`@${node.name}`] = node.value.trim();
+        }
+    });
+    return variables;
+}
+
+// Calls the replacer for every top-level var() call, handling nested parentheses in fallbacks.
+function replaceVarCalls(value, replacer) {
+    let result = '';
+    let index = 0;
+    while (index < value.length) {
+        const start = value.indexOf('var(', index);
+        if (start === -1) {
+            result += value.slice(index);
+            break;
+        }
+
+        let depth = 0;
+        let end = start + 3;
+        for (; end < value.length; end++) {
+            if (value[end] === '(') depth++;
+            if (value[end] === ')' && --depth === 0) break;
+        }
+
+        const inner = value.slice(start + 4, end);
+        const comma = inner.indexOf(',');
+        const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+        const fallback = comma === -1 ? undefined : inner.slice(comma + 1).trim();
+
+        result += value.slice(index, start) + replacer(name, fallback);
+        index = end + 1;
+    }
+    return result;
+}
+
+// Checks whether a declaration removes the focus outline.
+function removesOutline(prop, value) {
+    const normalized = value.trim().toLowerCase();
+    if (prop === 'outline') {
+        return splitValue(normalized).some(token => token === 'none' || token === '0' || /^0[a-z%]*$/.test(token));
+    }
+    if (prop === 'outline-width') {
+        return /^0[a-z%]*$/.test(normalized);
+    }
+    if (prop === 'outline-style') {
+        return normalized === 'none';
+    }
+    return false;
+}
+
+// Matches a :focus pseudo-class, but not :focus-visible or :focus-within.
+const FOCUS_PATTERN = /:focus(?![\w-])/;
+
+// Matches the recommended ":focus:not(:focus-visible)" pattern, which only hides the indicator for pointer users.
+const FOCUS_NOT_VISIBLE_PATTERN = /:focus:not\(\s*:focus-visible\s*\)/;
+
+// Matches selectors that target interactive elements or their interaction states.
+const INTERACTIVE_PATTERN = new RegExp([
+    '(?:^|[\\s>+~(])(?:a|button|input|select|textarea|summary)(?![\\w-])',
+    '\\[(?:href|tabindex|contenteditable)',
+    '\\[role\\s*=\\s*["\']?(?:button|link|checkbox|radio|tab|menuitem|switch|option|slider|textbox)',
+    ':(?:focus|active)(?![\\w-])'
+].join('|'), 'i');
+
+// Properties that start motion.
+const MOTION_PROPERTIES = ['animation', 'animation-name', 'transition', 'transition-property'];
+
+// Checks whether a declaration starts an animation or transition, given the merged declarations of
+// its selector. Transitions and animations only move with a duration above zero.
+function startsMotion(prop, value, declarations) {
+    if (!MOTION_PROPERTIES.includes(prop)) return false;
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'none' || normalized === 'initial' || normalized === 'inherit' || normalized === 'unset') return false;
+
+    const kind = prop.startsWith('animation') ? 'animation' : 'transition';
+    const durations = motionDurations(kind, declarations);
+    // A transition without a duration does not move; an animation may get one from elsewhere
+    if (durations.length === 0) return kind === 'animation';
+    return durations.some(duration => duration === null ? kind === 'animation' : duration > 0);
+}
+
+// Returns the durations of the comma separated transitions or animations in a declaration set, from
+// the duration longhand or the shorthand, whichever comes later. In a shorthand the first time is the
+// duration and the second the delay; a shorthand item without a time gives null, and "none" gives 0. Values that are not
+// plain times, such as var(), count as moving.
+function motionDurations(kind, declarations) {
+    const longhand = declarations[`${kind}-duration`];
+    const shorthand = declarations[kind];
+    const time = token => {
+        const match = /^((?:\d*\.)?\d+)m?s$/.exec(token);
+        return match ? parseFloat(match[1]) : Infinity;
+    };
+
+    if (longhand && (!shorthand || longhand.decl.source.start.offset > shorthand.decl.source.start.offset)) {
+        return postcss.list.comma(longhand.value.toLowerCase()).map(time);
+    }
+    if (shorthand) {
+        return postcss.list.comma(shorthand.value.toLowerCase()).map(item => {
+            if (item === 'none') return 0;
+            const duration = postcss.list.space(item).find(token => /^(?:\d*\.)?\d+m?s$/.test(token));
+            return duration ? time(duration) : null;
+        });
+    }
+    return [];
+}
+
+// Returns the px size in a font-size value or a font shorthand, e.g. 14 for "bold 14px/1.4 sans-serif".
+function pxFontSize(prop, value) {
+    if (prop === 'font-size') {
+        const match = value.trim().match(/^((?:\d*\.)?\d+)px$/i);
+        return match ? parseFloat(match[1]) : null;
+    }
+    if (prop === 'font') {
+        const match = value.match(/(?:^|\s)((?:\d*\.)?\d+)px(?:\s*\/|\s|$)/i);
+        return match ? parseFloat(match[1]) : null;
+    }
+    return null;
+}
+
+// Returns the px size in a line-height value or a font shorthand, e.g. 20 for "14px/20px sans-serif".
+function pxLineHeight(prop, value) {
+    if (prop === 'line-height') {
+        const match = value.trim().match(/^((?:\d*\.)?\d+)px$/i);
+        return match ? parseFloat(match[1]) : null;
+    }
+    if (prop === 'font') {
+        const match = value.match(/\/\s*((?:\d*\.)?\d+)px(?:\s|$)/i);
+        return match ? parseFloat(match[1]) : null;
+    }
+    return null;
+}
+
+// Returns the readable text in a content value, ignoring quotes, punctuation and icon font glyphs.
+// Escapes such as "\201C" are decoded first.
+function injectedText(value) {
+    const strings = value.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g) || [];
+    const text = strings
+        .map(string => string.slice(1, -1).replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10FFFF))))
+        .join('')
+        .trim();
+    return /[\p{L}\p{N}]/u.test(text) ? text : null;
+}
+
+// Returns the selector with its :focus pseudo-classes swapped for :focus-visible.
+function focusVisibleSelector(selector) {
+    return selector.replace(new RegExp(FOCUS_PATTERN.source, 'g'), ':focus-visible');
+}
+
+// Returns " in @media ..." for findings inside conditional at-rules.
+function inContext(context) {
+    return context ? ` in ${context}` : '';
+}
+
+// Checks whether a CSS check is enabled in the config. Checks are on unless switched off explicitly.
+function isCheckEnabled(cssOptions, type) {
+    const setting = cssOptions.checks ? cssOptions.checks[type] : undefined;
+    return setting !== false && setting !== 'off';
+}
+
+// Returns the conditional at-rules around a node (including the node itself), e.g. "@media (min-width: 40em)",
+// or null when the node is inside an at-rule or Less mixin that does not hold element styles.
+function ruleContext(node) {
+    const conditions = [];
+    for (let current = node; current && current.type !== 'root'; current = current.parent) {
+        if (current.type === 'rule' && isMixinDefinition(current)) return null;
+        if (current.type !== 'atrule') continue;
+        const name = current.name.toLowerCase();
+        if (SKIPPED_AT_RULES.includes(name)) return null;
+        if (CONDITIONAL_AT_RULES.includes(name)) {
+            conditions.unshift(`@${current.name} ${current.params}`);
+        }
+    }
+    return conditions.join(' ');
+}
+
+// Checks whether a rule is a Less mixin definition such as ".button-variant(@color) { ... }".
+function isMixinDefinition(rule) {
+    return /^[.#][\w-]+\s*\(/.test(rule.selector);
+}
+
+// Returns the closest rule that contains a node, for nested SCSS and Less rules.
+function closestRule(node) {
+    for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+        if (parent.type === 'rule') return parent;
+    }
+    return null;
+}
+
+// Resolves the selectors of a possibly nested rule, e.g. ".nav &:hover" inside "a" becomes ".nav a:hover".
+function resolveSelectors(rule) {
+    const parent = closestRule(rule);
+    if (!parent) return rule.selectors;
+
+    return resolveSelectors(parent).flatMap(parentSelector => rule.selectors.map(selector =>
+        selector.includes('&') ? selector.replace(/&/g, parentSelector) : `${parentSelector} ${selector}`));
+}
+
+// Collects the style rules of a stylesheet with their resolved selectors and conditions.
+// Conditional at-rules nested inside a rule (SCSS and Less) hold declarations for that rule's selectors.
+function collectRules(root) {
+    const rules = [];
+    root.walk(node => {
+        let owner = null;
+        if (node.type === 'rule') {
+            owner = node;
+        } else if (node.type === 'atrule' && CONDITIONAL_AT_RULES.includes(node.name.toLowerCase()) &&
+            (node.nodes || []).some(child => child.type === 'decl')) {
+            owner = closestRule(node);
+        }
+        if (!owner) return;
+
+        const context = ruleContext(node);
+        if (context === null) return;
+
+        // Top-level rules keep their selector as written, so fixes can find them again
+        const nested = node !== owner || closestRule(owner) !== null;
+        const selectors = resolveSelectors(owner);
+        rules.push({rule: node, selectors, selector: nested ? selectors.join(', ') : owner.selector, context});
+    });
+    return rules;
+}
+
+// Sets a declaration in a merged set, following the cascade: later wins unless the earlier one is !important.
+function mergeDeclaration(declarations, decl) {
+    const existing = declarations[decl.prop];
+    if (!existing || !existing.important || decl.important) {
+        declarations[decl.prop] = {value: decl.value, important: Boolean(decl.important), node: decl.parent, decl};
+    }
+}
+
+// Returns the source range of a PostCSS node as {line, column, endLine, endColumn}.
+// Columns are 1-based and the end column points just past the node, as in JSDOM node locations.
+function sourceRange(node) {
+    const {start, end} = node.source;
+    return {
+        line: start.line,
+        column: start.column,
+        ...(end ? {endLine: end.line, endColumn: end.column + 1} : {})
+    };
+}
+
+// Returns the CSS options of a resolved config with the checks its standard leaves out switched off.
+function resolveCSSOptions(options = {}) {
+    const standard = getStandard(options.standard);
+    const cssOptions = {minContrastRatio: DEFAULT_MIN_CONTRAST_RATIO, ...options.css};
+    // A standard turns off the checks outside its criteria, unless they are switched on explicitly
+    if (standard) {
+        cssOptions.checks = {...cssOptions.checks};
+        Object.entries(CSS_CHECKS)
+            .filter(([type, check]) => cssOptions.checks[type] === undefined && !isCheckInStandard(check.tags, standard))
+            .forEach(([type]) => cssOptions.checks[type] = false);
+    }
+    return cssOptions;
+}
+
+// Runs the CSS checks on a stylesheet string and returns the issues grouped by rule and selector.
+// The file path selects the syntax (CSS, SCSS or Less).
+async function analyzeCSS(content, options = {}, filePath = '') {
+    const standard = getStandard(options.standard);
+    const cssOptions = resolveCSSOptions(options);
+    const minContrastRatio = Math.max(Number(cssOptions.minContrastRatio) || DEFAULT_MIN_CONTRAST_RATIO, (standard && standard.minContrastRatio) || 0);
+    const Color = await loadColor();
+    const palette = cssOptions.palette ? paletteFor(loadPalette(path.resolve(options.rootDir || process.cwd(), cssOptions.palette)), filePath) : [];
+
+    const root = parseStylesheet(content, filePath);
+    const rules = collectRules(root);
+    const preprocessorVars = collectPreprocessorVars(root);
+
+    // Issues are grouped per rule node and selector, in source order.
+    // Groups carry the range of the rule and each issue the range of its declaration.
+    const groups = new Map();
+    const addIssue = (rule, selector, context, issue) => {
+        const key = `${rule.source.start.offset}\n${selector}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                selector,
+                ...sourceRange(rule),
+                ...(context ? {context} : {}),
+                issues: [],
+                offset: rule.source.start.offset
+            });
+        }
+        groups.get(key).issues.push({...issue, criteria: issue.criteria || criteriaFromTags(CSS_CHECKS[issue.type].tags)});
+    };
+
+    // Custom properties declared for the whole document
+    const rootVars = {};
+    for (const {rule, selectors} of rules) {
+        if (selectors.some(selector => ROOT_SELECTORS.includes(selector))) {
+            rule.each(decl => {
+                if (decl.type === 'decl' && decl.prop.startsWith('--')) rootVars[decl.prop] = decl.value.trim();
+            });
+        }
+    }
+
+    // Merge declarations per selector, separately for each conditional context.
+    // Conditional contexts start from the unconditional declarations, as they would in the browser.
+    const merged = new Map();
+    for (const {rule, selectors, context} of rules) {
+        for (const selector of selectors) {
+            const key = `${context}\n${selector}`;
+            if (!merged.has(key)) {
+                const base = context ? merged.get(`\n${selector}`) : null;
+                merged.set(key, {selector, context, declarations: base ? {...base.declarations} : {}, own: new Set()});
+            }
+            const entry = merged.get(key);
+            rule.each(decl => {
+                if (decl.type !== 'decl') return;
+                mergeDeclaration(entry.declarations, decl);
+                entry.own.add(decl.prop);
+            });
+        }
+    }
+
+    // Selectors that have a :focus-visible style which keeps an indicator
+    const focusVisibleSelectors = new Set();
+    // Selectors whose motion is switched off under prefers-reduced-motion: reduce
+    const reducedMotionSelectors = new Set();
+    for (const {rule, selectors, context} of rules) {
+        const declarations = rule.nodes.filter(node => node.type === 'decl');
+        if (declarations.every(decl => !removesOutline(decl.prop, decl.value))) {
+            selectors.filter(selector => selector.includes(':focus-visible')).forEach(selector => focusVisibleSelectors.add(selector));
+        }
+        if (/prefers-reduced-motion\s*:\s*reduce/i.test(context)) {
+            selectors.forEach(selector => reducedMotionSelectors.add(selector));
+        }
+    }
+    // A universal reset under prefers-reduced-motion: reduce covers every rule
+    const motionReset = ['*', '*::before', '*::after'].some(selector => reducedMotionSelectors.has(selector));
+
+    for (const {rule, selectors, selector, context} of rules) {
+        const label = `Rule "${selector}"${inContext(context)}`;
+        const add = (type, message, decl) => addIssue(rule, selector, context, {
+            type,
+            impact: CSS_CHECKS[type].impact,
+            message,
+            declaration: `${decl.prop}: ${decl.value}${decl.important ? ' !important' : ''}`,
+            ...sourceRange(decl)
+        });
+
+        const focusSelectors = selectors.filter(item => FOCUS_PATTERN.test(item));
+        const isFocusRule = focusSelectors.length > 0 && focusSelectors.length === selectors.length;
+        const motionGuarded = /prefers-reduced-motion/i.test(context) || motionReset ||
+            selectors.every(item => reducedMotionSelectors.has(item));
+        const interactive = selectors.some(item => INTERACTIVE_PATTERN.test(item));
+
+        rule.each(decl => {
+            if (decl.type !== 'decl') return;
+            const prop = decl.prop.toLowerCase();
+
+            if (removesOutline(prop, decl.value)) {
+                if (isFocusRule) {
+                    // :focus rules are fine when they only hide the indicator from pointer users,
+                    // or when a :focus-visible rule brings it back
+                    const missing = focusSelectors.filter(item =>
+                        !FOCUS_NOT_VISIBLE_PATTERN.test(item) && !focusVisibleSelectors.has(focusVisibleSelector(item)));
+                    if (missing.length > 0 && isCheckEnabled(cssOptions, 'FocusVisible')) {
+                        add('FocusVisible', `${label} uses "${decl.prop}: ${decl.value}" but has no "${missing.map(focusVisibleSelector).join(', ')}" rule that restores a focus indicator.`, decl);
+                    }
+                } else if (isCheckEnabled(cssOptions, 'FocusStyle')) {
+                    add('FocusStyle', `${label} uses "${decl.prop}: ${decl.value}". Provide an alternative focus style.`, decl);
+                }
+            }
+
+            const moves = selectors.some(item => startsMotion(prop, decl.value, merged.get(`${context}\n${item}`).declarations));
+            if (moves && !motionGuarded && isCheckEnabled(cssOptions, 'ReducedMotion')) {
+                add('ReducedMotion', `${label} uses "${decl.prop}: ${decl.value}" without a @media (prefers-reduced-motion) alternative.`, decl);
+            }
+
+            const fontSize = pxFontSize(prop, decl.value);
+            if (fontSize && isCheckEnabled(cssOptions, 'FixedFontSize')) {
+                add('FixedFontSize', `${label} sets the font size to ${fontSize}px, which does not follow the user's text size. Use rem or em.`, decl);
+            }
+
+            const lineHeight = pxLineHeight(prop, decl.value);
+            if (lineHeight && isCheckEnabled(cssOptions, 'FixedLineHeight')) {
+                add('FixedLineHeight', `${label} sets the line height to ${lineHeight}px, which clips text when spacing is increased. Use a unitless value.`, decl);
+            }
+
+            if (decl.important && (prop === 'letter-spacing' || prop === 'word-spacing') && isCheckEnabled(cssOptions, 'ImportantTextSpacing')) {
+                add('ImportantTextSpacing', `${label} marks "${decl.prop}" as !important, which stops users from adjusting text spacing.`, decl);
+            }
+
+            if (interactive && isCheckEnabled(cssOptions, 'InteractiveHidden')) {
+                const value = decl.value.trim().toLowerCase();
+                if (prop === 'pointer-events' && value === 'none') {
+                    add('InteractiveHidden', `${label} disables pointer events on an interactive element, which stays focusable and announced as operable. Use the disabled attribute instead.`, decl);
+                } else if (prop === 'visibility' && (value === 'hidden' || value === 'collapse')) {
+                    add('InteractiveHidden', `${label} hides an interactive element with "visibility: ${value}". Make sure it is not needed, or remove it from the page.`, decl);
+                }
+            }
+
+            if (prop === 'content' && isCheckEnabled(cssOptions, 'ContentText')) {
+                const text = injectedText(decl.value);
+                if (text) {
+                    add('ContentText', `${label} injects the text "${text}" with CSS content. Put meaningful text in the markup.`, decl);
+                }
+            }
+        });
+    }
+
+    // Resolves custom properties and preprocessor variables in the values of a merged declaration set
+    const valueResolver = declarations => {
+        const vars = {...rootVars};
+        const localPreprocessorVars = {...preprocessorVars};
+        Object.entries(declarations).forEach(([prop, decl]) => {
+            if (prop.startsWith('--')) vars[prop] = decl.value.trim();
+            if (prop.startsWith('$')) localPreprocessorVars[prop] = decl.value.trim();
+        });
+        return value => resolveVars(resolvePreprocessorVars(value, localPreprocessorVars), vars);
+    };
+
+    // Check the contrast of the merged color and background for every selector
+    if (isCheckEnabled(cssOptions, 'ColorContrast') && Color) {
+        for (const entry of merged.values()) {
+            const {declarations, selector, context} = entry;
+
+            // Conditional contexts only need a check when they change the colors themselves
+            const colorProps = ['color', 'background-color', 'background'];
+            if (context && !colorProps.some(prop => entry.own.has(prop))) continue;
+
+            const resolveValue = valueResolver(declarations);
+
+            const color = declarations['color'];
+            const background = pickBackground(declarations);
+            if (!color || !background) continue;
+
+            const colorValue = resolveValue(color.value);
+            const backgroundValue = background.prop === 'background' ?
+                colorFromShorthand(Color, resolveValue(background.value) || '') :
+                resolveValue(background.value);
+
+            const ratio = contrastRatio(Color, colorValue, backgroundValue);
+            if (ratio === null || ratio >= minContrastRatio) continue;
+
+            const recommendations = recommendColors(Color, colorValue, backgroundValue, minContrastRatio, palette);
+
+            // Attribute the finding to the rule that set the later of the two colors
+            const later = color.decl.source.start.offset > background.decl.source.start.offset ? color : background;
+            addIssue(later.node, selector, context, {
+                type: 'ColorContrast',
+                impact: CSS_CHECKS.ColorContrast.impact,
+                message: `Rule "${selector}"${inContext(context)} has insufficient color contrast: ratio ${ratio.toFixed(2)} (minimum ${minContrastRatio} required).`,
+                declarations: {
+                    color: colorValue,
+                    'background-color': backgroundValue
+                },
+                // Ratios that only miss a stricter minimum fail the AAA criterion
+                ...(ratio >= DEFAULT_MIN_CONTRAST_RATIO ? {criteria: [describeCriterion('1.4.6')]} : {}),
+                ...(recommendations ? {recommendations} : {}),
+                ...sourceRange(later.decl)
+            });
+        }
+    }
+
+    // Check that the text, link and state colors stay apart with color vision deficiencies
+    if (isCheckEnabled(cssOptions, 'ColorVision') && Color) {
+        const normalize = value => {
+            const color = parseColor(Color, value || '');
+            return color && color.alpha() === 1 ? color.rgb().string() : null;
+        };
+        const entries = Array.from(merged.values())
+            .filter(entry => !entry.context)
+            .map(({selector, declarations}) => {
+                const resolveValue = valueResolver(declarations);
+                const shorthandColor = decl => decl ? normalize(colorFromShorthand(Color, resolveValue(decl.value) || '')) : null;
+                const background = pickBackground(declarations);
+                const border = declarations['border-color'] || declarations['border'];
+                const decoration = declarations['text-decoration-line'] || declarations['text-decoration'];
+                return {
+                    selector,
+                    color: declarations.color ? normalize(resolveValue(declarations.color.value)) : null,
+                    background: shorthandColor(background),
+                    border: shorthandColor(border),
+                    underline: decoration ? /underline/i.test(decoration.value) : null,
+                    sources: {color: declarations.color, background, border}
+                };
+            });
+
+        for (const pair of collectStylesheetPairs(entries)) {
+            const finding = describePair(pair);
+            if (!finding) continue;
+
+            // Links are reported on the link rule, other pairs on the rule that set the later color
+            const index = pair.kind === 'link' || pair.sources[0].decl.source.start.offset > pair.sources[1].decl.source.start.offset ? 0 : 1;
+            const source = pair.sources[index];
+            addIssue(source.node, pair.selectors[index] || pair.selectors[0], '', {
+                type: 'ColorVision',
+                impact: CSS_CHECKS.ColorVision.impact,
+                ...finding,
+                declaration: `${source.decl.prop}: ${source.decl.value}${source.important ? ' !important' : ''}`,
+                ...sourceRange(source.decl)
+            });
+        }
+    }
+
+    return Array.from(groups.values())
+        .sort((a, b) => a.offset - b.offset)
+        .map(({offset, ...group}) => group);
+}
+
+// Returns whichever of background-color and the background shorthand applies, the later one winning.
+function pickBackground(declarations) {
+    const longhand = declarations['background-color'];
+    const shorthand = declarations['background'];
+    if (!longhand) return shorthand ? {...shorthand, prop: 'background'} : null;
+    if (!shorthand) return {...longhand, prop: 'background-color'};
+
+    if (longhand.important !== shorthand.important) {
+        return longhand.important ? {...longhand, prop: 'background-color'} : {...shorthand, prop: 'background'};
+    }
+    return shorthand.decl.source.start.offset > longhand.decl.source.start.offset ?
+        {...shorthand, prop: 'background'} :
+        {...longhand, prop: 'background-color'};
+}
+
+module.exports = {
+    CSS_CHECKS,
+    STYLESHEET_SYNTAXES,
+    isStylesheet,
+    parseStylesheet,
+    analyzeCSS,
+    resolveCSSOptions,
+    isCheckEnabled,
+    calculateContrastRatio,
+    resolveVars
+};
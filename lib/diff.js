@@ -0,0 +1,144 @@
+// Line based unified diff, used to preview changes before they are written to disk.
+
+const CONTEXT_LINES = 3;
+
+// Computes the edit script between two line arrays as a list of {type, line} entries, using Myers'
+// linear space diff so large files with changes far apart stay cheap.
+function diffLines(oldLines, newLines) {
+    const edits = [];
+    diffRange(oldLines, 0, oldLines.length, newLines, 0, newLines.length, edits);
+    return edits;
+}
+
+// Appends the edits that turn a[aStart, aEnd) into b[bStart, bEnd). Common leading and trailing lines
+// are skipped first; what is left is split at its middle snake and each side diffed on its own.
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, edits) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        edits.push({type: ' ', line: a[aStart]});
+        aStart++;
+        bStart++;
+    }
+    let suffix = 0;
+    while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) {
+        suffix++;
+    }
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    if (aStart === aEnd) {
+        b.slice(bStart, bEnd).forEach(line => edits.push({type: '+', line}));
+    } else if (bStart === bEnd) {
+        a.slice(aStart, aEnd).forEach(line => edits.push({type: '-', line}));
+    } else {
+        const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, snake.x, b, bStart, snake.y, edits);
+        a.slice(snake.x, snake.u).forEach(line => edits.push({type: ' ', line}));
+        diffRange(a, snake.u, aEnd, b, snake.v, bEnd, edits);
+    }
+
+    a.slice(aEnd, aEnd + suffix).forEach(line => edits.push({type: ' ', line}));
+}
+
+// Finds the middle snake of the shortest edit script between two ranges: the run of common lines
+// {x, y} to {u, v} where the paths searched from both ends meet. Diagonal k holds the points with
+// x - y = k; the backward search counts x and y from the ends of the ranges.
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    const offset = n + m + 1;
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+
+    for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+        for (let k = -d; k <= d; k += 2) {
+            const [x, y, startX, startY] = followDiagonal(forward, offset, k, d,
+                (x, y) => x < n && y < m && a[aStart + x] === b[bStart + y]);
+            if (odd && delta - k >= -(d - 1) && delta - k <= d - 1 && x + backward[offset + delta - k] >= n) {
+                return {x: aStart + startX, y: bStart + startY, u: aStart + x, v: bStart + y};
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            const [x, y, startX, startY] = followDiagonal(backward, offset, k, d,
+                (x, y) => x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]);
+            if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+                return {x: aStart + n - x, y: bStart + m - y, u: aStart + n - startX, v: bStart + m - startY};
+            }
+        }
+    }
+    throw new Error('No middle snake found');
+}
+
+// Takes one more edit onto diagonal k and follows the common lines from there. Records the furthest
+// x reached on the diagonal and returns [x, y, startX, startY] with the start of the snake.
+function followDiagonal(furthest, offset, k, d, same) {
+    let x = k === -d || (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1]) ?
+        furthest[offset + k + 1] :
+        furthest[offset + k - 1] + 1;
+    let y = x - k;
+    const [startX, startY] = [x, y];
+    while (same(x, y)) {
+        x++;
+        y++;
+    }
+    furthest[offset + k] = x;
+    return [x, y, startX, startY];
+}
+
+// Creates a unified diff between two versions of a file. Returns an empty string if nothing changed.
+function createUnifiedDiff(filePath, oldText, newText) {
+    if (oldText === newText) return '';
+
+    const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+    // Group changed lines into hunks with surrounding context
+    const hunks = [];
+    let current = null;
+    let oldLine = 1;
+    let newLine = 1;
+    edits.forEach((edit, index) => {
+        const nearChange = edits
+            .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+            .some(other => other.type !== ' ');
+
+        if (nearChange) {
+            if (!current) {
+                current = {oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: []};
+                hunks.push(current);
+            }
+            current.lines.push(edit.type + edit.line);
+            if (edit.type !== '+') current.oldCount++;
+            if (edit.type !== '-') current.newCount++;
+        } else {
+            current = null;
+        }
+
+        if (edit.type !== '+') oldLine++;
+        if (edit.type !== '-') newLine++;
+    });
+
+    const header = [`--- a/${filePath}`, `+++ b/${filePath}`];
+    const body = hunks.map(hunk => [
+        `@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`,
+        ...hunk.lines
+    ].join('\n'));
+
+    return [...header, ...body].join('\n') + '\n';
+}
+
+// Splits a text into lines for the diff. A last line without a newline carries the marker patch
+// expects, which also keeps it from matching the same line with a newline in the other version.
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += '\n\\ No newline at end of file';
+    }
+    return lines;
+}
+
+module.exports = {
+    createUnifiedDiff
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const {matchesGlob, toPosixPath} = require('./glob');
+const {isStylesheet} = require('./css-checks');
+const {isTemplate} = require('./templates');
+
+// Finds the files to scan from a list of paths and globs.
+
+// Characters that make a path a glob pattern.
+const GLOB_CHARACTERS = /[*?{]/;
+
+// Checks whether axcel can scan a file, whatever the config says.
+function isSupported(filePath) {
+    return path.extname(filePath).toLowerCase() === '.html' || isStylesheet(filePath) || isTemplate(filePath);
+}
+
+// Checks whether a file found in a directory is one axcel can scan and the config includes.
+function isScannable(filePath, options) {
+    return isSupported(filePath) && config.isIncluded(options, filePath);
+}
+
+// Expands paths and globs into the list of files to scan, without duplicates and in a stable order.
+// Files named directly are always scanned, directories are walked for files the config includes,
+// and globs (relative to the current directory) select supported files that are not excluded.
+function collectFiles(patterns, options) {
+    const files = [];
+    const seen = new Set();
+    const add = filePath => {
+        const key = path.resolve(filePath);
+        if (!seen.has(key)) {
+            seen.add(key);
+            files.push(filePath);
+        }
+    };
+
+    for (const pattern of [].concat(patterns)) {
+        if (fs.existsSync(pattern)) {
+            if (fs.statSync(pattern).isFile()) {
+                add(pattern);
+            } else {
+                walkDirectory(pattern, filePath => {
+                    if (isScannable(filePath, options)) add(filePath);
+                });
+            }
+            continue;
+        }
+
+        if (!GLOB_CHARACTERS.test(pattern)) {
+            throw new Error(`The specified path "${pattern}" does not exist.`);
+        }
+
+        const glob = toPosixPath(pattern);
+        const base = globBase(glob);
+        if (!fs.existsSync(base)) continue;
+        walkDirectory(base, filePath => {
+            if (isSupported(filePath) && !config.isExcluded(options, filePath) && matchesGlob(toPosixPath(filePath), glob)) {
+                add(filePath);
+            }
+        });
+    }
+
+    return files;
+}
+
+// Returns the directory part of a glob before its first wildcard ("src/pages" for "src/pages/**/*.html").
+function globBase(glob) {
+    const segments = glob.split('/');
+    const index = segments.findIndex(segment => GLOB_CHARACTERS.test(segment));
+    const base = segments.slice(0, index).join('/');
+    return base || (glob.startsWith('/') ? '/' : '.');
+}
+
+// Calls visit(filePath) for every file below a directory, in sorted order.
+function walkDirectory(dir, visit) {
+    for (const entry of fs.readdirSync(dir).sort()) {
+        const fullPath = path.join(dir, entry);
+        if (fs.statSync(fullPath).isDirectory()) {
+            walkDirectory(fullPath, visit);
+        } else {
+            visit(fullPath);
+        }
+    }
+}
+
+module.exports = {
+    isSupported,
+    isScannable,
+    collectFiles
+};
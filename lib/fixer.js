@@ -0,0 +1,293 @@
+const {JSDOM} = require('jsdom');
+const postcss = require('postcss');
+const {parseStylesheet} = require('./css-checks');
+
+// Maps suggested code fixes back to precise source ranges so they can be applied in place.
+// A fix is a list of edits ({start, end, text}) on the original file content. Anything that cannot
+// be located exactly is refused with a reason instead of being guessed.
+
+// Plans the fixes for a scanned file from its suggestions ({html: [...], css: [...]}).
+function planFixes(report, suggestionSet, content) {
+    let planned = {fixes: [], refused: []};
+
+    if (report.template) {
+        // Component markup is generated from the template, so element ranges do not map back to it
+        planned.refused = (suggestionSet.html || []).map(suggestion => ({
+            file: report.file,
+            rule: suggestion.ruleId,
+            suggestion: suggestion.suggestion,
+            reason: 'Fixes are not applied to component templates'
+        }));
+    } else if (report.type === 'html' && Array.isArray(suggestionSet.html)) {
+        planned = planHTMLFixes(report, suggestionSet.html, content);
+    } else if (report.type === 'css' && Array.isArray(suggestionSet.css)) {
+        planned = planCSSFixes(report, suggestionSet.css, content);
+    }
+
+    return removeOverlappingFixes(planned);
+}
+
+// Locates the affected elements of each HTML issue using JSDOM node locations. Rule-based suggestions
+// carry a fix for every element (fixes: [{target, html, codeFix, placeholder?}]); other suggestions
+// have one code fix, which is mapped onto the first affected element. Fixes that fill in a placeholder
+// are refused.
+function planHTMLFixes(report, htmlSuggestions, content) {
+    const dom = new JSDOM(content, {includeNodeLocations: true});
+    const fixes = [];
+    const refused = [];
+
+    for (const suggestion of htmlSuggestions) {
+        const issue = (report.issues || []).find(i => i.id === suggestion.ruleId);
+        const base = {file: report.file, rule: suggestion.ruleId, suggestion: suggestion.suggestion};
+
+        let nodeFixes;
+        if (Array.isArray(suggestion.fixes)) {
+            nodeFixes = suggestion.fixes.map(fix => ({
+                node: {html: fix.html, target: fix.target ? [fix.target] : null},
+                codeFix: fix.codeFix,
+                placeholder: fix.placeholder,
+                finding: fix.node || fix.target
+            }));
+        } else {
+            const node = issue && issue.nodes && issue.nodes[0];
+            nodeFixes = node ? [{node, codeFix: suggestion.codeFix, finding: Array.isArray(node.target) ? node.target.join(' ') : null}] : [];
+        }
+
+        if (nodeFixes.length === 0) {
+            refused.push({...base, reason: 'No affected element reported for this rule'});
+            continue;
+        }
+        for (const {node, codeFix, placeholder, finding} of nodeFixes) {
+            // A placeholder hides the finding without giving the element a meaningful name or language
+            if (placeholder) {
+                refused.push({...base, target: finding, reason: `Fix uses a placeholder that only you can fill in: ${codeFix}`});
+                continue;
+            }
+            const planned = planNodeFix(dom, node, (codeFix || '').trim());
+            if (planned.reason) {
+                refused.push({...base, target: finding, reason: planned.reason});
+            } else {
+                fixes.push({...base, target: finding, ...planned});
+            }
+        }
+    }
+
+    return {fixes, refused};
+}
+
+// Maps the code fix of one element onto the source: {line, column, edits}, or {reason} when it cannot.
+function planNodeFix(dom, node, codeFix) {
+    if (!codeFix || codeFix.includes('<!--')) {
+        return {reason: 'Suggestion is advice only, not a code replacement'};
+    }
+    if (codeFix === node.html) {
+        return {reason: 'Fix does not change the source'};
+    }
+    if (!Array.isArray(node.target) || node.target.length !== 1 || typeof node.target[0] !== 'string') {
+        return {reason: 'Element is inside a frame or shadow root'};
+    }
+
+    let element;
+    try {
+        element = dom.window.document.querySelector(node.target[0]);
+    } catch (error) {
+        element = null;
+    }
+    const location = element && dom.nodeLocation(element);
+    if (!location) {
+        return {reason: `Cannot locate "${node.target[0]}" in the source`};
+    }
+
+    const outerHTML = element.outerHTML;
+    const startTag = outerHTML.substring(0, outerHTML.indexOf('>') + 1);
+    const fixStartTag = codeFix.substring(0, codeFix.indexOf('>') + 1);
+    const sameTag = tagName(fixStartTag) === element.tagName.toLowerCase();
+    const position = {line: location.startLine, column: location.startCol};
+
+    // axe truncates long elements to their start tag, so only a start tag fix can be mapped then
+    if (node.html === startTag && node.html !== outerHTML) {
+        if (!sameTag || fixStartTag !== codeFix || !location.startTag) {
+            return {reason: 'Reported snippet is truncated and the fix changes more than the start tag'};
+        }
+        return {...position, edits: [{start: location.startTag.startOffset, end: location.startTag.endOffset, text: codeFix}]};
+    }
+
+    if (node.html !== outerHTML) {
+        return {reason: 'Reported snippet no longer matches the source'};
+    }
+
+    // Only the start tag changed: rewrite it and leave the element content untouched
+    if (sameTag && location.startTag && codeFix.substring(fixStartTag.length) === outerHTML.substring(startTag.length)) {
+        return {...position, edits: [{start: location.startTag.startOffset, end: location.startTag.endOffset, text: fixStartTag}]};
+    }
+
+    if (!isSingleElement(codeFix)) {
+        return {reason: 'Fix is not a single replacement element'};
+    }
+    return {...position, edits: [{start: location.startOffset, end: location.endOffset, text: codeFix}]};
+}
+
+// Returns the lower-case tag name of a start tag.
+function tagName(startTag) {
+    const match = startTag.match(/^<([a-zA-Z][\w-]*)/);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Checks that an HTML fragment is exactly one element with no loose text around it.
+function isSingleElement(html) {
+    const fragment = JSDOM.fragment(html);
+    const elements = Array.from(fragment.childNodes).filter(child => child.nodeType === 1);
+    const looseText = Array.from(fragment.childNodes).some(child => child.nodeType === 3 && child.textContent.trim());
+    return elements.length === 1 && !looseText;
+}
+
+// Maps CSS fixes onto the declarations of the flagged rule. Changed values replace the original
+// declaration, new properties are inserted after the last declaration of the rule.
+function planCSSFixes(report, cssSuggestions, content) {
+    const root = parseStylesheet(content, report.file);
+    const fixes = [];
+    const refused = [];
+
+    for (const suggestion of cssSuggestions) {
+        const base = {file: report.file, rule: suggestion.type, selector: suggestion.selector, suggestion: suggestion.suggestion};
+
+        const rules = root.nodes.filter(node => node.type === 'rule' && node.selector === suggestion.selector);
+        if (rules.length !== 1) {
+            refused.push({...base, reason: rules.length === 0 ?
+                    `Rule "${suggestion.selector}" not found in the source` :
+                    `Selector "${suggestion.selector}" matches ${rules.length} rules`});
+            continue;
+        }
+        const rule = rules[0];
+
+        // Findings inside @media blocks or nested rules share the selector but not the rule
+        const elsewhere = (report.issues || []).some(issue => issue.selector === suggestion.selector &&
+            (issue.issues || []).some(cssIssue => cssIssue.type === suggestion.type) &&
+            issue.line !== rule.source.start.line);
+        if (elsewhere) {
+            refused.push({...base, reason: `Finding is not in the top-level rule "${suggestion.selector}"`});
+            continue;
+        }
+
+        const fixedDecls = parseFixedDeclarations(suggestion.codeFix || '', suggestion.selector);
+        if (!fixedDecls || fixedDecls.length === 0) {
+            refused.push({...base, reason: 'Fix does not contain CSS declarations for this rule'});
+            continue;
+        }
+
+        const existing = rule.nodes.filter(node => node.type === 'decl');
+        if (existing.length === 0) {
+            refused.push({...base, reason: 'Rule has no declarations to anchor the fix'});
+            continue;
+        }
+
+        const edits = [];
+        const inserted = [];
+        let variable = null;
+        for (const decl of fixedDecls) {
+            const current = existing.filter(d => d.prop === decl.prop).pop();
+            if (current) {
+                if (current.value === decl.value) continue;
+                // Replacing a variable with a literal would cut the rule off from it and leave the variable as it is
+                if (usesVariable(current.value)) {
+                    variable = {current, decl};
+                    break;
+                }
+                const start = current.source.start.offset;
+                const end = current.source.end.offset;
+                const important = current.important || decl.important ? (current.raws.important || ' !important') : '';
+                const semicolon = content[end - 1] === ';' ? ';' : '';
+                edits.push({start, end, text: `${current.prop}${current.raws.between}${decl.value}${important}${semicolon}`});
+            } else {
+                inserted.push(decl);
+            }
+        }
+
+        if (variable) {
+            const {current, decl} = variable;
+            refused.push({...base, reason: `"${current.prop}: ${current.value}" takes its value from a variable; change the variable instead (suggested value: ${decl.value})`});
+            continue;
+        }
+
+        if (inserted.length > 0) {
+            const last = existing[existing.length - 1];
+            const end = last.source.end.offset;
+            const before = last.raws.before || ' ';
+            const between = last.raws.between || ': ';
+            const lines = inserted.map(decl => `${before}${decl.prop}${between}${decl.value}${decl.important ? ' !important' : ''}`);
+            const text = content[end - 1] === ';' ?
+                lines.map(line => `${line};`).join('') :
+                lines.map(line => `;${line}`).join('');
+            edits.push({start: end, end, text});
+        }
+
+        if (edits.length === 0) {
+            refused.push({...base, reason: 'Fix does not change the source'});
+            continue;
+        }
+
+        fixes.push({...base, line: rule.source.start.line, column: rule.source.start.column, edits});
+    }
+
+    return {fixes, refused};
+}
+
+// Checks whether a declaration value reads a custom property, or an SCSS or Less variable.
+function usesVariable(value) {
+    return /\bvar\(|(^|[^\w-])[$@][\w-]/i.test(value);
+}
+
+// Extracts the declarations of the fixed rule from a suggested code fix.
+function parseFixedDeclarations(codeFix, selector) {
+    const fixedCode = codeFix.split('/* Fixed version: */').pop().replace(/```(?:css)?/g, '');
+
+    let root;
+    try {
+        root = postcss.parse(fixedCode);
+    } catch (error) {
+        return null;
+    }
+
+    const rules = root.nodes.filter(node => node.type === 'rule');
+    const rule = rules.find(r => r.selector === selector) || (rules.length === 1 ? rules[0] : null);
+    if (!rule) return null;
+
+    return rule.nodes
+        .filter(node => node.type === 'decl')
+        .map(decl => ({prop: decl.prop, value: decl.value, important: Boolean(decl.important)}));
+}
+
+// Drops fixes whose edits overlap an earlier fix, since applying both would corrupt the file.
+function removeOverlappingFixes({fixes, refused}) {
+    const accepted = [];
+    const overlapping = (a, b) => a.start < b.end && b.start < a.end;
+
+    for (const fix of fixes) {
+        const conflict = accepted.some(other =>
+            other.edits.some(a => fix.edits.some(b => overlapping(a, b))));
+        if (conflict) {
+            refused.push({...fix, reason: 'Overlaps another fix in the same file'});
+        } else {
+            accepted.push(fix);
+        }
+    }
+
+    return {fixes: accepted, refused};
+}
+
+// Applies a set of fixes to the original content. Edits are applied back to front so offsets stay valid.
+function applyFixes(content, fixes) {
+    const edits = fixes.flatMap(fix => fix.edits)
+        .sort((a, b) => b.start - a.start || b.end - a.end);
+
+    let result = content;
+    for (const edit of edits) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    planFixes,
+    applyFixes
+};
@@ -0,0 +1,320 @@
+const path = require('path');
+const {generateSARIFReport} = require('./sarif');
+const {generateHTMLReport} = require('./html-report');
+const {generateMarkdownReport} = require('./markdown-report');
+const {listSuppressed} = require('./suppressions');
+const {isURL} = require('./glob');
+
+// Report formatters. Each one takes a list of file reports ({file, issues, suppressed, aiSuggestions, ...})
+// and returns the report as a string.
+
+// Formats file reports as JSON. Scanner internals such as the axe passes are left out.
+function formatJSON(results) {
+    return JSON.stringify(results.map(toOutput), null, 2);
+}
+
+// Picks the parts of a file report that are written to JSON output.
+function toOutput(result) {
+    const output = {file: result.file, issues: result.issues || []};
+    if (result.error) output.error = result.error;
+    if (result.suppressed && result.suppressed.length > 0) output.suppressed = result.suppressed;
+    if (result.unusedSuppressions && result.unusedSuppressions.length > 0) output.unusedSuppressions = result.unusedSuppressions;
+    if (result.aiSuggestions) output.aiSuggestions = result.aiSuggestions;
+    if (result.fixedIssues) output.fixedIssues = result.fixedIssues;
+    return output;
+}
+
+// Formats file reports as a SARIF 2.1.0 log. rootDir is the directory file URIs are relative to.
+function formatSARIF(results, {rootDir} = {}) {
+    return JSON.stringify(generateSARIFReport(results, {rootDir}), null, 2);
+}
+
+// Formats file reports as a self-contained HTML page with a summary dashboard, filters and grouping.
+// groupBy is one of GROUP_BY.
+function formatHTML(results, {groupBy} = {}) {
+    return generateHTMLReport(results, {groupBy});
+}
+
+// Formats file reports as GitHub-flavoured Markdown for pull-request comments. rootDir is the directory
+// paths are shown relative to, maxLength shortens the report to a number of characters and groupBy
+// makes a section per file, rule or success criterion.
+function formatMarkdown(results, {rootDir, maxLength, groupBy} = {}) {
+    return generateMarkdownReport(results, {rootDir, maxLength, groupBy});
+}
+
+// Formats file reports as a plain-text table for the terminal. The width defaults to the terminal's,
+// and footer: false leaves out the closing hint (used by watch mode).
+function formatTable(results, {width = process.stdout.columns, footer = true} = {}) {
+    const lines = [];
+
+    // Get terminal width for better formatting
+    let terminalWidth = width || 120;
+    terminalWidth = Math.min(terminalWidth, 140);
+
+    const columnWidths = {
+        file: Math.floor(terminalWidth * 0.15),
+        issue: Math.floor(terminalWidth * 0.12),
+        impact: Math.floor(terminalWidth * 0.08),
+        description: Math.floor(terminalWidth * 0.32),
+        suggestion: Math.floor(terminalWidth * 0.33)
+    };
+
+    // Get total width for separators (add 4 for the | separators)
+    const totalWidth = Object.values(columnWidths).reduce((a, b) => a + b, 0) + 4;
+
+    // Print table header
+    lines.push('\n' + '='.repeat(totalWidth));
+    lines.push('ACCESSIBILITY SCAN REPORT');
+    lines.push('='.repeat(totalWidth));
+
+    // Function to wrap text to fit within column width
+    const wrapText = (text, maxWidth) => {
+        if (!text || text.length <= maxWidth) return [text || ''];
+
+        const words = text.split(' ');
+        const lines = [];
+        let currentLine = '';
+
+        words.forEach(word => {
+            if ((currentLine + ' ' + word).length <= maxWidth) {
+                currentLine += (currentLine ? ' ' : '') + word;
+            } else {
+                if (currentLine) lines.push(currentLine);
+                currentLine = word.length > maxWidth ? word.substring(0, maxWidth - 3) + '...' : word;
+            }
+        });
+
+        if (currentLine) lines.push(currentLine);
+        return lines;
+    };
+
+    // Format a row with proper column widths
+    const formatRow = (file, issue, impact, description, suggestion) => {
+        const wrappedDesc = wrapText(description, columnWidths.description);
+        const wrappedSuggestion = wrapText(suggestion, columnWidths.suggestion);
+
+        // Calculate the maximum number of lines needed
+        const maxLines = Math.max(1, wrappedDesc.length, wrappedSuggestion.length);
+
+        if (maxLines === 1) {
+            return [
+                file.substring(0, columnWidths.file).padEnd(columnWidths.file),
+                issue.substring(0, columnWidths.issue).padEnd(columnWidths.issue),
+                impact.substring(0, columnWidths.impact).padEnd(columnWidths.impact),
+                description.substring(0, columnWidths.description).padEnd(columnWidths.description),
+                suggestion.substring(0, columnWidths.suggestion).padEnd(columnWidths.suggestion)
+            ].join('|');
+        } else {
+            // Multiple lines case
+            const lines = [];
+            for (let i = 0; i < maxLines; i++) {
+                const line = [
+                    i === 0 ? file.substring(0, columnWidths.file).padEnd(columnWidths.file) : ''.padEnd(columnWidths.file),
+                    i === 0 ? issue.substring(0, columnWidths.issue).padEnd(columnWidths.issue) : ''.padEnd(columnWidths.issue),
+                    i === 0 ? impact.substring(0, columnWidths.impact).padEnd(columnWidths.impact) : ''.padEnd(columnWidths.impact),
+                    (wrappedDesc[i] || '').padEnd(columnWidths.description),
+                    (wrappedSuggestion[i] || '').padEnd(columnWidths.suggestion)
+                ].join('|');
+                lines.push(line);
+            }
+            return lines.join('\n');
+        }
+    };
+
+    // Print column headers
+    lines.push(formatRow('FILE', 'ISSUE', 'IMPACT', 'DESCRIPTION', 'SUGGESTION'));
+    lines.push('-'.repeat(totalWidth));
+
+    // For each result file
+    results.forEach(result => {
+        const fileName = isURL(result.file) ? displayURL(result.file) : path.basename(result.file);
+
+        // Process HTML issues
+        if (result.issues && Array.isArray(result.issues)) {
+            result.issues.forEach(issue => {
+                // Handle regular issues (HTML)
+                if (issue.id) {
+                    const issueName = issue.id;
+                    const impact = issue.impact || 'N/A';
+                    const description = issue.description || issue.help || 'No description';
+
+                    // Find matching suggestion if AI is enabled
+                    let suggestion = 'No AI suggestion available';
+                    if (result.aiSuggestions && result.aiSuggestions.html) {
+                        const matchingSuggestion = result.aiSuggestions.html.find(s => s.ruleId === issue.id);
+                        if (matchingSuggestion) {
+                            suggestion = matchingSuggestion.suggestion;
+                        }
+                    }
+
+                    lines.push(formatRow(fileName, issueName, impact, description, suggestion));
+
+                    // If there are nodes affected, print them indented
+                    if (issue.nodes && issue.nodes.length > 0) {
+                        lines.push(`    Affected element: ${issue.nodes[0].html.substring(0, Math.min(totalWidth - 20, 100))}${issue.nodes[0].html.length > Math.min(totalWidth - 20, 100) ? '...' : ''}`);
+                        issue.nodes.filter(node => node.line).forEach(node => {
+                            lines.push(`    Location: ${formatLocation(result.file, node)}`);
+                        });
+                        if (issue.nodes[0].stylesheets && issue.nodes[0].stylesheets.length > 0) {
+                            lines.push(`    Styled by: ${issue.nodes[0].stylesheets.join(', ')}`);
+                        }
+
+                        // Print code fix if available
+                        if (result.aiSuggestions && result.aiSuggestions.html) {
+                            const matchingSuggestion = result.aiSuggestions.html.find(s => s.ruleId === issue.id);
+                            if (matchingSuggestion && matchingSuggestion.codeFix) {
+                                const codeFixLines = matchingSuggestion.codeFix.split('\n');
+                                if (codeFixLines.length === 1 || codeFixLines.length === 2) {
+                                    lines.push(`    Suggested fix: ${matchingSuggestion.codeFix.substring(0, Math.min(totalWidth - 20, 120))}${matchingSuggestion.codeFix.length > Math.min(totalWidth - 20, 120) ? '...' : ''}`);
+                                } else {
+                                    // For longer fixes, show on multiple lines with limited width
+                                    lines.push(`    Suggested fix:`);
+                                    codeFixLines.slice(0, 4).forEach(line => {
+                                        lines.push(`      ${line.substring(0, Math.min(totalWidth - 6, 100))}`);
+                                    });
+                                    if (codeFixLines.length > 4) {
+                                        lines.push(`      ...`);
+                                    }
+                                }
+                            }
+                        }
+
+                        lines.push('-'.repeat(totalWidth));
+                    }
+                }
+                // Handle CSS issues
+                else if (issue.selector) {
+                    issue.issues.forEach(cssIssue => {
+                        const issueName = cssIssue.type;
+                        const impact = cssIssue.impact || 'N/A';
+                        const description = cssIssue.message || 'No description';
+
+                        // Find matching suggestion if AI is enabled
+                        let suggestion = 'No AI suggestion available';
+                        if (result.aiSuggestions && result.aiSuggestions.css) {
+                            const matchingSuggestion = result.aiSuggestions.css.find(s =>
+                                s.selector === issue.selector && s.type === cssIssue.type);
+                            if (matchingSuggestion) {
+                                suggestion = matchingSuggestion.suggestion;
+                            }
+                        }
+
+                        lines.push(formatRow(fileName, issueName, impact, description, suggestion));
+
+                        // Print the selector and declaration
+                        lines.push(`    Selector: ${issue.selector}`);
+                        if (issue.source) {
+                            lines.push(`    Source: ${issue.source}`);
+                        }
+                        if (cssIssue.line || issue.line) {
+                            lines.push(`    Location: ${formatLocation(result.file, cssIssue.line ? cssIssue : issue)}`);
+                        }
+                        if (issue.context) {
+                            lines.push(`    Applies in: ${issue.context}`);
+                        }
+                        if (cssIssue.declaration) {
+                            lines.push(`    Declaration: ${cssIssue.declaration}`);
+                        } else if (cssIssue.declarations) {
+                            Object.entries(cssIssue.declarations).forEach(([prop, value]) => {
+                                lines.push(`    ${prop}: ${value}`);
+                            });
+                        }
+
+                        // Print code fix if available
+                        if (result.aiSuggestions && result.aiSuggestions.css) {
+                            const matchingSuggestion = result.aiSuggestions.css.find(s =>
+                                s.selector === issue.selector && s.type === cssIssue.type);
+                            if (matchingSuggestion && matchingSuggestion.codeFix) {
+                                const codeFixLines = matchingSuggestion.codeFix.split('\n');
+                                if (codeFixLines.length <= 2) {
+                                    // For short fixes, show on a single line
+                                    const codeFix = matchingSuggestion.codeFix.replace(/\n/g, ' ').substring(0, Math.min(totalWidth - 20, 120));
+                                    lines.push(`    Suggested fix: ${codeFix}${matchingSuggestion.codeFix.length > Math.min(totalWidth - 20, 120) ? '...' : ''}`);
+                                } else {
+                                    // For longer fixes, show on multiple lines
+                                    lines.push(`    Suggested fix:`);
+                                    codeFixLines.slice(0, 4).forEach(line => {
+                                        lines.push(`      ${line.substring(0, Math.min(totalWidth - 6, 100))}`);
+                                    });
+                                    if (codeFixLines.length > 4) {
+                                        lines.push(`      ...`);
+                                    }
+                                }
+                            }
+                        }
+
+                        lines.push('-'.repeat(totalWidth));
+                    });
+                }
+            });
+        }
+    });
+
+    // Suppressed issues and stale suppression comments are listed after the table
+    const suppressed = results.flatMap(result => listSuppressed(result.suppressed).map(entry => ({file: result.file, ...entry})));
+    if (suppressed.length > 0) {
+        lines.push(`\nSuppressed issues (${suppressed.length}):`);
+        suppressed.forEach(entry => {
+            lines.push(`  ${entry.line ? formatLocation(entry.file, entry) : entry.file} ${entry.rule} ${entry.target}`);
+            lines.push(`    Reason: ${entry.reason} (line ${entry.directiveLine})`);
+        });
+    }
+
+    const unused = results.flatMap(result => (result.unusedSuppressions || []).map(directive => ({file: result.file, ...directive})));
+    if (unused.length > 0) {
+        lines.push(`\nUnused suppression comments (${unused.length}):`);
+        unused.forEach(directive => {
+            lines.push(`  ${directive.file}:${directive.line} axcel-${directive.kind}${directive.rules.length ? ` ${directive.rules.join(', ')}` : ''} suppresses nothing`);
+        });
+    }
+
+    if (footer) {
+        lines.push('\nScan complete. Use --report=json or --report=html with --output=filename.ext to save full reports with AI suggestions.');
+    }
+
+    return lines.join('\n');
+}
+
+// Formats a finding's position as "path:line:column", which terminals and editors turn into links
+function formatLocation(file, {line, column}) {
+    return `${file}:${line}${column ? `:${column}` : ''}`;
+}
+
+// Shortens a page URL to its path and query for the table
+function displayURL(url) {
+    const {pathname, search} = new URL(url);
+    return pathname + search;
+}
+
+// Ways the html and markdown reports can group findings.
+const GROUP_BY = ['file', 'rule', 'criterion'];
+
+// Formatters by report format name.
+const FORMATTERS = {
+    table: formatTable,
+    json: formatJSON,
+    html: formatHTML,
+    sarif: formatSARIF,
+    markdown: formatMarkdown
+};
+
+// Formats file reports in one of the formats above.
+function formatReport(format, results, options = {}) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unsupported report format "${format}". Use one of: ${Object.keys(FORMATTERS).join(', ')}.`);
+    }
+    return formatter(results, options);
+}
+
+module.exports = {
+    FORMATTERS,
+    GROUP_BY,
+    formatReport,
+    formatTable,
+    formatJSON,
+    formatHTML,
+    formatSARIF,
+    formatMarkdown,
+    formatLocation
+};
@@ -0,0 +1,84 @@
+const path = require('path');
+
+// Minimal glob matching used for include/exclude patterns and per-glob overrides.
+// Supports "**", "*", "?" and "{a,b}" alternatives, which covers the patterns used in config files.
+
+// Converts a glob pattern into a regular expression.
+function globToRegExp(glob) {
+    let pattern = '';
+    let inGroup = false;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a trailing "**" matches everything
+                if (glob[i + 2] === '/') {
+                    pattern += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    pattern += '.*';
+                    i += 1;
+                }
+            } else {
+                pattern += '[^/]*';
+            }
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            inGroup = true;
+            pattern += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            pattern += ')';
+        } else if (char === ',' && inGroup) {
+            pattern += '|';
+        } else {
+            pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${pattern}$`);
+}
+
+// Normalizes a path to forward slashes so patterns behave the same on every platform.
+function toPosixPath(filePath) {
+    return filePath.split('\\').join('/').replace(/^\.\//, '');
+}
+
+// Checks whether a scanned "file" is a crawled page URL.
+function isURL(file) {
+    return /^https?:\/\//i.test(file);
+}
+
+// Returns the path of a scanned file relative to the root, in forward slash form. Crawled pages keep their URL.
+function toReportPath(rootDir, file) {
+    if (isURL(file)) return file;
+    return toPosixPath(path.relative(rootDir, path.resolve(file)));
+}
+
+// Checks whether a path matches a glob pattern. Patterns without a slash match the file name at any depth.
+function matchesGlob(filePath, glob) {
+    const normalized = toPosixPath(filePath);
+    const normalizedGlob = toPosixPath(glob);
+    if (!normalizedGlob.includes('/')) {
+        return globToRegExp(`**/${normalizedGlob}`).test(normalized);
+    }
+    return globToRegExp(normalizedGlob).test(normalized);
+}
+
+// Checks whether a path matches any of the given glob patterns.
+function matchesAny(filePath, globs) {
+    if (!Array.isArray(globs) || globs.length === 0) return false;
+    return globs.some(glob => matchesGlob(filePath, glob));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob,
+    matchesAny,
+    toPosixPath,
+    isURL,
+    toReportPath
+};
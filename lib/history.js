@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const {execFileSync} = require('child_process');
+const baseline = require('./baseline');
+const {IMPACT_LEVELS, isImpactLevel} = require('./severity');
+const {isURL} = require('./glob');
+
+// Local scan history for "axcel trend". Every recorded run is one JSON line holding its time,
+// git commit and the normalized findings with their baseline fingerprints, so any two runs
+// can be compared and the file can be appended to without reading it.
+
+const DEFAULT_HISTORY_FILE = path.join('.axcel', 'history.jsonl');
+
+const HISTORY_VERSION = 1;
+
+// Ways the counts of a run can be broken down.
+const DIMENSIONS = ['impact', 'rule', 'directory'];
+
+// Returns the history file of a resolved config, relative to its root directory unless given as an absolute path.
+function resolveHistoryFile(config) {
+    return path.resolve(config.rootDir, (config.history && config.history.file) || DEFAULT_HISTORY_FILE);
+}
+
+// Reads the current git commit and branch of a directory, or nulls outside a repository.
+function gitInfo(cwd) {
+    const git = args => {
+        try {
+            return execFileSync('git', args, {cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore']}).trim() || null;
+        } catch (error) {
+            return null;
+        }
+    };
+    const commit = git(['rev-parse', 'HEAD']);
+    return {commit, branch: commit ? git(['rev-parse', '--abbrev-ref', 'HEAD']) : null};
+}
+
+// Builds the history record of a run from scan results ([{file, report}]). target is what was scanned.
+function createRun(results, {rootDir = process.cwd(), target = null, timestamp = new Date()} = {}) {
+    const {commit, branch} = gitInfo(rootDir);
+    return {
+        version: HISTORY_VERSION,
+        timestamp: timestamp.toISOString(),
+        commit,
+        branch,
+        target,
+        files: results.length,
+        errors: results.filter(result => (result.report || result).error).length,
+        issues: baseline.collectFindings(results, rootDir)
+            .map(({fingerprint, file, rule, target: findingTarget, impact}) => ({fingerprint, file, rule, target: findingTarget, impact}))
+    };
+}
+
+// Appends a run to the history file, creating the file and its directory when needed.
+function appendRun(historyFile, run) {
+    fs.mkdirSync(path.dirname(historyFile), {recursive: true});
+    fs.appendFileSync(historyFile, `${JSON.stringify(run)}\n`);
+}
+
+// Reads every run of a history file in the order they were recorded. Each run gets its 1-based number as id.
+function readHistory(historyFile) {
+    if (!fs.existsSync(historyFile)) {
+        throw new Error(`History file "${historyFile}" does not exist. Record runs with "axcel scan --history".`);
+    }
+
+    return fs.readFileSync(historyFile, 'utf-8')
+        .split('\n')
+        .map((line, index) => ({line: line.trim(), number: index + 1}))
+        .filter(({line}) => line)
+        .map(({line, number}, index) => {
+            let run;
+            try {
+                run = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid history file "${historyFile}" at line ${number}: ${error.message}`);
+            }
+            if (!Array.isArray(run.issues)) {
+                throw new Error(`Invalid history file "${historyFile}" at line ${number}: missing "issues" list.`);
+            }
+            return {id: index + 1, ...run};
+        });
+}
+
+// Finds a run by its number, a negative number counted from the latest run (-1 is the latest),
+// or the start of its commit hash. The latest run wins when several share a commit.
+function findRun(runs, ref) {
+    const text = String(ref).trim();
+    if (/^-?\d+$/.test(text)) {
+        const number = Number(text);
+        const run = number < 0 ? runs[runs.length + number] : runs[number - 1];
+        if (run) return run;
+    }
+    const matches = runs.filter(run => run.commit && text.length >= 4 && run.commit.startsWith(text));
+    if (matches.length > 0) return matches[matches.length - 1];
+    throw new Error(`No run "${text}" in the history. Use a run number, a negative number from the latest run, or a commit.`);
+}
+
+// Returns the key a finding is counted under for a dimension.
+function dimensionKey(finding, dimension) {
+    if (dimension === 'impact') return isImpactLevel(finding.impact) ? finding.impact : 'minor';
+    if (dimension === 'rule') return finding.rule;
+    if (isURL(finding.file)) {
+        const url = new URL(finding.file);
+        return url.origin + path.posix.dirname(url.pathname);
+    }
+    return path.posix.dirname(finding.file);
+}
+
+// Counts the findings of a run by a dimension.
+function countRun(run, dimension) {
+    const counts = new Map();
+    for (const finding of run.issues) {
+        const key = dimensionKey(finding, dimension);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+// Compares two runs by fingerprint: fixed findings are only in the first run, regressed ones only in the second.
+// Findings outside what the second run scanned are not counted as fixed.
+function compareRuns(from, to) {
+    const {newIssues, fixedIssues, unchanged} = baseline.compareWithBaseline(to.issues, {issues: from.issues}, file => isInTarget(file, to.target));
+    return {fixed: fixedIssues, regressed: newIssues, unchanged};
+}
+
+// Checks whether a finding's file was covered by a run's target (a path relative to the root, or a crawled URL).
+function isInTarget(file, target) {
+    if (!target || target === '.') return true;
+    if (isURL(target)) return isURL(file) && new URL(file).origin === new URL(target).origin;
+    return file === target || file.startsWith(`${target}/`);
+}
+
+// Builds the series of counts for a list of runs: {keys, rows: [{run, total, counts, fixed, regressed}]}.
+// Impact keys are ordered by severity, other keys by their count in the latest run. fixed and
+// regressed compare each run with the one before it in the list.
+function buildSeries(runs, dimension = 'impact') {
+    const rows = runs.map((run, index) => {
+        const comparison = index > 0 ? compareRuns(runs[index - 1], run) : null;
+        return {
+            run,
+            total: run.issues.length,
+            counts: countRun(run, dimension),
+            fixed: comparison ? comparison.fixed.length : null,
+            regressed: comparison ? comparison.regressed.length : null
+        };
+    });
+
+    let keys;
+    if (dimension === 'impact') {
+        keys = IMPACT_LEVELS.slice().reverse();
+    } else {
+        const latest = rows.length > 0 ? rows[rows.length - 1].counts : new Map();
+        const all = new Set(rows.flatMap(row => [...row.counts.keys()]));
+        keys = [...all].sort((a, b) => (latest.get(b) || 0) - (latest.get(a) || 0) || a.localeCompare(b));
+    }
+
+    return {dimension, keys, rows};
+}
+
+module.exports = {
+    DEFAULT_HISTORY_FILE,
+    DIMENSIONS,
+    resolveHistoryFile,
+    gitInfo,
+    createRun,
+    appendRun,
+    readHistory,
+    findRun,
+    countRun,
+    compareRuns,
+    isInTarget,
+    buildSeries
+};
@@ -0,0 +1,983 @@
+const cheerio = require('cheerio');
+const axe = require('axe-core');
+const {recommendContrastFix, pickContrastFix} = require('./colors');
+
+// Rule-based fixes for axe-core findings. Each affected element is parsed with cheerio and changed
+// by the transform of its rule, using the check data axe reports for it (the invalid attribute, the
+// role, the colors). The fix keeps the reported markup byte for byte except for what the transform
+// changed, so it maps back onto the source. Rules that depend on the rest of the page (heading
+// order, landmarks, table headers) come with advice only.
+
+const {ariaAttrs, ariaRoles} = axe.utils.getStandards();
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Attribute values read as true or false when an ARIA state only takes tokens
+const TRUE_VALUES = new Set(['yes', 'on', '1', 'checked', 'selected', 'pressed', 'expanded']);
+const FALSE_VALUES = new Set(['no', 'off', '0', 'none', '']);
+
+// Values used when an invalid token has no true/false reading
+const DEFAULT_TOKENS = {
+    'aria-live': 'polite',
+    'aria-current': 'true',
+    'aria-autocomplete': 'none',
+    'aria-sort': 'none',
+    'aria-orientation': 'horizontal',
+    'aria-haspopup': 'true'
+};
+
+// Replacements for deprecated roles. Other deprecated roles are removed.
+const DEPRECATED_ROLES = {
+    directory: 'list',
+    'doc-biblioentry': 'listitem',
+    'doc-endnote': 'listitem'
+};
+
+// Autofill field names (HTML autocomplete attribute), and common misspellings of them
+const AUTOCOMPLETE_FIELDS = new Set([
+    'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix', 'nickname',
+    'username', 'new-password', 'current-password', 'one-time-code', 'organization-title', 'organization',
+    'street-address', 'address-line1', 'address-line2', 'address-line3', 'address-level4', 'address-level3',
+    'address-level2', 'address-level1', 'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name',
+    'cc-additional-name', 'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc',
+    'cc-type', 'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+    'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+    'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+]);
+const AUTOCOMPLETE_ALIASES = {
+    nope: 'off', no: 'off', false: 'off', disabled: 'off', none: 'off', true: 'on', yes: 'on',
+    firstname: 'given-name', 'first-name': 'given-name', fname: 'given-name',
+    lastname: 'family-name', 'last-name': 'family-name', surname: 'family-name', lname: 'family-name',
+    phone: 'tel', telephone: 'tel', mobile: 'tel', zip: 'postal-code', zipcode: 'postal-code', postcode: 'postal-code',
+    mail: 'email', 'e-mail': 'email', password: 'current-password', birthday: 'bday', company: 'organization',
+    address: 'street-address', city: 'address-level2', state: 'address-level1', website: 'url'
+};
+
+// Owned roles that only group other owned elements, so a child is given the next required role instead
+const GROUPING_ROLES = new Set(['group', 'rowgroup', 'separator', 'menu']);
+
+// Fixes by axe-core rule id. fix(element, context) changes the cheerio element in place and returns
+// false when it has nothing to go on. related fixes are applied to the elements axe relates to the
+// finding (the other elements with the same id or access key) instead of the reported one.
+const RULE_FIXES = {
+    'accesskeys': {
+        suggestion: "Give every accesskey a unique value, or remove the duplicate accesskey attributes.",
+        related: true,
+        fix: element => element.removeAttr('accesskey')
+    },
+    'area-alt': {
+        suggestion: "Add an alt attribute to each image map area that describes where the area links to.",
+        fix: (element, {name}) => element.attr('alt', name('Link destination'))
+    },
+    'aria-allowed-attr': {
+        suggestion: "Remove ARIA attributes that are not allowed on the element's role.",
+        fix: (element, {data}) => removeAttributes(element, attributeNames(data))
+    },
+    'aria-allowed-role': {
+        suggestion: "Remove roles that are not allowed on the element, or use an element that has the role natively.",
+        fix: (element, {data}) => removeRoles(element, toList(data))
+    },
+    'aria-braille-equivalent': {
+        suggestion: "Only use aria-braillelabel and aria-brailleroledescription together with a non-braille label and role description.",
+        fix: element => removeAttributes(element, ['aria-braillelabel', 'aria-brailleroledescription'])
+    },
+    'aria-command-name': {
+        suggestion: "Give buttons, links and menu items with an ARIA role an accessible name through text content, aria-label or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Action'))
+    },
+    'aria-conditional-attr': {
+        suggestion: "Remove ARIA attributes that conflict with the element's native state, such as aria-checked on a native checkbox.",
+        fix: (element, {data}) => {
+            const names = data && data.messageKey === 'checkbox' ? ['aria-checked'] : attributeNames(data && (data.invalidAttrs || data.attrs));
+            return removeAttributes(element, names);
+        }
+    },
+    'aria-deprecated-role': {
+        suggestion: "Replace deprecated ARIA roles with their current equivalent.",
+        fix: (element, {data}) => replaceRoles(element, toList(data), role => DEPRECATED_ROLES[role] || null)
+    },
+    'aria-dialog-name': {
+        suggestion: "Give dialogs an accessible name, for example with aria-labelledby pointing to the dialog heading.",
+        fix: (element, {$, name}) => {
+            const heading = element.find('h1, h2, h3, h4, h5, h6, [role="heading"]').first();
+            if (heading.length > 0 && heading.attr('id')) {
+                element.attr('aria-labelledby', heading.attr('id'));
+            } else {
+                element.attr('aria-label', heading.length > 0 ? collapse($(heading).text()) || name('Dialog') : name('Dialog'));
+            }
+        }
+    },
+    'aria-hidden-body': {
+        suggestion: "Remove aria-hidden from the body element so the page is not hidden from assistive technology.",
+        fix: element => element.removeAttr('aria-hidden')
+    },
+    'aria-hidden-focus': {
+        suggestion: "Take focusable elements inside aria-hidden content out of the tab order with tabindex=\"-1\", or remove aria-hidden.",
+        fix: (element, {$}) => {
+            const focusable = element.find('a[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable]').add(element.filter('[tabindex]'));
+            if (focusable.length === 0) return false;
+            focusable.each((index, child) => {
+                $(child).attr('tabindex', '-1');
+            });
+        }
+    },
+    'aria-input-field-name': {
+        suggestion: "Give ARIA input fields (combobox, listbox, searchbox, slider, spinbutton, textbox) an accessible name.",
+        fix: (element, {name}) => element.attr('aria-label', name('Input'))
+    },
+    'aria-meter-name': {
+        suggestion: "Give meters an accessible name with aria-label or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Meter'))
+    },
+    'aria-progressbar-name': {
+        suggestion: "Give progress bars an accessible name with aria-label or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Progress'))
+    },
+    'aria-prohibited-attr': {
+        suggestion: "Remove ARIA attributes that are prohibited on the element's role, such as aria-label on a generic span or div.",
+        fix: (element, {data}) => removeAttributes(element, attributeNames(data && data.prohibited ? data.prohibited : data))
+    },
+    'aria-required-attr': {
+        suggestion: "Add the ARIA attributes the element's role requires, such as aria-checked on a checkbox.",
+        fix: (element, {data}) => {
+            let changed = false;
+            for (const attr of attributeNames(data)) {
+                const value = requiredDefault(attr, element);
+                if (value === null) continue;
+                element.attr(attr, value);
+                changed = true;
+            }
+            return changed;
+        }
+    },
+    'aria-required-children': {
+        suggestion: "Give the children of a composite role the roles it requires, such as role=\"menuitem\" inside role=\"menu\".",
+        fix: (element, {$}) => {
+            const parentRole = firstRole(element);
+            const owned = ((ariaRoles[parentRole] || {}).requiredOwned || []);
+            const role = owned.find(candidate => candidate === `${parentRole.replace(/bar$/, '')}item`) ||
+                owned.find(candidate => !GROUPING_ROLES.has(candidate)) || owned[0];
+            const children = element.children().filter((index, child) => !$(child).attr('role') && !['script', 'template'].includes(child.name));
+            if (!role || children.length === 0) return false;
+            children.attr('role', role);
+        }
+    },
+    'aria-required-parent': {
+        suggestion: "Place elements with roles such as listitem, option or tab inside a parent with the matching role (list, listbox, tablist)."
+    },
+    'aria-roledescription': {
+        suggestion: "Only use aria-roledescription on elements with a supported role.",
+        fix: element => element.removeAttr('aria-roledescription')
+    },
+    'aria-roles': {
+        suggestion: "Use valid ARIA role values, and remove roles that do not exist.",
+        fix: (element, {data}) => removeRoles(element, toList(data))
+    },
+    'aria-text': {
+        suggestion: "Do not use role=\"text\" on elements that contain focusable descendants.",
+        fix: element => removeRoles(element, ['text'])
+    },
+    'aria-toggle-field-name': {
+        suggestion: "Give ARIA toggle fields (checkbox, menuitemcheckbox, radio, switch) an accessible name.",
+        fix: (element, {name}) => element.attr('aria-label', name('Option'))
+    },
+    'aria-tooltip-name': {
+        suggestion: "Give tooltips an accessible name through text content or aria-label.",
+        fix: (element, {name}) => element.attr('aria-label', name('Tooltip'))
+    },
+    'aria-treeitem-name': {
+        suggestion: "Give tree items an accessible name through text content or aria-label.",
+        fix: (element, {name}) => element.attr('aria-label', name('Tree item'))
+    },
+    'aria-valid-attr-value': {
+        suggestion: "Use valid values for ARIA attributes: true or false for states, existing ids for references and allowed tokens.",
+        fix: (element, {data}) => {
+            for (const attr of attributeNames(data)) {
+                const value = validAttributeValue(attr, element.attr(attr));
+                if (value === null) {
+                    element.removeAttr(attr);
+                } else {
+                    element.attr(attr, value);
+                }
+            }
+        }
+    },
+    'aria-valid-attr': {
+        suggestion: "Correct misspelled ARIA attributes, and remove attributes that are not part of ARIA.",
+        fix: (element, {data}) => {
+            for (const attr of attributeNames(data)) {
+                const correct = closestAttribute(attr);
+                const value = element.attr(attr);
+                element.removeAttr(attr);
+                if (correct && element.attr(correct) === undefined) element.attr(correct, value);
+            }
+        }
+    },
+    'audio-caption': {
+        suggestion: "Provide a transcript or captions for audio content, for example a <track kind=\"captions\"> element."
+    },
+    'autocomplete-valid': {
+        suggestion: "Use a valid autocomplete value such as email, given-name or postal-code, or off.",
+        fix: element => {
+            const value = validAutocomplete(element.attr('autocomplete'));
+            if (value === null) {
+                element.removeAttr('autocomplete');
+            } else {
+                element.attr('autocomplete', value);
+            }
+        }
+    },
+    'avoid-inline-spacing': {
+        suggestion: "Remove !important from inline letter-spacing, word-spacing and line-height so users can override text spacing.",
+        fix: element => {
+            const style = element.attr('style') || '';
+            const fixed = style.replace(/((?:letter-spacing|word-spacing|line-height)\s*:[^;!]*?)\s*!\s*important/gi, '$1');
+            if (fixed === style) return false;
+            element.attr('style', fixed);
+        }
+    },
+    'blink': {
+        suggestion: "Do not use the blink element; show the text without blinking.",
+        fix: element => renameElement(element, 'span')
+    },
+    'button-name': {
+        suggestion: "Provide a name for all button elements through text content, aria-label, or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Button action'))
+    },
+    'bypass': {
+        suggestion: "Add a skip link, a heading or a main landmark so keyboard users can bypass repeated blocks."
+    },
+    'color-contrast': {
+        suggestion: "Ensure sufficient contrast between foreground and background colors (at least 4.5:1 for normal text).",
+        fix: (element, {data}) => fixContrast(element, data)
+    },
+    'color-contrast-enhanced': {
+        suggestion: "Ensure a contrast of at least 7:1 between text and background (4.5:1 for large text).",
+        fix: (element, {data}) => fixContrast(element, data)
+    },
+    'css-orientation-lock': {
+        suggestion: "Do not lock the page to portrait or landscape orientation in CSS media queries."
+    },
+    'definition-list': {
+        suggestion: "Only put <dt> and <dd> groups (optionally wrapped in <div>), <script> and <template> directly inside a <dl>."
+    },
+    'dlitem': {
+        suggestion: "Place <dt> and <dd> elements inside a <dl> element."
+    },
+    'document-title': {
+        suggestion: "Provide a descriptive page title using the <title> element in the document head.",
+        advice: "<head>\n  <title>Descriptive Page Title</title>\n  <!-- other head elements -->\n</head>"
+    },
+    'duplicate-id': {
+        suggestion: "Give every id attribute a unique value.",
+        related: true,
+        fix: (element, {index}) => renameId(element, index)
+    },
+    'duplicate-id-active': {
+        suggestion: "Give every focusable element a unique id.",
+        related: true,
+        fix: (element, {index}) => renameId(element, index)
+    },
+    'duplicate-id-aria': {
+        suggestion: "Give every id referenced by ARIA or a label a unique value, so the reference points to one element.",
+        related: true,
+        fix: (element, {index}) => renameId(element, index)
+    },
+    'empty-heading': {
+        suggestion: "Give headings text content, or remove empty headings from the page."
+    },
+    'empty-table-header': {
+        suggestion: "Give table headers visible text, or use a <td> cell for empty corner cells.",
+        fix: element => renameElement(element, 'td')
+    },
+    'focus-order-semantics': {
+        suggestion: "Give focusable elements an interactive role (button, link) that matches what they do."
+    },
+    'form-field-multiple-labels': {
+        suggestion: "Give each form field exactly one <label>; merge the extra labels into it."
+    },
+    'frame-focusable-content': {
+        suggestion: "Do not take frames with focusable content out of the tab order with tabindex=\"-1\".",
+        fix: element => element.removeAttr('tabindex')
+    },
+    'frame-tested': {
+        suggestion: "Include axe-core in framed pages so their content can be tested."
+    },
+    'frame-title-unique': {
+        suggestion: "Give every frame a unique title that describes its content.",
+        related: true,
+        fix: (element, {index}) => element.attr('title', `${element.attr('title') || 'Embedded content'} (${index + 2})`)
+    },
+    'frame-title': {
+        suggestion: "Give every frame and iframe a title that describes its content.",
+        fix: (element, {name}) => {
+            const host = frameHost(element.attr('src'));
+            element.attr('title', name(host ? `Embedded content from ${host}` : 'Embedded content'));
+        }
+    },
+    'heading-order': {
+        suggestion: "Ensure heading levels are properly nested (h1, then h2, etc.) without skipping levels."
+    },
+    'hidden-content': {
+        suggestion: "Check that content hidden from some users is meant to be hidden."
+    },
+    'html-has-lang': {
+        suggestion: "Specify the language of the document using the lang attribute on the html element.",
+        // The language of the page is unknown, so "en" is only shown as an example
+        fix: (element, {placeholder}) => element.attr('lang', placeholder('en'))
+    },
+    'html-lang-valid': {
+        suggestion: "Use a valid BCP 47 language tag (such as en or fr-CA) in the lang attribute of the html element.",
+        fix: element => {
+            const lang = validLanguage(element.attr('lang'));
+            if (!lang) return false;
+            element.attr('lang', lang);
+        }
+    },
+    'html-xml-lang-mismatch': {
+        suggestion: "Give the lang and xml:lang attributes of the html element the same language.",
+        fix: element => element.attr('xml:lang', element.attr('lang'))
+    },
+    'identical-links-same-purpose': {
+        suggestion: "Give links with the same accessible name the same destination, or name them after where they lead."
+    },
+    'image-alt': {
+        suggestion: "Add an alt attribute to images to provide text alternatives for screen readers.",
+        fix: (element, {name}) => element.attr('alt', name('Descriptive text for this image'))
+    },
+    'image-redundant-alt': {
+        suggestion: "Do not repeat the surrounding text in the image alt text; an empty alt marks the image as decorative.",
+        fix: element => element.attr('alt', '')
+    },
+    'input-button-name': {
+        suggestion: "Give input buttons a value or aria-label that describes their action.",
+        fix: (element, {name}) => element.attr('value', name('Submit'))
+    },
+    'input-image-alt': {
+        suggestion: "Add an alt attribute to image buttons that describes their action.",
+        fix: (element, {name}) => element.attr('alt', name('Submit'))
+    },
+    'label-content-name-mismatch': {
+        suggestion: "Start the accessible name (aria-label) with the visible text of the control."
+    },
+    'label-title-only': {
+        suggestion: "Label form fields with a visible <label> or aria-label instead of only a title attribute.",
+        fix: element => {
+            if (!element.attr('title')) return false;
+            element.attr('aria-label', element.attr('title'));
+        }
+    },
+    'label': {
+        suggestion: "Associate form elements with labels using the 'for' attribute, nesting within label elements, or aria-label.",
+        fix: (element, {name}) => element.attr('aria-label', name('Label text'))
+    },
+    'landmark-banner-is-top-level': {
+        suggestion: "Do not put the banner landmark inside another landmark.",
+        fix: element => removeRoles(element, ['banner'])
+    },
+    'landmark-complementary-is-top-level': {
+        suggestion: "Do not put complementary landmarks (<aside>) inside another landmark.",
+        fix: element => removeRoles(element, ['complementary'])
+    },
+    'landmark-contentinfo-is-top-level': {
+        suggestion: "Do not put the contentinfo landmark inside another landmark.",
+        fix: element => removeRoles(element, ['contentinfo'])
+    },
+    'landmark-main-is-top-level': {
+        suggestion: "Do not put the main landmark inside another landmark.",
+        fix: element => removeRoles(element, ['main'])
+    },
+    'landmark-no-duplicate-banner': {
+        suggestion: "Use at most one banner landmark per page.",
+        related: true,
+        fix: element => removeRoles(element, ['banner'])
+    },
+    'landmark-no-duplicate-contentinfo': {
+        suggestion: "Use at most one contentinfo landmark per page.",
+        related: true,
+        fix: element => removeRoles(element, ['contentinfo'])
+    },
+    'landmark-no-duplicate-main': {
+        suggestion: "Use at most one main landmark per page.",
+        related: true,
+        fix: element => removeRoles(element, ['main'])
+    },
+    'landmark-one-main': {
+        suggestion: "Wrap the primary content of the page in a single <main> element."
+    },
+    'landmark-unique': {
+        suggestion: "Give landmarks of the same role a unique accessible name with aria-label or aria-labelledby.",
+        related: true,
+        fix: (element, {data, index}) => {
+            const label = (data && data.accessibleText) || humanize((data && data.role) || element.get(0).name);
+            element.attr('aria-label', `${capitalize(label)} ${index + 2}`);
+        }
+    },
+    'link-in-text-block': {
+        suggestion: "Distinguish links in text blocks by more than color, for example with an underline.",
+        fix: element => setStyle(element, 'text-decoration', 'underline')
+    },
+    'link-name': {
+        suggestion: "Provide accessible names for all links through text content, aria-label, or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Link destination'))
+    },
+    'list': {
+        suggestion: "Only put <li>, <script> and <template> elements directly inside <ul> and <ol> lists.",
+        fix: (element, {$}) => {
+            const stray = element.contents().filter((index, child) => child.type === 'text' ?
+                child.data.trim() !== '' :
+                child.type === 'tag' && !['li', 'script', 'template'].includes(child.name));
+            if (stray.length === 0) return false;
+            stray.each((index, child) => {
+                $(child).wrap('<li></li>');
+                if (child.type === 'text') {
+                    // Keep the indentation around loose text outside the new list item
+                    const [, leading, text, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(child.data);
+                    child.data = text;
+                    if (leading) $(child.parent).before(leading);
+                    if (trailing) $(child.parent).after(trailing);
+                }
+            });
+        }
+    },
+    'listitem': {
+        suggestion: "Place <li> elements inside a <ul>, <ol> or <menu> list."
+    },
+    'marquee': {
+        suggestion: "Do not use the marquee element; show the content without scrolling it.",
+        fix: element => renameElement(element, 'div')
+    },
+    'meta-refresh': {
+        suggestion: "Do not refresh or redirect the page automatically with <meta http-equiv=\"refresh\">; redirect on the server instead."
+    },
+    'meta-refresh-no-exceptions': {
+        suggestion: "Do not refresh or redirect the page automatically with <meta http-equiv=\"refresh\">; redirect on the server instead."
+    },
+    'meta-viewport-large': {
+        suggestion: "Let users zoom the page to at least 500%: remove user-scalable=no and any maximum-scale below 5.",
+        fix: element => fixViewport(element, 5)
+    },
+    'meta-viewport': {
+        suggestion: "Do not disable zooming: remove user-scalable=no and any maximum-scale below 2 from the viewport meta tag.",
+        fix: element => fixViewport(element, 2)
+    },
+    'nested-interactive': {
+        suggestion: "Do not nest interactive controls such as links or buttons inside other interactive controls."
+    },
+    'no-autoplay-audio': {
+        suggestion: "Do not play audio automatically, or give users controls to stop it.",
+        fix: element => {
+            element.removeAttr('autoplay');
+            if (element.attr('controls') === undefined) element.attr('controls', '');
+        }
+    },
+    'object-alt': {
+        suggestion: "Give <object> elements a text alternative with aria-label, aria-labelledby or a title.",
+        fix: (element, {name}) => element.attr('aria-label', name('Embedded object'))
+    },
+    'p-as-heading': {
+        suggestion: "Use heading elements instead of paragraphs styled as headings."
+    },
+    'page-has-heading-one': {
+        suggestion: "Give the page a level-one heading (<h1>) that describes its content."
+    },
+    'presentation-role-conflict': {
+        suggestion: "Do not mark focusable elements or elements with global ARIA attributes as presentational.",
+        fix: element => removeRoles(element, ['presentation', 'none'])
+    },
+    'region': {
+        suggestion: "Wrap page content in landmark regions using semantic HTML5 elements (header, nav, main, footer) or ARIA landmark roles."
+    },
+    'role-img-alt': {
+        suggestion: "Give elements with role=\"img\" a text alternative with aria-label or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Descriptive text for this image'))
+    },
+    'scope-attr-valid': {
+        suggestion: "Only use the scope attribute on <th> elements, with the value row, col, rowgroup or colgroup.",
+        fix: element => {
+            const scope = (element.attr('scope') || '').trim().toLowerCase().replace(/s$/, '');
+            if (element.get(0).name === 'th' && ['row', 'col', 'rowgroup', 'colgroup'].includes(scope)) {
+                element.attr('scope', scope);
+            } else {
+                element.removeAttr('scope');
+            }
+        }
+    },
+    'scrollable-region-focusable': {
+        suggestion: "Make scrollable regions reachable by keyboard with tabindex=\"0\" (and give them an accessible name).",
+        fix: element => element.attr('tabindex', '0')
+    },
+    'select-name': {
+        suggestion: "Give select elements a label, or an aria-label when no visible label fits.",
+        fix: (element, {name}) => element.attr('aria-label', name('Select an option'))
+    },
+    'server-side-image-map': {
+        suggestion: "Replace server-side image maps (ismap) with client-side <map> areas or links."
+    },
+    'skip-link': {
+        suggestion: "Point skip links at an element that exists on the page."
+    },
+    'summary-name': {
+        suggestion: "Give <summary> elements text content that describes the disclosed content.",
+        fix: (element, {name}) => element.attr('aria-label', name('Details'))
+    },
+    'svg-img-alt': {
+        suggestion: "Give SVG images with role=\"img\" a text alternative with a <title> child, aria-label or aria-labelledby.",
+        fix: (element, {name}) => element.attr('aria-label', name('Descriptive text for this image'))
+    },
+    'tabindex': {
+        suggestion: "Do not use a tabindex greater than 0; follow the source order and use tabindex=\"0\" to make elements focusable.",
+        fix: element => element.attr('tabindex', '0')
+    },
+    'table-duplicate-name': {
+        suggestion: "Do not repeat the table caption in the summary attribute.",
+        fix: element => element.removeAttr('summary')
+    },
+    'table-fake-caption': {
+        suggestion: "Use a <caption> element for the table caption instead of a first row of cells spanning the table."
+    },
+    'target-size': {
+        suggestion: "Make touch targets at least 24 by 24 CSS pixels, or leave enough space around them."
+    },
+    'td-has-header': {
+        suggestion: "Give every data cell of a large table a header, with <th> elements or the headers attribute."
+    },
+    'td-headers-attr': {
+        suggestion: "Only list the ids of <th> cells of the same table in the headers attribute of a cell."
+    },
+    'th-has-data-cells': {
+        suggestion: "Make every table header describe data cells, or turn it into a data cell."
+    },
+    'valid-lang': {
+        suggestion: "Use a valid BCP 47 language tag (such as en or fr-CA) in lang attributes.",
+        fix: element => {
+            const lang = validLanguage(element.attr('lang'));
+            if (lang) {
+                element.attr('lang', lang);
+            } else {
+                element.removeAttr('lang');
+            }
+        }
+    },
+    'video-caption': {
+        suggestion: "Provide captions for videos with a <track kind=\"captions\"> element."
+    }
+};
+
+// Common language names, for lang values written out instead of as a language tag
+const LANGUAGE_NAMES = {
+    english: 'en', french: 'fr', german: 'de', spanish: 'es', italian: 'it', portuguese: 'pt', dutch: 'nl',
+    japanese: 'ja', chinese: 'zh', korean: 'ko', russian: 'ru', arabic: 'ar', hindi: 'hi', polish: 'pl',
+    swedish: 'sv', danish: 'da', norwegian: 'no', finnish: 'fi', turkish: 'tr', greek: 'el', hebrew: 'he'
+};
+
+// Returns the fixes for the elements of an axe finding: [{target, html, codeFix, placeholder?, node}],
+// one per affected element (or related element), where node is the target of the reported element and
+// codeFix is null when the element cannot be fixed without the rest of the page. placeholder marks
+// fixes that fill in a placeholder (a name or a language) because nothing in the markup gives one.
+function fixNodes(ruleId, nodes = []) {
+    const rule = RULE_FIXES[ruleId];
+    const fixes = [];
+
+    for (const node of nodes) {
+        const target = joinTarget(node.target);
+        const data = checkData(node);
+        const related = rule && rule.related ? relatedNodes(node) : [];
+
+        if (rule && rule.related) {
+            related.forEach((other, index) => {
+                fixes.push({target: joinTarget(other.target), html: other.html, ...fixElement(rule, other.html, {node, data, index}), node: target});
+            });
+            if (related.length > 0) continue;
+        }
+        fixes.push({target, html: node.html, ...fixElement(rule, node.html, {node, data, index: 0}), node: target});
+    }
+
+    return fixes;
+}
+
+// Returns the rule-based suggestion for an axe finding: {suggestion, codeFix, fixes}. codeFix shows
+// the fix of the first element that has one, or advice when no element can be fixed on its own.
+function getRuleFix(ruleId, nodes = []) {
+    const rule = RULE_FIXES[ruleId];
+    const fixes = fixNodes(ruleId, nodes);
+    const example = fixes.find(fix => fix.codeFix);
+    const html = (nodes[0] && nodes[0].html) || '';
+
+    if (!rule) {
+        return {
+            suggestion: `Fix accessibility issues related to "${ruleId}" by following WCAG guidelines.`,
+            codeFix: `<!-- Original: ${html} -->\n<!-- Review and implement fixes according to accessibility guidelines -->`,
+            fixes
+        };
+    }
+
+    return {
+        suggestion: rule.suggestion,
+        codeFix: example ? example.codeFix : `<!-- Original: ${html} -->\n${rule.advice || `<!-- ${rule.suggestion} -->`}`,
+        fixes
+    };
+}
+
+// Applies a rule's transform to one element. Returns {codeFix, placeholder?}: codeFix is the fixed
+// markup, or null when the rule has no transform, the transform had nothing to go on or it changed
+// nothing that can be written back.
+function fixElement(rule, html, {node, data, index}) {
+    if (!rule || !rule.fix || !html) return {codeFix: null};
+
+    const snippet = parseSnippet(html);
+    if (!snippet) return {codeFix: null};
+
+    const {$, element} = snippet;
+    let placeholderUsed = false;
+    const placeholder = value => {
+        placeholderUsed = true;
+        return value;
+    };
+    const name = fallback => accessibleNameHint(element) || placeholder(fallback);
+    if (rule.fix(element, {$, node, data, index, name, placeholder}) === false) return {codeFix: null};
+
+    const codeFix = renderSnippet(snippet);
+    return codeFix && placeholderUsed ? {codeFix, placeholder: true} : {codeFix};
+}
+
+// Parses a reported element. Every node keeps its source range and a copy of its original state, so
+// unchanged parts are written back exactly as they were.
+function parseSnippet(html) {
+    const $ = cheerio.load(html, {xml: {xmlMode: false, decodeEntities: false, withStartIndices: true, withEndIndices: true}}, false);
+    const root = $.root().get(0);
+    const element = root.children.find(child => child.type === 'tag' || child.type === 'script' || child.type === 'style');
+    if (!element) return null;
+
+    const original = new Map();
+    const remember = node => {
+        original.set(node, {name: node.name, data: node.data, attribs: node.attribs ? {...node.attribs} : null, children: [...(node.children || [])]});
+        (node.children || []).forEach(remember);
+    };
+    remember(element);
+
+    // axe shortens long elements to their start tag
+    const truncated = !VOID_ELEMENTS.has(element.name) && !new RegExp(`</${element.name}\\s*>\\s*$`, 'i').test(html);
+    return {$, element: $(element), source: html, original, truncated};
+}
+
+// Writes a parsed element back, or returns null when it did not change.
+function renderSnippet(snippet) {
+    const element = snippet.element.get(0);
+    if (isUnchanged(element, snippet)) return null;
+
+    if (snippet.truncated) {
+        // Only the start tag of a shortened element is known
+        const original = snippet.original.get(element);
+        if (original.name !== element.name || !sameChildren(element, original, snippet)) return null;
+        return startTag(element, snippet);
+    }
+    return serialize(element, snippet);
+}
+
+function isUnchanged(node, snippet) {
+    const original = snippet.original.get(node);
+    if (!original || node.startIndex === null || node.endIndex === null) return false;
+    if (!node.attribs) return original.data === node.data;
+    return original.name === node.name && sameAttributes(original.attribs, node.attribs) && sameChildren(node, original, snippet);
+}
+
+function sameChildren(node, original, snippet) {
+    const children = node.children || [];
+    return children.length === original.children.length &&
+        children.every((child, i) => child === original.children[i] && isUnchanged(child, snippet));
+}
+
+function sameAttributes(a, b) {
+    const names = Object.keys(a);
+    return names.length === Object.keys(b).length && names.every(name => b[name] === a[name]);
+}
+
+function serialize(node, snippet) {
+    if (isUnchanged(node, snippet)) return snippet.source.slice(node.startIndex, node.endIndex + 1);
+    if (node.type === 'text') return node.data;
+    if (node.type === 'comment') return `<!--${node.data}-->`;
+    if (!node.attribs) return '';
+
+    const content = VOID_ELEMENTS.has(node.name) ? '' : `${node.children.map(child => serialize(child, snippet)).join('')}</${node.name}>`;
+    return startTag(node, snippet) + content;
+}
+
+// Builds the start tag of an element. Attributes that did not change keep their source text.
+function startTag(element, snippet) {
+    const original = snippet.original.get(element);
+    const attributes = Object.entries(element.attribs);
+    if (!original || original.name !== element.name || element.startIndex === null) {
+        return `<${element.name}${attributes.map(formatAttribute).join('')}>`;
+    }
+
+    const source = readStartTag(snippet.source, element.startIndex, element.name);
+    const kept = Object.keys(original.attribs)
+        .filter(name => element.attribs[name] !== undefined)
+        .map(name => element.attribs[name] === original.attribs[name] && source.attributes.has(name) ?
+            source.attributes.get(name) :
+            formatAttribute([name, element.attribs[name]]));
+    const added = attributes.filter(([name]) => original.attribs[name] === undefined).map(formatAttribute);
+    return `<${source.name}${kept.join('')}${added.join('')}${source.end}>`;
+}
+
+// Reads the attributes of a start tag as written, with their leading whitespace.
+function readStartTag(source, start, name) {
+    const attributes = new Map();
+    const attribute = /\s+([^\s"'>/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/y;
+    attribute.lastIndex = start + 1 + name.length;
+
+    let position = attribute.lastIndex;
+    let match;
+    while ((match = attribute.exec(source))) {
+        attributes.set(match[1].toLowerCase(), match[0]);
+        position = attribute.lastIndex;
+    }
+    const end = /\s*\/?(?=>)/y;
+    end.lastIndex = position;
+    const endMatch = end.exec(source);
+    return {name: source.substr(start + 1, name.length), attributes, end: endMatch ? endMatch[0] : ''};
+}
+
+// Attribute values stay in their source encoding (entities are not decoded), so only quotes are escaped.
+function formatAttribute([name, value]) {
+    return ` ${name}="${String(value).replace(/"/g, '&quot;')}"`;
+}
+
+// Collects the data of the failed checks of a node, e.g. ["aria-checked"] or {role, accessibleText}.
+function checkData(node) {
+    const checks = [...(node.any || []), ...(node.all || []), ...(node.none || [])];
+    const found = checks.find(check => check && check.data !== null && check.data !== undefined);
+    return found ? found.data : null;
+}
+
+// Collects the elements the failed checks of a node point to.
+function relatedNodes(node) {
+    const checks = [...(node.any || []), ...(node.all || []), ...(node.none || [])];
+    const seen = new Set();
+    return checks.flatMap(check => (check && check.relatedNodes) || [])
+        .filter(related => related.html && Array.isArray(related.target))
+        .filter(related => {
+            const key = joinTarget(related.target);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+function joinTarget(target) {
+    return Array.isArray(target) ? target.join(' ') : String(target || '');
+}
+
+// Turns check data into a list of strings.
+function toList(data) {
+    if (Array.isArray(data)) return data.map(String);
+    if (typeof data === 'string') return [data];
+    if (data && data.values) return toList(data.values);
+    return [];
+}
+
+// Reads attribute names from check data such as ['aria-pressed="yes"'] or ['aria-checked'].
+function attributeNames(data) {
+    return toList(data).map(entry => entry.split('=')[0].trim().toLowerCase()).filter(Boolean);
+}
+
+function removeAttributes(element, names) {
+    const present = names.filter(name => element.attr(name) !== undefined);
+    if (present.length === 0) return false;
+    present.forEach(name => element.removeAttr(name));
+}
+
+function firstRole(element) {
+    return (element.attr('role') || '').trim().split(/\s+/)[0].toLowerCase();
+}
+
+// Removes role tokens, and the role attribute when no role is left.
+function removeRoles(element, roles) {
+    return replaceRoles(element, roles, () => null);
+}
+
+function replaceRoles(element, roles, replace) {
+    const current = (element.attr('role') || '').trim().split(/\s+/).filter(Boolean);
+    const remove = new Set(roles.map(role => role.toLowerCase()));
+    if (!current.some(role => remove.has(role.toLowerCase()))) return false;
+
+    const fixed = current.map(role => remove.has(role.toLowerCase()) ? replace(role.toLowerCase()) : role).filter(Boolean);
+    if (fixed.length === 0) {
+        element.removeAttr('role');
+    } else {
+        element.attr('role', fixed.join(' '));
+    }
+}
+
+// Changes the tag name of an element, keeping its attributes and content.
+function renameElement(element, name) {
+    element.get(0).name = name;
+}
+
+// Gives a duplicate id a numbered suffix. References to the id keep pointing to the first element.
+function renameId(element, index) {
+    const id = element.attr('id');
+    if (!id) return false;
+    element.attr('id', `${id}-${index + 2}`);
+}
+
+function setStyle(element, property, value) {
+    const declarations = (element.attr('style') || '').split(';').map(part => part.trim()).filter(Boolean)
+        .filter(part => part.split(':')[0].trim().toLowerCase() !== property);
+    element.attr('style', [...declarations, `${property}: ${value}`].join('; '));
+}
+
+// Sets the closest compliant text color from the colors axe measured.
+function fixContrast(element, data) {
+    if (!data || !data.fgColor || !data.bgColor) return false;
+    const required = parseFloat(data.expectedContrastRatio) || 4.5;
+    const recommendations = recommendContrastFix(data.fgColor, data.bgColor, required);
+    const fix = recommendations && pickContrastFix(recommendations, 'color');
+    if (!fix) return false;
+    setStyle(element, 'color', fix.color);
+}
+
+// Removes user-scalable=no and a maximum-scale below the given zoom from a viewport meta tag.
+function fixViewport(element, minimumZoom) {
+    const content = element.attr('content') || '';
+    const parts = content.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+    const kept = parts.filter(part => {
+        const [key, value = ''] = part.split('=').map(text => text.trim().toLowerCase());
+        if (key === 'user-scalable') return !['no', '0'].includes(value);
+        if (key === 'maximum-scale') return parseFloat(value) >= minimumZoom;
+        return true;
+    });
+    if (kept.length === parts.length) return false;
+    element.attr('content', kept.join(', '));
+}
+
+// Default values for required ARIA attributes. Null for references, which need a real id.
+function requiredDefault(attr, element) {
+    if (attr === 'aria-valuenow') return element.attr('aria-valuemin') || '0';
+    if (attr === 'aria-level') return '2';
+    const spec = ariaAttrs[attr];
+    if (!spec) return null;
+    if (spec.type === 'boolean' || (spec.values || []).includes('false')) return 'false';
+    return spec.values ? spec.values[0] : null;
+}
+
+// Returns a valid value for an ARIA attribute close to the given one, or null to remove the attribute.
+function validAttributeValue(attr, value) {
+    const spec = ariaAttrs[attr];
+    if (!spec || value === undefined) return null;
+    const text = String(value).trim().toLowerCase();
+
+    if (spec.type === 'boolean' || spec.type === 'nmtoken') {
+        const values = spec.values || ['true', 'false'];
+        if (values.includes(text)) return text;
+        if (TRUE_VALUES.has(text) && values.includes('true')) return 'true';
+        if (FALSE_VALUES.has(text) && values.includes('false')) return 'false';
+        return DEFAULT_TOKENS[attr] || null;
+    }
+    if (spec.type === 'nmtokens') {
+        const tokens = text.split(/\s+/).filter(token => (spec.values || []).includes(token));
+        return tokens.length > 0 ? tokens.join(' ') : null;
+    }
+    if (spec.type === 'int' || spec.type === 'decimal') {
+        const number = parseFloat(text);
+        if (Number.isNaN(number)) return null;
+        const fixed = spec.type === 'int' ? Math.round(number) : number;
+        return String(spec.minValue !== undefined ? Math.max(spec.minValue, fixed) : fixed);
+    }
+    // References to ids that do not exist cannot be repaired from the element alone
+    if (spec.type === 'idref' || spec.type === 'idrefs') return null;
+    return value;
+}
+
+// Finds the ARIA attribute a misspelled one was meant to be (at most two edits away).
+function closestAttribute(attr) {
+    let best = null;
+    let bestDistance = 3;
+    for (const name of Object.keys(ariaAttrs)) {
+        const distance = editDistance(attr, name);
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (value, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Returns a valid autocomplete value for the given one, or null to remove the attribute.
+function validAutocomplete(value) {
+    const tokens = String(value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 1 && AUTOCOMPLETE_ALIASES[tokens[0]]) return AUTOCOMPLETE_ALIASES[tokens[0]];
+
+    const field = tokens[tokens.length - 1] === 'webauthn' ? tokens[tokens.length - 2] : tokens[tokens.length - 1];
+    const fixedField = AUTOCOMPLETE_FIELDS.has(field) ? field : AUTOCOMPLETE_ALIASES[field];
+    if (!fixedField || fixedField === 'off' || fixedField === 'on') return tokens.length === 1 ? fixedField || null : null;
+    return tokens.map(token => token === field ? fixedField : token).join(' ');
+}
+
+// Returns a valid language tag for a lang value ("english" is "en", "EN_us" is "en-US"), or null.
+function validLanguage(value) {
+    const text = String(value || '').trim().replace(/_/g, '-');
+    if (LANGUAGE_NAMES[text.toLowerCase()]) return LANGUAGE_NAMES[text.toLowerCase()];
+    const match = /^([a-z]{2,3})(?:-([a-z]{2}|\d{3}))?$/i.exec(text);
+    if (!match) return null;
+    return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+// Derives an accessible name from what the element already says about itself: its title, the
+// name or id of a form field, its placeholder, value or visible text. Returns '' when it says nothing.
+function accessibleNameHint(element) {
+    const tag = element.get(0).name;
+    const attr = name => collapse(element.attr(name) || '');
+    const hasTextContent = !VOID_ELEMENTS.has(tag) && !['select', 'textarea', 'svg', 'object', 'iframe'].includes(tag);
+    return attr('title') ||
+        (['input', 'select', 'textarea'].includes(tag) ? humanize(attr('name') || attr('id')) : '') ||
+        attr('placeholder') || attr('aria-placeholder') ||
+        (tag === 'input' ? attr('value') : '') ||
+        (hasTextContent ? collapse(element.text()) : '');
+}
+
+// Reads the host of a frame source, for a title such as "Embedded content from example.com".
+function frameHost(src) {
+    try {
+        return /^https?:/i.test(src || '') ? new URL(src).hostname : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// "first_name" and "firstName" read as "First name".
+function humanize(name) {
+    const words = String(name || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_\-.]+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return capitalize(words);
+}
+
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+function collapse(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    RULE_FIXES,
+    fixNodes,
+    getRuleFix
+};
@@ -0,0 +1,482 @@
+const path = require('path');
+const {CSS_CHECKS} = require('./css-checks');
+const {IMPACT_LEVELS, isImpactLevel} = require('./severity');
+const {listSuppressed} = require('./suppressions');
+const {isURL} = require('./glob');
+const {criteriaFromTags, formatCriterion, compareCriteria} = require('./standards');
+const {DEFICIENCIES, renderSwatchesPNG} = require('./color-vision');
+
+// Generates the HTML report: a single self-contained page with a summary dashboard and every
+// finding (each affected element and each CSS issue) listed once. The page works without
+// scripts; the inline script adds filtering, searching and grouping on top.
+
+// Impact levels from most to least severe.
+const IMPACTS = IMPACT_LEVELS.slice().reverse();
+
+// Labels of the ways findings can be grouped (formatters.GROUP_BY) in the group-by control.
+const GROUP_LABELS = {file: 'File', rule: 'Rule', criterion: 'WCAG success criterion'};
+
+const NOT_MAPPED = 'Not mapped';
+
+// Generates the report page for a list of results ({file, issues, suppressed, aiSuggestions, ...}).
+// groupBy ("file", "rule" or "criterion") is how the findings are grouped when the page opens.
+function generateHTMLReport(results, options = {}) {
+    const generatedAt = options.generatedAt || new Date();
+    const findings = results.flatMap(collectFindings);
+    const scanErrors = results.filter(result => result.error);
+    const suppressed = results.flatMap(result => listSuppressed(result.suppressed).map(entry => ({file: result.file, ...entry})));
+    const unused = results.flatMap(result => (result.unusedSuppressions || []).map(directive => ({file: result.file, ...directive})));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Accessibility Scan Report</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+<header class="page-header">
+<h1>Accessibility Scan Report</h1>
+<p>Generated ${escapeHTML(generatedAt.toISOString())} for ${results.length} file(s).</p>
+</header>
+<main>
+${renderSummary(results, findings, suppressed)}
+${renderFindings(findings, Object.prototype.hasOwnProperty.call(GROUP_LABELS, options.groupBy) ? options.groupBy : 'file')}
+${renderOther(scanErrors, suppressed, unused)}
+</main>
+<script>
+${SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+// Turns the issues of a result into one finding per affected element or CSS issue.
+function collectFindings(result) {
+    const findings = [];
+    const aiSuggestions = result.aiSuggestions || {};
+
+    for (const issue of result.issues || []) {
+        if (issue.id) {
+            const impact = isImpactLevel(issue.impact) ? issue.impact : 'minor';
+            const suggestion = (aiSuggestions.html || []).find(entry => entry.ruleId === issue.id);
+            const nodes = issue.nodes && issue.nodes.length > 0 ? issue.nodes : [{}];
+            for (const node of nodes) {
+                findings.push({
+                    file: result.file,
+                    rule: issue.id,
+                    title: issue.help || issue.description || issue.id,
+                    description: issue.description,
+                    helpUrl: issue.helpUrl,
+                    impact,
+                    criteria: issue.criteria || criteriaFromTags(issue.tags),
+                    target: Array.isArray(node.target) ? node.target.join(' ') : String(node.target || ''),
+                    snippet: node.html,
+                    summary: node.failureSummary,
+                    line: node.line,
+                    column: node.column,
+                    suggestion
+                });
+            }
+        } else if (issue.selector) {
+            for (const cssIssue of issue.issues || []) {
+                const check = CSS_CHECKS[cssIssue.type] || {};
+                const location = cssIssue.line ? cssIssue : issue;
+                findings.push({
+                    file: result.file,
+                    rule: cssIssue.type,
+                    title: check.help || cssIssue.type,
+                    description: check.description,
+                    helpUrl: check.helpUrl,
+                    impact: isImpactLevel(cssIssue.impact) ? cssIssue.impact : 'minor',
+                    criteria: cssIssue.criteria || criteriaFromTags(check.tags),
+                    target: issue.selector,
+                    snippet: cssIssue.declaration,
+                    summary: [cssIssue.message, issue.source ? `Source: ${issue.source}` : '', issue.context ? `Applies in: ${issue.context}` : '']
+                        .filter(Boolean).join('\n'),
+                    line: location.line,
+                    column: location.column,
+                    recommendations: cssIssue.recommendations,
+                    colors: cssIssue.colors,
+                    simulations: cssIssue.simulations,
+                    confusedBy: cssIssue.confusedBy,
+                    suggestion: (aiSuggestions.css || []).find(entry => entry.selector === issue.selector && entry.type === cssIssue.type)
+                });
+            }
+        }
+    }
+
+    return findings;
+}
+
+// Renders the dashboard: totals, counts by impact and tables by rule, file and WCAG criterion.
+function renderSummary(results, findings, suppressed) {
+    const byImpact = countBy(findings, finding => [finding.impact]);
+    const byRule = countBy(findings, finding => [finding.rule]);
+    const byFile = countBy(findings, finding => [finding.file]);
+    const byCriterion = countBy(findings, finding => finding.criteria.length > 0 ? finding.criteria.map(formatCriterion) : [NOT_MAPPED]);
+    const ruleImpact = new Map(findings.map(finding => [finding.rule, finding.impact]));
+    const filesWithIssues = results.filter(result => (result.issues || []).length > 0).length;
+
+    return `<section class="summary" aria-labelledby="summary-heading">
+<h2 id="summary-heading">Summary</h2>
+<ul class="totals">
+<li><span class="total">${findings.length}</span> finding(s)</li>
+<li><span class="total">${filesWithIssues}</span> of ${results.length} file(s) with issues</li>
+<li><span class="total">${suppressed.length}</span> suppressed</li>
+${IMPACTS.map(impact => `<li class="impact-${impact}"><span class="total">${byImpact.get(impact) || 0}</span> ${impact}</li>`).join('\n')}
+</ul>
+<div class="tables">
+${renderCountTable('Findings by rule', 'Rule', sortCounts(byRule), rule => `${escapeHTML(rule)} <span class="badge impact-${ruleImpact.get(rule)}">${ruleImpact.get(rule)}</span>`)}
+${renderCountTable('Findings by file', 'File', sortCounts(byFile), file => escapeHTML(displayFile(file)))}
+${renderCountTable('Findings by WCAG success criterion', 'Criterion', sortCriteria(byCriterion), escapeHTML)}
+</div>
+</section>`;
+}
+
+function renderCountTable(caption, heading, counts, label) {
+    if (counts.length === 0) return '';
+    return `<table>
+<caption>${caption}</caption>
+<thead><tr><th scope="col">${heading}</th><th scope="col">Findings</th></tr></thead>
+<tbody>
+${counts.map(([key, count]) => `<tr><th scope="row">${label(key)}</th><td>${count}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+// Renders the filter controls and the findings, grouped by file, rule or the first WCAG criterion of each
+// finding like the script does. The controls stay hidden until the script runs.
+function renderFindings(findings, groupBy) {
+    const groups = new Map();
+    for (const finding of findings) {
+        const label = groupLabel(finding, groupBy);
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(finding);
+    }
+    let labels = [...groups.keys()];
+    if (groupBy === 'rule') labels = labels.sort((a, b) => a.localeCompare(b));
+    if (groupBy === 'criterion') labels = sortCriteria(labels.map(label => [label])).map(([label]) => label);
+    const rules = [...new Set(findings.map(finding => finding.rule))].sort();
+
+    return `<section aria-labelledby="findings-heading">
+<h2 id="findings-heading">Findings</h2>
+${findings.length === 0 ? '<p>No issues found!</p>' : `<form class="controls" id="controls" role="search" aria-label="Filter findings" hidden>
+<fieldset>
+<legend>Impact</legend>
+${IMPACTS.map(impact => `<label><input type="checkbox" name="impact" value="${impact}" checked> ${impact}</label>`).join('\n')}
+</fieldset>
+<div class="control">
+<label for="filter-rule">Rule</label>
+<select id="filter-rule" name="rule">
+<option value="">All rules</option>
+${rules.map(rule => `<option value="${escapeHTML(rule)}">${escapeHTML(rule)}</option>`).join('\n')}
+</select>
+</div>
+<div class="control">
+<label for="filter-search">Search</label>
+<input type="search" id="filter-search" name="search" placeholder="Selector, HTML or message">
+</div>
+<div class="control">
+<label for="group-by">Group by</label>
+<select id="group-by" name="group">
+${Object.keys(GROUP_LABELS).map(key => `<option value="${key}"${key === groupBy ? ' selected' : ''}>${GROUP_LABELS[key]}</option>`).join('\n')}
+</select>
+</div>
+</form>
+<p id="finding-count" aria-live="polite">Showing ${findings.length} of ${findings.length} finding(s).</p>
+<div id="findings">
+${labels.map(label => renderGroup(label, groups.get(label))).join('\n')}
+</div>`}
+</section>`;
+}
+
+function groupLabel(finding, groupBy) {
+    if (groupBy === 'rule') return `${finding.rule}: ${finding.title}`;
+    if (groupBy === 'criterion') return finding.criteria.length > 0 ? formatCriterion(finding.criteria[0]) : NOT_MAPPED;
+    return displayFile(finding.file);
+}
+
+function renderGroup(label, findings) {
+    return `<section class="group">
+<h3>${escapeHTML(label)} <span class="group-count">(${findings.length})</span></h3>
+${findings.map(renderFinding).join('\n')}
+</section>`;
+}
+
+// Renders one finding. The data attributes are what the script filters and groups on.
+function renderFinding(finding) {
+    const file = displayFile(finding.file);
+    const location = finding.line ? `${file}:${finding.line}${finding.column ? `:${finding.column}` : ''}` : file;
+    const criterion = groupLabel(finding, 'criterion');
+    const searchText = [finding.rule, finding.title, finding.target, finding.snippet, finding.summary, file].join(' ').toLowerCase();
+
+    return `<article class="finding impact-border-${finding.impact}" data-impact="${finding.impact}" data-rule="${escapeHTML(finding.rule)}" data-rule-title="${escapeHTML(finding.title)}" data-file="${escapeHTML(file)}" data-criterion="${escapeHTML(criterion)}" data-search="${escapeHTML(searchText)}">
+<h4><span class="badge impact-${finding.impact}">${finding.impact}</span> ${escapeHTML(finding.rule)}: ${escapeHTML(finding.title)}</h4>
+<dl>
+<dt>Location</dt><dd>${escapeHTML(location)}</dd>
+${finding.target ? `<dt>Target</dt><dd><code>${escapeHTML(finding.target)}</code></dd>` : ''}
+${finding.criteria.length > 0 ? `<dt>WCAG</dt><dd>${finding.criteria.map(criterion => escapeHTML(formatCriterion(criterion))).join(', ')}</dd>` : ''}
+</dl>
+${finding.snippet ? `<pre><code>${escapeHTML(finding.snippet)}</code></pre>` : ''}
+${finding.summary ? `<p class="failure-summary">${escapeHTML(finding.summary)}</p>` : ''}
+${finding.recommendations ? renderRecommendations(finding.recommendations) : ''}
+${finding.simulations ? renderSimulations(finding) : ''}
+${finding.helpUrl ? `<p><a href="${escapeHTML(finding.helpUrl)}">Learn more about ${escapeHTML(finding.rule)}</a></p>` : ''}
+${finding.suggestion ? `<details class="suggestion">
+<summary>Suggested fix</summary>
+<p>${escapeHTML(finding.suggestion.suggestion)}</p>
+${finding.suggestion.codeFix ? `<pre><code>${escapeHTML(finding.suggestion.codeFix)}</code></pre>` : ''}
+</details>` : ''}
+</article>`;
+}
+
+// Lists the compliant colors of a contrast finding, with a swatch of each.
+function renderRecommendations(recommendations) {
+    const options = [...recommendations.options, ...(recommendations.palette || [])];
+    if (options.length === 0) return '';
+    return `<details class="recommendations">
+<summary>Compliant colors</summary>
+<ul>
+${options.map(option => `<li><span class="swatch" style="background-color: ${escapeHTML(option.color)}"></span>${escapeHTML(option.level)} (${option.threshold}:1): <code>${escapeHTML(option.change)}: ${escapeHTML(option.value || option.color)}</code>${option.name ? ` (${escapeHTML(option.name)})` : ''} gives ${option.ratio}:1</li>`).join('\n')}
+</ul>
+</details>`;
+}
+
+// Shows the two colors of a color vision finding as they look with each deficiency. The table
+// carries the values; the PNG swatches are added when the canvas package is available.
+function renderSimulations({colors, simulations, confusedBy = []}) {
+    const png = renderSwatchesPNG(colors, simulations);
+    const swatches = pair => pair.map(color => `<span class="swatch" style="background-color: ${escapeHTML(color)}"></span><code>${escapeHTML(color)}</code>`).join(' ');
+    return `<details class="simulations">
+<summary>Simulated color vision</summary>
+${png ? `<img src="${png}" alt="">` : ''}
+<table>
+<thead><tr><th scope="col">Vision</th><th scope="col">Colors</th><th scope="col">Result</th></tr></thead>
+<tbody>
+<tr><th scope="row">Normal vision</th><td>${swatches(colors)}</td><td>Distinct</td></tr>
+${simulations.map(simulation => `<tr><th scope="row">${escapeHTML(DEFICIENCIES[simulation.deficiency].name)}</th><td>${swatches(simulation.colors)}</td><td>${confusedBy.includes(simulation.deficiency) ? '<strong>Indistinguishable</strong>' : 'Distinct'}</td></tr>`).join('\n')}
+</tbody>
+</table>
+</details>`;
+}
+
+// Renders the files that could not be scanned and the suppression comments.
+function renderOther(scanErrors, suppressed, unused) {
+    const sections = [];
+
+    if (scanErrors.length > 0) {
+        sections.push(`<section aria-labelledby="errors-heading">
+<h2 id="errors-heading">Files not scanned</h2>
+<ul>
+${scanErrors.map(result => `<li>${escapeHTML(displayFile(result.file))}: ${escapeHTML(result.error)}</li>`).join('\n')}
+</ul>
+</section>`);
+    }
+
+    if (suppressed.length > 0) {
+        sections.push(`<section aria-labelledby="suppressed-heading">
+<h2 id="suppressed-heading">Suppressed issues</h2>
+<ul>
+${suppressed.map(entry => `<li>${escapeHTML(entry.rule)} on <code>${escapeHTML(entry.target)}</code> in ${escapeHTML(displayFile(entry.file))}${entry.line ? `:${entry.line}` : ''}: ${escapeHTML(entry.reason)}</li>`).join('\n')}
+</ul>
+</section>`);
+    }
+
+    if (unused.length > 0) {
+        sections.push(`<section aria-labelledby="unused-heading">
+<h2 id="unused-heading">Unused suppression comments</h2>
+<ul>
+${unused.map(directive => `<li>${escapeHTML(displayFile(directive.file))}:${directive.line}: axcel-${escapeHTML(directive.kind)} ${escapeHTML(directive.rules.join(', '))} suppresses nothing</li>`).join('\n')}
+</ul>
+</section>`);
+    }
+
+    return sections.join('\n');
+}
+
+// Counts findings by the keys returned for each one.
+function countBy(findings, keys) {
+    const counts = new Map();
+    for (const finding of findings) {
+        for (const key of keys(finding)) {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+// Sorts counts from most to fewest findings.
+function sortCounts(counts) {
+    return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+// Sorts success criteria by number ("1.4.3" before "1.4.11"), unmapped findings last.
+function sortCriteria(counts) {
+    return [...counts].sort(([a], [b]) => {
+        if (a === NOT_MAPPED || b === NOT_MAPPED) return a === NOT_MAPPED ? 1 : -1;
+        return compareCriteria(a.split(' ')[0], b.split(' ')[0]);
+    });
+}
+
+// Shows crawled pages by URL and files by their path.
+function displayFile(file) {
+    return isURL(file) ? file : file.split(path.sep).join('/');
+}
+
+function escapeHTML(text) {
+    if (text === undefined || text === null) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Colors are chosen for at least 4.5:1 contrast on their backgrounds.
+const STYLES = `
+body { font-family: Arial, sans-serif; margin: 0; line-height: 1.5; color: #1f2328; background: #ffffff; }
+.page-header, main { padding: 0 1.25rem; max-width: 75rem; margin: 0 auto; }
+h1, h2, h3, h4 { line-height: 1.25; }
+h4 { margin: 0 0 0.5rem; }
+a { color: #0550ae; }
+a:focus-visible, input:focus-visible, select:focus-visible, summary:focus-visible { outline: 0.2rem solid #0550ae; outline-offset: 0.15rem; }
+.totals { display: flex; flex-wrap: wrap; gap: 0.75rem; list-style: none; padding: 0; }
+.totals li { border: 1px solid #d0d7de; border-radius: 0.4rem; padding: 0.5rem 1rem; min-width: 8rem; }
+.total { display: block; font-size: 1.75rem; font-weight: bold; }
+.tables { display: flex; flex-wrap: wrap; gap: 1.5rem; align-items: flex-start; }
+table { border-collapse: collapse; }
+caption { font-weight: bold; text-align: left; padding-bottom: 0.25rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.25rem 0.6rem; text-align: left; vertical-align: top; }
+td { text-align: right; }
+tbody th { font-weight: normal; }
+.controls { display: flex; flex-wrap: wrap; gap: 1rem; align-items: flex-end; margin-bottom: 1rem; }
+.controls fieldset { border: 1px solid #d0d7de; border-radius: 0.4rem; }
+.controls fieldset label { margin-right: 0.75rem; }
+.control label { display: block; font-weight: bold; }
+.controls input, .controls select { font: inherit; }
+.group { margin-bottom: 1.5rem; }
+.group-count { font-weight: normal; }
+.finding { border: 1px solid #d0d7de; border-left-width: 0.35rem; border-radius: 0.4rem; padding: 0.75rem 1rem; margin-bottom: 0.75rem; }
+.finding dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.1rem 0.75rem; margin: 0 0 0.5rem; }
+.finding dt { font-weight: bold; }
+.finding dd { margin: 0; overflow-wrap: anywhere; }
+.failure-summary { white-space: pre-line; }
+pre { background: #f6f8fa; color: #1f2328; padding: 0.75rem; border-radius: 0.4rem; overflow: auto; white-space: pre-wrap; }
+.suggestion summary { cursor: pointer; color: #0550ae; font-weight: bold; }
+.recommendations summary { cursor: pointer; color: #0550ae; }
+.simulations summary { cursor: pointer; color: #0550ae; }
+.simulations img { display: block; margin: 0.5rem 0; }
+.simulations table { border-collapse: collapse; margin: 0.5rem 0; }
+.simulations th, .simulations td { text-align: left; padding: 0.2rem 0.75rem 0.2rem 0; }
+.swatch { display: inline-block; width: 1em; height: 1em; margin-right: 0.4rem; vertical-align: middle; border: 1px solid #57606a; }
+.badge { display: inline-block; border-radius: 0.25rem; padding: 0 0.4rem; font-size: 0.85em; font-weight: bold; text-transform: uppercase; }
+.badge.impact-critical { background: #a40e26; color: #ffffff; }
+.badge.impact-serious { background: #953800; color: #ffffff; }
+.badge.impact-moderate { background: #7d4e00; color: #ffffff; }
+.badge.impact-minor { background: #1a7f37; color: #ffffff; }
+.totals .impact-critical, .impact-border-critical { border-left: 0.35rem solid #a40e26; }
+.totals .impact-serious, .impact-border-serious { border-left: 0.35rem solid #953800; }
+.totals .impact-moderate, .impact-border-moderate { border-left: 0.35rem solid #7d4e00; }
+.totals .impact-minor, .impact-border-minor { border-left: 0.35rem solid #1a7f37; }
+[hidden] { display: none !important; }
+`;
+
+// Client-side filtering, searching and grouping. Findings are moved between group sections
+// built from their data attributes, so no finding is ever copied.
+const SCRIPT = `
+(function () {
+    var form = document.getElementById('controls');
+    var container = document.getElementById('findings');
+    if (!form || !container) return;
+    var findings = Array.prototype.slice.call(container.querySelectorAll('.finding'));
+    var count = document.getElementById('finding-count');
+    form.hidden = false;
+
+    function groupLabel(finding, groupBy) {
+        if (groupBy === 'rule') return finding.dataset.rule + ': ' + finding.dataset.ruleTitle;
+        if (groupBy === 'criterion') return finding.dataset.criterion;
+        return finding.dataset.file;
+    }
+
+    // Criteria sort by number, "Not mapped" last
+    function compareCriteria(a, b) {
+        var x = a.split(' ')[0].split('.').map(Number);
+        var y = b.split(' ')[0].split('.').map(Number);
+        if (isNaN(x[0]) || isNaN(y[0])) return isNaN(x[0]) ? 1 : -1;
+        return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+    }
+
+    function regroup() {
+        var groupBy = form.elements.group.value;
+        var groups = [];
+        var byLabel = {};
+        findings.forEach(function (finding) {
+            var label = groupLabel(finding, groupBy);
+            if (!byLabel[label]) {
+                byLabel[label] = {label: label, findings: []};
+                groups.push(byLabel[label]);
+            }
+            byLabel[label].findings.push(finding);
+        });
+        if (groupBy === 'rule') {
+            groups.sort(function (a, b) { return a.label.localeCompare(b.label); });
+        } else if (groupBy === 'criterion') {
+            groups.sort(function (a, b) { return compareCriteria(a.label, b.label); });
+        }
+
+        container.textContent = '';
+        groups.forEach(function (group) {
+            var section = document.createElement('section');
+            section.className = 'group';
+            var heading = document.createElement('h3');
+            heading.textContent = group.label + ' ';
+            var groupCount = document.createElement('span');
+            groupCount.className = 'group-count';
+            heading.appendChild(groupCount);
+            section.appendChild(heading);
+            group.findings.forEach(function (finding) { section.appendChild(finding); });
+            container.appendChild(section);
+        });
+        filter();
+    }
+
+    function filter() {
+        var impacts = Array.prototype.slice.call(form.querySelectorAll('input[name="impact"]:checked'))
+            .map(function (input) { return input.value; });
+        var rule = form.elements.rule.value;
+        var terms = form.elements.search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        var shown = 0;
+
+        findings.forEach(function (finding) {
+            var visible = impacts.indexOf(finding.dataset.impact) !== -1 &&
+                (!rule || finding.dataset.rule === rule) &&
+                terms.every(function (term) { return finding.dataset.search.indexOf(term) !== -1; });
+            finding.hidden = !visible;
+            if (visible) shown++;
+        });
+
+        Array.prototype.forEach.call(container.querySelectorAll('.group'), function (section) {
+            var visible = section.querySelectorAll('.finding:not([hidden])').length;
+            section.hidden = visible === 0;
+            section.querySelector('.group-count').textContent = '(' + visible + ')';
+        });
+        count.textContent = 'Showing ' + shown + ' of ' + findings.length + ' finding(s).';
+    }
+
+    form.addEventListener('submit', function (event) { event.preventDefault(); });
+    form.addEventListener('input', filter);
+    form.addEventListener('change', function (event) {
+        if (event.target.name === 'group') regroup(); else filter();
+    });
+})();
+`;
+
+module.exports = {
+    generateHTMLReport
+};
@@ -0,0 +1,314 @@
+// Type declarations for the axcel programmatic API (lib/index.js).
+
+export type Impact = 'minor' | 'moderate' | 'serious' | 'critical';
+
+export type ReportFormat = 'table' | 'json' | 'html' | 'sarif' | 'markdown';
+
+export type Standard = 'wcag2a' | 'wcag2aa' | 'wcag21aa' | 'wcag22aa' | 'wcag2aaa' | 'section508' | 'en301549';
+
+export type GroupBy = 'file' | 'rule' | 'criterion';
+
+/** A WCAG success criterion, e.g. {id: "1.4.3", name: "Contrast (Minimum)", level: "AA"}. */
+export interface Criterion {
+    id: string;
+    name: string | null;
+    level: 'A' | 'AA' | 'AAA' | null;
+}
+
+/** Source range of a finding. Lines and columns start at 1, the end column is exclusive. */
+export interface SourceRange {
+    line: number | null;
+    column?: number;
+    endLine?: number;
+    endColumn?: number;
+}
+
+export interface Suppression {
+    /** Reason given after "--" in the suppression comment */
+    reason: string;
+    /** Line of the suppression comment */
+    line: number;
+}
+
+/** An element that fails an axe-core rule. */
+export interface AxeNode extends SourceRange {
+    html: string;
+    target: string[];
+    failureSummary?: string;
+    /** Linked stylesheets that set colors on the element (color findings only) */
+    stylesheets?: string[];
+    suppression?: Suppression;
+    [key: string]: unknown;
+}
+
+/** A failed axe-core rule and the elements it failed on. */
+export interface AxeIssue {
+    id: string;
+    impact: Impact | null;
+    description: string;
+    help: string;
+    helpUrl: string;
+    tags: string[];
+    /** Success criteria the rule tests */
+    criteria: Criterion[];
+    nodes: AxeNode[];
+    [key: string]: unknown;
+}
+
+/** A single CSS check failure within a rule. */
+export interface CSSFinding extends SourceRange {
+    type: string;
+    impact: Impact;
+    message: string;
+    declaration?: string;
+    declarations?: Record<string, string>;
+    /** Success criteria the finding fails */
+    criteria: Criterion[];
+    /** Compliant colors for a ColorContrast finding */
+    recommendations?: ContrastRecommendations;
+    /** ColorVision findings: the two hex colors, what they are and how they look with each deficiency */
+    colors?: [string, string];
+    pair?: {kind: 'text' | 'link' | 'state'; selectors: string[]; property: string};
+    simulations?: ColorSimulation[];
+    confusedBy?: ColorVisionDeficiency[];
+    suppression?: Suppression;
+    [key: string]: unknown;
+}
+
+/** A color that reaches a contrast threshold when it replaces the text or background color. */
+export interface ContrastOption {
+    level: 'AA large text' | 'AA' | 'AAA' | 'required';
+    threshold: number;
+    change: 'color' | 'background-color';
+    /** Hex color */
+    color: string;
+    ratio: number;
+    /** Perceptual distance from the original color (OKLab) */
+    distance: number;
+    /** Palette entries only: the token name and the value written into the CSS */
+    name?: string;
+    value?: string;
+}
+
+export interface ContrastRecommendations {
+    required: number;
+    options: ContrastOption[];
+    /** Closest passing palette colors, when a palette is configured */
+    palette?: ContrastOption[];
+}
+
+export type ColorVisionDeficiency = 'protanopia' | 'deuteranopia' | 'tritanopia' | 'achromatopsia';
+
+/** A color pair as it looks with one color vision deficiency. */
+export interface ColorSimulation {
+    deficiency: ColorVisionDeficiency;
+    /** Simulated hex colors */
+    colors: [string, string];
+    /** Perceptual distance between the simulated colors (OKLab) */
+    distance: number;
+}
+
+/** The CSS check failures of one rule. */
+export interface CSSIssue extends SourceRange {
+    selector: string;
+    /** Where embedded CSS came from, e.g. "<style> block 1" */
+    source?: string;
+    issues: CSSFinding[];
+    [key: string]: unknown;
+}
+
+export type Issue = AxeIssue | CSSIssue;
+
+export interface LinkedStylesheet {
+    href: string;
+    path: string | null;
+    loaded: boolean;
+    error?: string;
+}
+
+export interface UnusedSuppression {
+    kind: 'disable' | 'disable-next-line';
+    rules: string[];
+    reason: string;
+    line: number;
+}
+
+export interface InvalidSuppression {
+    line: number;
+    message: string;
+}
+
+/** The normalized result of scanning one file or page. */
+export interface FileReport {
+    /** File path as given, or the URL of a crawled page */
+    file: string;
+    type: 'html' | 'css';
+    issues: Issue[];
+    /** Set when the file could not be scanned */
+    error?: string;
+    /** Findings hidden by suppression comments */
+    suppressed?: Issue[];
+    unusedSuppressions?: UnusedSuppression[];
+    invalidSuppressions?: InvalidSuppression[];
+    stylesheets?: LinkedStylesheet[];
+    /** Template syntax of component files */
+    template?: 'jsx' | 'tsx' | 'vue' | 'svelte' | 'handlebars';
+    /** Added by addSuggestions */
+    aiSuggestions?: Suggestions;
+    /** Baseline issues fixed in this file, when compared with a baseline */
+    fixedIssues?: Array<{fingerprint: string; file: string; rule: string; target: string; impact: Impact | null; message: string}>;
+    [key: string]: unknown;
+}
+
+/** A rule-based fix of one element. node is the target of the reported element the fix belongs to. */
+export interface ElementFix {
+    target: string;
+    html: string;
+    /** Fixed markup, or null when the element needs changes elsewhere on the page */
+    codeFix: string | null;
+    /** The fix fills in a placeholder name or language, so it is shown but never applied */
+    placeholder?: boolean;
+    node: string;
+}
+
+export interface Suggestions {
+    html?: Array<{ruleId: string; impact: Impact | null; description: string; suggestion: string; codeFix: string; fixes?: ElementFix[]; nodes: string[]}>;
+    css?: Array<{selector: string; type: string; message: string; suggestion: string; codeFix: string; originalCode: string}>;
+    [key: string]: unknown;
+}
+
+export interface Summary {
+    files: number;
+    filesWithIssues: number;
+    /** Affected elements and CSS issues */
+    issues: number;
+    suppressed: number;
+    errors: number;
+    byImpact: Record<Impact, number>;
+}
+
+export interface Override {
+    files: string[];
+    tags?: string[];
+    rules?: Record<string, boolean>;
+    css?: CSSOptions;
+}
+
+export interface CSSOptions {
+    minContrastRatio?: number;
+    /** Palette or design-token file (JSON, CSS, SCSS or Less) to pick compliant contrast colors from */
+    palette?: string | null;
+    /** Per-check switches, e.g. {FocusStyle: false} */
+    checks?: Record<string, boolean>;
+}
+
+export interface AIOptions {
+    enabled?: boolean;
+    provider?: 'gemini' | 'openai' | 'mock';
+    model?: string | null;
+    baseUrl?: string | null;
+    /** Name of the environment variable holding the API key */
+    apiKeyEnv?: string | null;
+    /** Milliseconds to wait for an answer from an OpenAI-compatible endpoint (default 60000) */
+    timeout?: number | null;
+}
+
+/** The settings of a config file. */
+export interface ScanOptions {
+    /** A config file path, or true to search for one from cwd upwards. Not read by default. */
+    config?: string | boolean;
+    /** Directory config files are searched from, and the default rootDir */
+    cwd?: string;
+    rootDir?: string;
+    tags?: string[];
+    /** Conformance standard, which replaces tags and selects the CSS checks */
+    standard?: Standard | null;
+    rules?: Record<string, boolean>;
+    css?: CSSOptions;
+    include?: string[];
+    exclude?: string[];
+    overrides?: Override[];
+    /** Number of files scanned at the same time, null for one per CPU */
+    concurrency?: number | null;
+    ai?: AIOptions;
+    cache?: {enabled?: boolean; dir?: string | null};
+    /** Scan history read by "axcel trend" */
+    history?: {enabled?: boolean; file?: string | null};
+    [key: string]: unknown;
+}
+
+export interface StringScanOptions extends ScanOptions {
+    /** Name of the report. Linked stylesheets resolve against it, and for CSS its extension selects the syntax. */
+    filePath?: string;
+}
+
+export interface CrawlOptions extends ScanOptions {
+    maxDepth?: number;
+    maxPages?: number;
+    sitemap?: boolean;
+    robots?: boolean;
+    /** Time to wait for each response in milliseconds */
+    timeout?: number;
+}
+
+export interface ScanResult {
+    files: FileReport[];
+    summary: Summary;
+}
+
+export interface CrawlResult extends ScanResult {
+    skipped: Array<{url: string; reason: string}>;
+}
+
+export interface RunEvents<T> {
+    start: {total: number | null; files: string[]};
+    progress: {completed: number; total: number | null; file: string};
+    result: FileReport;
+    done: T;
+}
+
+/** A running scan: a promise for its result that also emits events. */
+export interface Run<T> extends Promise<T> {
+    on<E extends keyof RunEvents<T>>(event: E, listener: (data: RunEvents<T>[E]) => void): Run<T>;
+    once<E extends keyof RunEvents<T>>(event: E, listener: (data: RunEvents<T>[E]) => void): Run<T>;
+    off<E extends keyof RunEvents<T>>(event: E, listener: (data: RunEvents<T>[E]) => void): Run<T>;
+}
+
+export interface SuggestionCache {
+    enabled: boolean;
+    stats: {hits: number; misses: number};
+}
+
+export interface FormatOptions {
+    /** Directory SARIF file URIs are relative to */
+    rootDir?: string;
+    /** Table width in columns */
+    width?: number;
+    /** Print the closing hint under the table */
+    footer?: boolean;
+    /** Shorten a markdown report to this many characters */
+    maxLength?: number | null;
+    /** How html and markdown reports group findings (default file) */
+    groupBy?: GroupBy;
+}
+
+export function scanHTMLString(html: string, options?: StringScanOptions): Promise<FileReport>;
+export function scanCSSString(css: string, options?: StringScanOptions): Promise<FileReport>;
+export function scanPaths(patterns: string | string[], options?: ScanOptions): Run<ScanResult>;
+export function crawlSite(url: string, options?: CrawlOptions): Run<CrawlResult>;
+
+export function createSuggestionCache(options?: ScanOptions): SuggestionCache;
+export function addSuggestions(reports: FileReport[], options?: ScanOptions, cache?: SuggestionCache): Promise<{enabled: boolean; hits: number; misses: number}>;
+export function summarize(reports: FileReport[]): Summary;
+export function resolveOptions(options?: ScanOptions): Required<Pick<ScanOptions, 'rootDir' | 'tags' | 'rules' | 'css' | 'include' | 'exclude' | 'overrides' | 'ai' | 'cache'>> & ScanOptions & {filepath: string | null};
+
+export function formatReport(format: ReportFormat, reports: FileReport[], options?: FormatOptions): string;
+export function formatTable(reports: FileReport[], options?: FormatOptions): string;
+export function formatJSON(reports: FileReport[]): string;
+export function formatHTML(reports: FileReport[], options?: FormatOptions): string;
+export function formatSARIF(reports: FileReport[], options?: FormatOptions): string;
+export function formatMarkdown(reports: FileReport[], options?: FormatOptions): string;
+
+export const CSS_CHECKS: Record<string, {description: string; help: string; helpUrl: string; impact: Impact; tags: string[]}>;
+export const IMPACT_LEVELS: Impact[];
+export const DEFAULT_CONFIG: Readonly<ScanOptions>;
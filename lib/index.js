@@ -0,0 +1,184 @@
+const {EventEmitter} = require('events');
+const scanner = require('./scanner');
+const config = require('./config');
+const files = require('./files');
+const pool = require('./pool');
+const crawler = require('./crawler');
+const suggestions = require('./suggestions');
+const cache = require('./cache');
+const formatters = require('./formatters');
+const severity = require('./severity');
+const {isStylesheet} = require('./css-checks');
+
+// Programmatic API. Every scan resolves to file reports in the same shape:
+// {file, type, issues, suppressed?, unusedSuppressions?, invalidSuppressions?, error?, ...}.
+// Options are the settings of a config file ({tags, rules, css, include, exclude, overrides, ai, ...}).
+// Config files are only read when options.config is a path, or true to search from options.cwd upwards.
+
+// Scans HTML markup held in memory. options.filePath names the report and is where linked
+// stylesheets are loaded from (default "index.html" in the current directory).
+async function scanHTMLString(html, options = {}) {
+    const {filePath = 'index.html', ...settings} = options;
+    const resolved = config.resolveOptions(settings);
+    return normalizeReport(await scanner.scanHTMLString(html, config.resolveFileConfig(resolved, filePath), filePath), filePath);
+}
+
+// Scans CSS held in memory. options.filePath names the report, and its extension selects
+// the syntax (default "styles.css"; use a ".scss" or ".less" name for SCSS or Less).
+async function scanCSSString(css, options = {}) {
+    const {filePath = 'styles.css', ...settings} = options;
+    const resolved = config.resolveOptions(settings);
+    return normalizeReport(await scanner.scanCSSString(css, config.resolveFileConfig(resolved, filePath), filePath), filePath);
+}
+
+// Scans files, directories and globs. Returns a promise for {files, summary} that also emits events:
+//   "start"    {total, files}          once the files to scan are known
+//   "progress" {completed, total, file} after each file
+//   "result"   report                   with the report of each file, as soon as it is ready
+//   "done"     {files, summary}         when every file is scanned
+function scanPaths(patterns, options = {}) {
+    return startRun(async emit => {
+        const resolved = config.resolveOptions(options);
+        const filePaths = files.collectFiles(patterns, resolved);
+        emit('start', {total: filePaths.length, files: filePaths});
+
+        const reports = new Map();
+        const jobs = filePaths.map(filePath => ({filePath, options: config.resolveFileConfig(resolved, filePath)}));
+        await pool.scanFiles(jobs, {
+            concurrency: resolved.concurrency,
+            onProgress: (completed, total, file, result) => {
+                const report = result.error ? errorReport(file, result.error) : normalizeReport(result.report, file);
+                reports.set(file, report);
+                emit('result', report);
+                emit('progress', {completed, total, file});
+            }
+        });
+
+        const scanned = filePaths.map(filePath => reports.get(filePath));
+        const result = {files: scanned, summary: summarize(scanned)};
+        emit('done', result);
+        return result;
+    });
+}
+
+// Crawls a running site from a URL and scans every page (see crawler.js for maxDepth, maxPages,
+// sitemap, robots and timeout). Returns a promise for {files, skipped, summary} with the same
+// events as scanPaths, except that "progress" has no total. Pages that could not be fetched
+// are reported with an error.
+function crawlSite(url, options = {}) {
+    return startRun(async emit => {
+        const {maxDepth, maxPages, sitemap, robots, timeout, ...settings} = options;
+        const resolved = config.resolveOptions(settings);
+        const reports = [];
+        const add = report => {
+            reports.push(report);
+            emit('result', report);
+            emit('progress', {completed: reports.length, total: null, file: report.file});
+        };
+
+        emit('start', {total: null, files: [url]});
+        const crawled = await crawler.crawl(url, {
+            maxDepth,
+            maxPages,
+            sitemap,
+            robots,
+            timeout,
+            onPage: async page => {
+                try {
+                    add(normalizeReport(await scanner.scanPage(page, resolved), page.url));
+                } catch (error) {
+                    add(errorReport(page.url, error.message));
+                }
+            }
+        });
+        crawled.pages.filter(page => page.error).forEach(page => add(errorReport(page.url, page.error)));
+
+        const result = {files: reports, skipped: crawled.skipped, summary: summarize(reports)};
+        emit('done', result);
+        return result;
+    });
+}
+
+// Creates the on-disk cache for AI suggestions configured in the options. Pass it to addSuggestions
+// to share it between calls.
+function createSuggestionCache(options = {}) {
+    const resolved = config.resolveOptions(options);
+    return cache.createCache({dir: cache.resolveCacheDir(resolved), enabled: resolved.cache.enabled});
+}
+
+// Adds AI suggestions (options.ai) to each file report as report.aiSuggestions, falling back to
+// rule-based suggestions without credentials. Resolves to the cache statistics {enabled, hits, misses}.
+async function addSuggestions(reports, options = {}, suggestionCache = createSuggestionCache(options)) {
+    const resolved = config.resolveOptions(options);
+    for (const report of reports) {
+        report.aiSuggestions = await suggestions.processReport(report, resolved.ai, suggestionCache);
+    }
+    return {enabled: suggestionCache.enabled, ...suggestionCache.stats};
+}
+
+// Counts the files, findings, suppressed findings and scan errors of a list of file reports.
+// Findings are affected elements and CSS issues, also counted per impact level.
+function summarize(reports) {
+    const countFindings = issues => issues.reduce((total, issue) =>
+        total + (issue.id ? Math.max((issue.nodes || []).length, 1) : (issue.issues || []).length), 0);
+
+    return {
+        files: reports.length,
+        filesWithIssues: reports.filter(report => (report.issues || []).length > 0).length,
+        issues: reports.reduce((total, report) => total + countFindings(report.issues || []), 0),
+        suppressed: reports.reduce((total, report) => total + countFindings(report.suppressed || []), 0),
+        errors: reports.filter(report => report.error).length,
+        byImpact: severity.countByImpact(reports)
+    };
+}
+
+// Makes sure every report has a file, a type and a list of issues, also when the scan failed.
+function normalizeReport(report, file) {
+    return {
+        file,
+        type: isStylesheet(file) ? 'css' : 'html',
+        ...report,
+        issues: report.issues || []
+    };
+}
+
+// Report for a file that could not be scanned.
+function errorReport(file, message) {
+    return {file, type: isStylesheet(file) ? 'css' : 'html', issues: [], error: message};
+}
+
+// Starts an asynchronous task and returns its promise, which also has the on, once and off methods
+// of the task's events. The task starts after the current tick, so listeners can be attached first.
+function startRun(task) {
+    const emitter = new EventEmitter();
+    const run = new Promise(resolve => setImmediate(resolve))
+        .then(() => task((event, data) => emitter.emit(event, data)));
+
+    for (const method of ['on', 'once', 'off']) {
+        run[method] = (...args) => {
+            emitter[method](...args);
+            return run;
+        };
+    }
+    return run;
+}
+
+module.exports = {
+    scanHTMLString,
+    scanCSSString,
+    scanPaths,
+    crawlSite,
+    createSuggestionCache,
+    addSuggestions,
+    summarize,
+    resolveOptions: config.resolveOptions,
+    formatReport: formatters.formatReport,
+    formatTable: formatters.formatTable,
+    formatJSON: formatters.formatJSON,
+    formatHTML: formatters.formatHTML,
+    formatSARIF: formatters.formatSARIF,
+    formatMarkdown: formatters.formatMarkdown,
+    CSS_CHECKS: scanner.CSS_CHECKS,
+    IMPACT_LEVELS: severity.IMPACT_LEVELS,
+    DEFAULT_CONFIG: config.DEFAULT_CONFIG
+};
@@ -0,0 +1,302 @@
+const {IMPACT_LEVELS, isImpactLevel} = require('./severity');
+const {generateRuleBasedSuggestions} = require('./suggestions');
+const {isStylesheet, CSS_CHECKS} = require('./css-checks');
+const {toReportPath} = require('./glob');
+const {criteriaFromTags, formatCriterion, compareCriteria} = require('./standards');
+
+// Generates a GitHub-flavoured Markdown summary for pull-request comments: a table of counts by
+// impact and a collapsible section per file (or rule, or success criterion) with the offending
+// code and the suggested fix.
+// Results compared with a baseline (they carry fixedIssues) only list new and fixed issues.
+
+// Impact levels from most to least severe.
+const IMPACTS = IMPACT_LEVELS.slice().reverse();
+
+// Section of the findings without a WCAG success criterion.
+const NOT_MAPPED = 'Not mapped';
+
+// Generates the report for a list of results ({file, issues, aiSuggestions, fixedIssues, error, ...}).
+// groupBy makes a section per file (the default), rule or WCAG success criterion. maxLength cuts
+// the report at a whole section or rule so it fits in a comment, and says what was left out.
+function generateMarkdownReport(results, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const groupBy = options.groupBy || 'file';
+    const compared = results.some(result => Array.isArray(result.fixedIssues));
+    const files = results.map(result => {
+        const name = toReportPath(rootDir, result.file);
+        return {result, name, groups: groupIssues(result, name), fixed: result.fixedIssues || []};
+    });
+
+    const header = renderHeader(files, compared);
+    let sections;
+    if (groupBy === 'file') {
+        sections = files
+            .filter(file => file.groups.length > 0 || file.fixed.length > 0)
+            .map(file => renderSection(file.name, file.groups, file.fixed, compared));
+    } else {
+        sections = regroup(files, groupBy).map(section => renderSection(section.title, section.groups, null, compared));
+        const fixed = files.flatMap(file => file.fixed);
+        if (fixed.length > 0) sections.push(renderFixedSection(fixed));
+    }
+    const errors = results.filter(result => result.error);
+    const footer = errors.length > 0 ?
+        `\n**Not scanned:**\n${errors.map(result => `- ${inlineCode(toReportPath(rootDir, result.file))}: ${escapeText(result.error)}`).join('\n')}\n` :
+        '';
+
+    return fitLength(header, sections, footer, options.maxLength);
+}
+
+// Groups the findings of a file by rule: [{rule, impact, title, language, findings: [{file, location, target, snippet, criterion}], fix}].
+function groupIssues(result, fileName) {
+    const groups = [];
+    const byRule = new Map();
+    const language = isStylesheet(result.file) ? 'css' : 'html';
+    const fixes = result.aiSuggestions || generateRuleBasedSuggestions({file: result.file, issues: result.issues || []});
+
+    const groupFor = (rule, impact, title, groupLanguage, fix) => {
+        if (!byRule.has(rule)) {
+            const group = {rule, impact: isImpactLevel(impact) ? impact : 'minor', title, language: groupLanguage, findings: [], fix};
+            byRule.set(rule, group);
+            groups.push(group);
+        }
+        return byRule.get(rule);
+    };
+
+    for (const issue of result.issues || []) {
+        if (issue.id) {
+            const fix = (fixes.html || []).find(entry => entry.ruleId === issue.id);
+            const group = groupFor(issue.id, issue.impact, issue.help || issue.description || issue.id, language, fix);
+            const criteria = issue.criteria || criteriaFromTags(issue.tags);
+            for (const node of issue.nodes || []) {
+                group.findings.push({
+                    file: fileName,
+                    criterion: criteria[0] || null,
+                    line: node.line,
+                    column: node.column,
+                    target: Array.isArray(node.target) ? node.target.join(' ') : String(node.target || ''),
+                    snippet: node.html
+                });
+            }
+        } else if (issue.selector) {
+            for (const cssIssue of issue.issues || []) {
+                const fix = (fixes.css || []).find(entry => entry.selector === issue.selector && entry.type === cssIssue.type);
+                const check = CSS_CHECKS[cssIssue.type] || {};
+                const group = groupFor(cssIssue.type, cssIssue.impact, check.help || cssIssue.message, 'css', fix);
+                const location = cssIssue.line ? cssIssue : issue;
+                const criteria = cssIssue.criteria || criteriaFromTags(check.tags);
+                group.findings.push({
+                    file: fileName,
+                    criterion: criteria[0] || null,
+                    line: location.line,
+                    column: location.column,
+                    target: issue.selector,
+                    snippet: cssSnippet(issue.selector, cssIssue)
+                });
+            }
+        }
+    }
+
+    // Most severe rules first, in scan order otherwise
+    return groups.sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact));
+}
+
+// Renders the title line and the table of counts by impact.
+function renderHeader(files, compared) {
+    const count = impact => files.reduce((total, file) => total + file.groups
+        .filter(group => group.impact === impact)
+        .reduce((sum, group) => sum + group.findings.length, 0), 0);
+    const totalNew = files.reduce((total, file) => total + file.groups.reduce((sum, group) => sum + group.findings.length, 0), 0);
+    const withIssues = files.filter(file => file.groups.length > 0).length;
+
+    // Baselines do not record impacts, so fixed issues are only counted
+    if (compared) {
+        const totalFixed = files.reduce((total, file) => total + file.fixed.length, 0);
+        return [
+            `## Accessibility scan: ${totalNew} new, ${totalFixed} fixed`,
+            '',
+            '| Impact | New issues |',
+            '| --- | ---: |',
+            ...IMPACTS.map(impact => `| ${capitalize(impact)} | ${count(impact)} |`),
+            ''
+        ].join('\n');
+    }
+
+    return [
+        `## Accessibility scan: ${totalNew} issue(s) in ${withIssues} of ${files.length} file(s)`,
+        '',
+        '| Impact | Issues |',
+        '| --- | ---: |',
+        ...IMPACTS.map(impact => `| ${capitalize(impact)} | ${count(impact)} |`),
+        ''
+    ].join('\n');
+}
+
+// Moves the rule groups of every file into sections by rule or by success criterion ([{title, groups}]).
+// A finding with several criteria is listed under the first. Rules are in order of impact, criteria by number.
+function regroup(files, groupBy) {
+    const sections = new Map();
+    for (const file of files) {
+        for (const group of file.groups) {
+            for (const finding of group.findings) {
+                const key = groupBy === 'rule' ? group.rule : (finding.criterion ? finding.criterion.id : NOT_MAPPED);
+                if (!sections.has(key)) {
+                    const title = groupBy === 'rule' ? group.rule : (finding.criterion ? formatCriterion(finding.criterion) : NOT_MAPPED);
+                    sections.set(key, {key, title, impact: group.impact, groups: new Map()});
+                }
+                const groups = sections.get(key).groups;
+                if (!groups.has(group.rule)) groups.set(group.rule, {...group, findings: []});
+                groups.get(group.rule).findings.push(finding);
+            }
+        }
+    }
+
+    const ordered = [...sections.values()].map(section => ({...section, groups: [...section.groups.values()]}));
+    if (groupBy === 'rule') {
+        return ordered.sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) || a.key.localeCompare(b.key));
+    }
+    return ordered.sort((a, b) => {
+        if (a.key === NOT_MAPPED || b.key === NOT_MAPPED) return a.key === NOT_MAPPED ? 1 : -1;
+        return compareCriteria(a.key, b.key);
+    });
+}
+
+// Renders a collapsible section as {open, items, close, counts}, so the report can be cut between
+// rules without leaving a section open. counts are the findings in each item. fixed are the issues
+// fixed in a file, or null for sections that are not files.
+function renderSection(title, groups, fixed, compared) {
+    const total = groups.reduce((sum, group) => sum + group.findings.length, 0);
+    const byImpact = IMPACTS
+        .map(impact => [impact, groups.filter(group => group.impact === impact).reduce((sum, group) => sum + group.findings.length, 0)])
+        .filter(([, count]) => count > 0)
+        .map(([impact, count]) => `${count} ${impact}`);
+    const summary = compared ?
+        `${total} new${fixed ? `, ${fixed.length} fixed` : ''}` :
+        `${total} issue(s)${byImpact.length > 0 ? ` (${byImpact.join(', ')})` : ''}`;
+
+    const items = groups.map(renderGroup);
+    const counts = groups.map(group => group.findings.length);
+    if (fixed && fixed.length > 0) {
+        items.push([
+            '**Fixed:**',
+            '',
+            ...fixed.map(issue => `- ${inlineCode(issue.rule)} on ${inlineCode(issue.target)}`),
+            ''
+        ].join('\n'));
+        counts.push(fixed.length);
+    }
+
+    return {
+        open: `<details>\n<summary><strong>${escapeHTML(title)}</strong>: ${summary}</summary>\n\n`,
+        items,
+        counts,
+        close: '</details>\n'
+    };
+}
+
+// Renders the issues fixed in every file as one section, for reports not grouped by file.
+function renderFixedSection(fixed) {
+    return {
+        open: `<details>\n<summary><strong>Fixed</strong>: ${fixed.length} fixed</summary>\n\n`,
+        items: [[...fixed.map(issue => `- ${inlineCode(issue.rule)} on ${inlineCode(issue.target)} in ${inlineCode(issue.file)}`), ''].join('\n')],
+        counts: [fixed.length],
+        close: '</details>\n'
+    };
+}
+
+function renderGroup(group) {
+    const lines = [`**${escapeText(group.rule)}** (${group.impact}): ${escapeText(group.title)}`, ''];
+
+    for (const finding of group.findings) {
+        const location = finding.line ? `${finding.file}:${finding.line}${finding.column ? `:${finding.column}` : ''}` : finding.file;
+        lines.push(`- ${inlineCode(location)}${finding.target ? ` ${inlineCode(finding.target)}` : ''}`);
+        if (finding.snippet) {
+            lines.push('', indent(fence(finding.snippet, group.language), '  '));
+        }
+    }
+
+    if (group.fix && (group.fix.suggestion || group.fix.codeFix)) {
+        lines.push('', `Suggested fix: ${escapeText(group.fix.suggestion || '')}`);
+        if (group.fix.codeFix) {
+            lines.push('', fence(group.fix.codeFix, group.language));
+        }
+    }
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+// Joins the report, leaving out whole rules and files once maxLength would be exceeded.
+function fitLength(header, sections, footer, maxLength) {
+    const full = header + sections.map(section => `\n${section.open}${section.items.join('\n')}${section.close}`).join('') + footer;
+    if (!maxLength || full.length <= maxLength) return full;
+
+    const note = count => `\n_${count} more finding(s) not shown: the report was shortened to ${maxLength} characters._\n`;
+    const omittedTotal = sections.reduce((total, section) => total + section.counts.reduce((sum, count) => sum + count, 0), 0);
+    // Room for the note with the largest count it can show
+    const budget = maxLength - note(omittedTotal).length - footer.length;
+
+    let output = header;
+    let omitted = omittedTotal;
+    sections: for (const section of sections) {
+        const opening = `\n${section.open}`;
+        let body = '';
+        for (const [index, item] of section.items.entries()) {
+            const text = (body ? '\n' : '') + item;
+            if (output.length + opening.length + body.length + text.length + section.close.length > budget) {
+                if (body) output += opening + body + section.close;
+                break sections;
+            }
+            body += text;
+            omitted -= section.counts[index];
+        }
+        output += opening + body + section.close;
+    }
+
+    output = output + note(omitted) + footer;
+    // A header that does not fit on its own is cut at a line break
+    return output.length <= maxLength ? output : output.slice(0, output.lastIndexOf('\n', maxLength) + 1);
+}
+
+// Shows the declarations behind a CSS issue inside their rule.
+function cssSnippet(selector, cssIssue) {
+    const declarations = cssIssue.declaration ?
+        [cssIssue.declaration] :
+        Object.entries(cssIssue.declarations || {}).map(([prop, value]) => `${prop}: ${value}`);
+    return declarations.length > 0 ? `${selector} { ${declarations.join('; ')}; }` : '';
+}
+
+// Fences code with more backticks than it contains.
+function fence(code, language) {
+    const longest = Math.max(2, ...(String(code).match(/`+/g) || []).map(run => run.length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}${language}\n${String(code).trim()}\n${marker}`;
+}
+
+// Wraps text in inline code, using a longer delimiter when the text has backticks.
+function inlineCode(text) {
+    const value = String(text).replace(/\s*\n\s*/g, ' ');
+    const longest = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+    const marker = '`'.repeat(longest + 1);
+    return longest > 0 ? `${marker} ${value} ${marker}` : `${marker}${value}${marker}`;
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+// Escapes text so it does not start HTML tags or Markdown emphasis and stays on one line.
+function escapeText(text) {
+    return escapeHTML(String(text).replace(/\s*\n\s*/g, ' ')).replace(/([\\*_`[\]|])/g, '\\$1');
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    generateMarkdownReport
+};
@@ -0,0 +1,105 @@
+const os = require('os');
+const path = require('path');
+const {Worker} = require('worker_threads');
+const scanner = require('./scanner');
+
+// Scans a list of files, in worker threads when the concurrency is above one.
+// Results always come back in the order of the input list, whatever order the workers finish in.
+
+// Default number of files scanned at the same time.
+function defaultConcurrency() {
+    return Math.max(1, os.cpus().length);
+}
+
+// Scans every job ({filePath, options}) and resolves to [{file, report}] or [{file, error}] in input order.
+// onProgress is called with (completed, total, filePath, result) after each file.
+async function scanFiles(jobs, {concurrency = defaultConcurrency(), onProgress = () => {}} = {}) {
+    const workerCount = Math.min(Math.max(1, Number(concurrency) || 1), jobs.length);
+    if (workerCount <= 1) {
+        return scanSequentially(jobs, onProgress);
+    }
+    return scanInWorkers(jobs, workerCount, onProgress);
+}
+
+// Scans the files one after another in the current thread.
+async function scanSequentially(jobs, onProgress) {
+    const results = [];
+    for (const job of jobs) {
+        try {
+            results.push({file: job.filePath, report: await scanner.scan(job.filePath, job.options)});
+        } catch (error) {
+            results.push({file: job.filePath, error: error.message});
+        }
+        onProgress(results.length, jobs.length, job.filePath, results[results.length - 1]);
+    }
+    return results;
+}
+
+// Scans the files in a fixed number of worker threads, handing out the next file as each worker finishes.
+// A worker that crashes or exits records its file as a scan error and is replaced by a new one.
+function scanInWorkers(jobs, workerCount, onProgress) {
+    return new Promise(resolve => {
+        const results = new Array(jobs.length);
+        const workers = new Set();
+        // The job each worker is scanning, and the error it crashed with
+        const current = new Map();
+        const crashes = new Map();
+        let nextJob = 0;
+        let completed = 0;
+        let done = false;
+
+        const record = (id, result) => {
+            results[id] = result;
+            completed++;
+            onProgress(completed, jobs.length, jobs[id].filePath, result);
+            if (completed === jobs.length) {
+                done = true;
+                workers.forEach(worker => worker.terminate());
+                resolve(results);
+            }
+        };
+
+        const dispatch = (worker) => {
+            if (nextJob >= jobs.length) return;
+            const id = nextJob++;
+            current.set(worker, id);
+            worker.postMessage({id, filePath: jobs[id].filePath, options: jobs[id].options});
+        };
+
+        const startWorker = () => {
+            const worker = new Worker(path.join(__dirname, 'worker.js'));
+            workers.add(worker);
+
+            worker.on('message', ({id, report, error}) => {
+                current.delete(worker);
+                record(id, error ? {file: jobs[id].filePath, error} : {file: jobs[id].filePath, report});
+                if (!done) dispatch(worker);
+            });
+
+            // An 'error' event is always followed by 'exit'
+            worker.on('error', error => crashes.set(worker, error));
+
+            worker.on('exit', code => {
+                workers.delete(worker);
+                if (done || !current.has(worker)) return;
+
+                const id = current.get(worker);
+                const crash = crashes.get(worker);
+                current.delete(worker);
+                record(id, {file: jobs[id].filePath, error: crash ? crash.message : `Scan worker exited with code ${code}`});
+                if (!done) dispatch(startWorker());
+            });
+
+            return worker;
+        };
+
+        for (let i = 0; i < workerCount; i++) {
+            dispatch(startWorker());
+        }
+    });
+}
+
+module.exports = {
+    defaultConcurrency,
+    scanFiles
+};
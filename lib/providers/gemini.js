@@ -0,0 +1,32 @@
+const {GoogleGenerativeAI} = require('@google/generative-ai');
+
+// Google Gemini provider, using the @google/generative-ai SDK.
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const DEFAULT_API_KEY_ENV = 'GEMINI_API_KEY';
+
+// Creates the Gemini provider. Returns null when no API key is available.
+function createGeminiProvider(options = {}) {
+    const apiKey = process.env[options.apiKeyEnv || DEFAULT_API_KEY_ENV];
+    if (!apiKey) {
+        return null;
+    }
+
+    const modelName = options.model || DEFAULT_MODEL;
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const model = genAI.getGenerativeModel({model: modelName});
+
+    return {
+        name: 'gemini',
+        model: modelName,
+        async generate(prompt) {
+            const result = await model.generateContent(prompt);
+            return result.response.text();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_API_KEY_ENV,
+    createGeminiProvider
+};
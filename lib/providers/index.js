@@ -0,0 +1,31 @@
+const {createGeminiProvider} = require('./gemini');
+const {createOpenAIProvider} = require('./openai');
+const {createMockProvider} = require('./mock');
+
+// AI provider registry. A provider is an object with a name, a model and an
+// async generate(prompt) function that resolves to the model's text answer.
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// Creates the configured provider ({provider, model, baseUrl, apiKeyEnv, timeout}).
+// Returns null when the provider has no credentials, so callers can fall back to rule-based suggestions.
+function createProvider(options = {}) {
+    const name = options.provider || DEFAULT_PROVIDER;
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown AI provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    createProvider
+};
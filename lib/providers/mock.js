@@ -0,0 +1,31 @@
+// Deterministic offline provider. It answers every prompt in the expected
+// "SUGGESTION: ... CODE: ..." format, derived only from the prompt, so the
+// prompt and parse pipeline can be exercised without network access.
+
+// Creates the mock provider.
+function createMockProvider(options = {}) {
+    return {
+        name: 'mock',
+        model: options.model || 'mock',
+        async generate(prompt) {
+            const rule = (prompt.match(/^- (?:Rule|Type): (.*)$/m) || [])[1] || 'unknown';
+            const code = extractExampleCode(prompt);
+            return `SUGGESTION: Mock suggestion for ${rule.trim()}.\nCODE: ${code}`;
+        }
+    };
+}
+
+// Returns the example code from a prompt, either the fenced CSS block or the HTML example section.
+function extractExampleCode(prompt) {
+    const fenced = prompt.match(/```(?:css|html)?\n([\s\S]*?)```/);
+    if (fenced) {
+        return fenced[1].trim();
+    }
+
+    const example = prompt.match(/Example problematic code:\n([\s\S]*?)\n\nFailure summary:/);
+    return example ? example[1].trim() : '';
+}
+
+module.exports = {
+    createMockProvider
+};
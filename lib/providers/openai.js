@@ -0,0 +1,67 @@
+// OpenAI-compatible provider for the /chat/completions API. Works with OpenAI itself and
+// self-hosted endpoints such as Ollama (http://localhost:11434/v1) or the llama.cpp server.
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_API_KEY_ENV = 'OPENAI_API_KEY';
+// Local models can take a while to answer, but a server that never does must not block the scan
+const DEFAULT_TIMEOUT = 60000;
+
+// Creates the OpenAI-compatible provider. The API key is optional since local servers usually need none.
+function createOpenAIProvider(options = {}) {
+    const apiKey = process.env[options.apiKeyEnv || DEFAULT_API_KEY_ENV];
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const modelName = options.model || DEFAULT_MODEL;
+    const timeout = Number(options.timeout) || DEFAULT_TIMEOUT;
+
+    if (!apiKey && baseUrl === DEFAULT_BASE_URL) {
+        return null;
+    }
+
+    return {
+        name: 'openai',
+        model: modelName,
+        async generate(prompt) {
+            const headers = {'Content-Type': 'application/json'};
+            if (apiKey) {
+                headers['Authorization'] = `Bearer ${apiKey}`;
+            }
+
+            // The timeout covers reading the answer as well as the request
+            let response;
+            let data;
+            try {
+                response = await fetch(`${baseUrl}/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: modelName,
+                        messages: [{role: 'user', content: prompt}],
+                        temperature: 0
+                    }),
+                    signal: AbortSignal.timeout(timeout)
+                });
+                if (!response.ok) {
+                    throw new Error(`Request to ${baseUrl} failed with status ${response.status}: ${await response.text()}`);
+                }
+                data = await response.json();
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw new Error(`No answer from ${baseUrl} within ${timeout}ms`);
+                }
+                throw error;
+            }
+
+            const message = data.choices && data.choices[0] && data.choices[0].message;
+            if (!message || typeof message.content !== 'string') {
+                throw new Error(`Unexpected response from ${baseUrl}: no message content`);
+            }
+            return message.content;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_API_KEY_ENV,
+    createOpenAIProvider
+};
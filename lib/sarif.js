@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const {JSDOM} = require('jsdom');
+const {CSS_CHECKS} = require('./scanner');
+const {isStylesheet, parseStylesheet} = require('./css-checks');
+const {fingerprint} = require('./baseline');
+const fixer = require('./fixer');
+const suggestions = require('./suggestions');
+const {toPosixPath, isURL, toReportPath} = require('./glob');
+const {criteriaFromTags} = require('./standards');
+const {version} = require('../package.json');
+
+// Generates a SARIF 2.1.0 log from scan results, for code-scanning dashboards.
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Maps axe-core impact levels to SARIF result levels.
+const SARIF_LEVELS = {
+    critical: 'error',
+    serious: 'error',
+    moderate: 'warning',
+    minor: 'note'
+};
+
+// Generates the SARIF log for a list of results ({file, issues, suppressed, aiSuggestions}).
+function generateSARIFReport(results, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const rules = [];
+    const ruleIndexes = new Map();
+    const sarifResults = [];
+
+    // Registers a rule in tool.driver.rules the first time it is seen
+    const addRule = (id, rule) => {
+        if (!ruleIndexes.has(id)) {
+            ruleIndexes.set(id, rules.length);
+            rules.push({id, name: id, ...rule});
+        }
+        return ruleIndexes.get(id);
+    };
+
+    for (const result of results) {
+        const uri = toReportPath(rootDir, result.file);
+        const type = isStylesheet(result.file) ? 'css' : 'html';
+        const content = fs.existsSync(result.file) ? fs.readFileSync(result.file, 'utf-8') : '';
+        const report = {file: result.file, type, issues: result.issues || []};
+        const fixesByRule = planSARIFFixes(report, result.aiSuggestions, content, uri);
+
+        const locateNode = type === 'html' ? createHTMLLocator(content) : () => ({startLine: 1});
+        const locateRule = type === 'css' ? createCSSLocator(content, result.file) : () => ({startLine: 1});
+
+        // Suppressed issues are included with the reason from their suppression comment
+        for (const issue of [...report.issues, ...(result.suppressed || [])]) {
+            if (issue.id) {
+                const ruleIndex = addRule(issue.id, {
+                    shortDescription: {text: issue.help || issue.id},
+                    fullDescription: {text: issue.description || issue.help || issue.id},
+                    helpUri: issue.helpUrl,
+                    defaultConfiguration: {level: SARIF_LEVELS[issue.impact] || 'warning'},
+                    properties: {tags: issue.tags || [], criteria: (issue.criteria || criteriaFromTags(issue.tags)).map(criterion => criterion.id)}
+                });
+
+                (issue.nodes || []).forEach((node, index) => {
+                    const target = Array.isArray(node.target) ? node.target.join(' ') : String(node.target || '');
+                    const fix = node.suppression ? null :
+                        fixesByRule.get(`${issue.id}\n${target}`) || (index === 0 ? fixesByRule.get(`${issue.id}\n`) : null);
+
+                    sarifResults.push(createResult({
+                        ruleId: issue.id,
+                        ruleIndex,
+                        level: SARIF_LEVELS[issue.impact] || 'warning',
+                        message: [issue.help, node.failureSummary].filter(Boolean).join('\n'),
+                        uri,
+                        region: {...(node.line ? sarifRegion(node) : locateNode(node.target)), snippet: {text: node.html || ''}},
+                        fingerprint: fingerprint(uri, issue.id, target),
+                        fix,
+                        suppression: node.suppression
+                    }));
+                });
+            } else if (issue.selector) {
+                // CSS issues embedded in HTML already know their position in the HTML file
+                const ruleRegion = type === 'html' && issue.line ? sarifRegion(issue) : locateRule(issue.selector, issue.line);
+
+                for (const cssIssue of issue.issues || []) {
+                    const check = CSS_CHECKS[cssIssue.type] || {};
+                    const ruleIndex = addRule(cssIssue.type, {
+                        shortDescription: {text: check.help || cssIssue.type},
+                        fullDescription: {text: check.description || cssIssue.type},
+                        helpUri: check.helpUrl,
+                        defaultConfiguration: {level: SARIF_LEVELS[check.impact] || 'warning'},
+                        properties: {tags: check.tags || [], criteria: criteriaFromTags(check.tags).map(criterion => criterion.id)}
+                    });
+
+                    sarifResults.push(createResult({
+                        ruleId: cssIssue.type,
+                        ruleIndex,
+                        level: SARIF_LEVELS[cssIssue.impact] || 'warning',
+                        message: cssIssue.message,
+                        uri,
+                        region: {...(cssIssue.line ? sarifRegion(cssIssue) : ruleRegion), snippet: {text: cssIssue.declaration || issue.selector}},
+                        fingerprint: fingerprint(uri, cssIssue.type, issue.selector),
+                        fix: cssIssue.suppression ? null : fixesByRule.get(`${issue.selector}\n${cssIssue.type}`),
+                        suppression: cssIssue.suppression
+                    }));
+                }
+            }
+        }
+    }
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'axcel',
+                    version,
+                    informationUri: 'https://www.npmjs.com/package/axcel',
+                    rules
+                }
+            },
+            originalUriBaseIds: {
+                '%SRCROOT%': {uri: `file://${toPosixPath(path.resolve(rootDir)).replace(/^(?!\/)/, '/')}/`}
+            },
+            results: sarifResults
+        }]
+    };
+}
+
+// Converts a finding's {line, column, endLine, endColumn} into a SARIF region.
+function sarifRegion({line, column, endLine, endColumn}) {
+    return {
+        startLine: line,
+        ...(column ? {startColumn: column} : {}),
+        ...(endLine ? {endLine} : {}),
+        ...(endColumn ? {endColumn} : {})
+    };
+}
+
+// Returns the artifact location of a file relative to the source root. Crawled pages use their absolute URL.
+function artifactLocation(uri) {
+    return isURL(uri) ? {uri} : {uri, uriBaseId: '%SRCROOT%'};
+}
+
+// Creates a single SARIF result.
+function createResult({ruleId, ruleIndex, level, message, uri, region, fingerprint, fix, suppression}) {
+    const sarifResult = {
+        ruleId,
+        ruleIndex,
+        level,
+        message: {text: message || ruleId},
+        locations: [{
+            physicalLocation: {
+                artifactLocation: artifactLocation(uri),
+                region
+            }
+        }],
+        partialFingerprints: {'axcel/v1': fingerprint}
+    };
+
+    if (fix) {
+        sarifResult.fixes = [fix];
+    }
+
+    if (suppression) {
+        sarifResult.suppressions = [{kind: 'inSource', justification: suppression.reason}];
+    }
+
+    return sarifResult;
+}
+
+// Turns the suggestions for a file into SARIF fixes, keyed by rule id and element target (HTML) or selector and type (CSS).
+// Uses the AI suggestions when present, otherwise the rule-based ones. Only fixes that map to an exact
+// source range are included.
+function planSARIFFixes(report, aiSuggestions, content, uri) {
+    const fixesByRule = new Map();
+    if (!content || report.issues.length === 0) return fixesByRule;
+
+    const suggestionSet = aiSuggestions || suggestions.generateRuleBasedSuggestions(report);
+    const {fixes} = fixer.planFixes(report, suggestionSet, content);
+
+    for (const fix of fixes) {
+        const key = fix.selector ? `${fix.selector}\n${fix.rule}` : `${fix.rule}\n${fix.target || ''}`;
+        const replacements = fix.edits.map(edit => ({
+            deletedRegion: {charOffset: edit.start, charLength: edit.end - edit.start},
+            insertedContent: {text: edit.text}
+        }));
+
+        // Fixes of related elements (such as duplicate ids) belong to the result of the reported element
+        if (fixesByRule.has(key)) {
+            fixesByRule.get(key).artifactChanges[0].replacements.push(...replacements);
+            continue;
+        }
+        fixesByRule.set(key, {
+            description: {text: fix.suggestion || `Fix ${fix.rule}`},
+            artifactChanges: [{
+                artifactLocation: artifactLocation(uri),
+                replacements
+            }]
+        });
+    }
+
+    return fixesByRule;
+}
+
+// Returns a function that finds the source region of an axe target in an HTML file.
+function createHTMLLocator(content) {
+    const dom = new JSDOM(content, {includeNodeLocations: true});
+
+    return (target) => {
+        let location = null;
+        if (Array.isArray(target) && target.length === 1 && typeof target[0] === 'string') {
+            try {
+                const element = dom.window.document.querySelector(target[0]);
+                location = element && dom.nodeLocation(element);
+            } catch (error) {
+                location = null;
+            }
+        }
+        if (!location) return {startLine: 1};
+
+        const tag = location.startTag || location;
+        return {startLine: tag.startLine, startColumn: tag.startCol, endLine: tag.endLine, endColumn: tag.endCol};
+    };
+}
+
+// Returns a function that finds the source region of a CSS rule from the line reported by the scanner,
+// falling back to a top-level rule with the same selector.
+function createCSSLocator(content, filePath) {
+    let root = null;
+    try {
+        root = parseStylesheet(content, filePath);
+    } catch (error) {
+        root = null;
+    }
+
+    // Rules and nested at-rules by the line they start on
+    const byLine = new Map();
+    if (root) {
+        root.walk(node => {
+            if ((node.type === 'rule' || node.type === 'atrule') && node.source && node.source.start && !byLine.has(node.source.start.line)) {
+                byLine.set(node.source.start.line, node);
+            }
+        });
+    }
+
+    return (selector, line) => {
+        const rule = (line && byLine.get(line)) || (root && root.nodes.find(node => node.type === 'rule' && node.selector === selector));
+        if (!rule || !rule.source || !rule.source.start) return {startLine: line || 1};
+
+        const {start, end} = rule.source;
+        return {startLine: start.line, startColumn: start.column, endLine: end.line, endColumn: end.column + 1};
+    };
+}
+
+module.exports = {
+    generateSARIFReport
+};
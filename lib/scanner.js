@@ -1,152 +1,400 @@
 const fs = require('fs');
 const path = require('path');
-const {JSDOM} = require('jsdom');
+const {JSDOM, VirtualConsole} = require('jsdom');
 const axe = require('axe-core');
-const postcss = require('postcss');
-
-// Calculates the contrast ratio between two colors.
-async function calculateContrastRatio(foreground, background) {
-    let Color;
-    try {
-        Color = (await import('color')).default;
-    } catch (error) {
-        return null;
-    }
-    let fgColor, bgColor;
-    try {
-        fgColor = Color(foreground);
-        bgColor = Color(background);
-    } catch (error) {
-        return null;
-    }
-    const L1 = Math.max(fgColor.luminosity(), bgColor.luminosity());
-    const L2 = Math.min(fgColor.luminosity(), bgColor.luminosity());
-    return (L1 + 0.05) / (L2 + 0.05);
-}
+const {DEFAULT_CONFIG} = require('./config');
+const stylesheets = require('./stylesheets');
+const templates = require('./templates');
+const suppressions = require('./suppressions');
+const {resolveTags, criteriaFromTags} = require('./standards');
+const {analyzeCSS, resolveCSSOptions, isCheckEnabled, isStylesheet, CSS_CHECKS} = require('./css-checks');
+const {collectPagePairs, describePair} = require('./color-vision');
 
 // Main scanning function, determines file type and calls the appropriate function.
-async function scan(filePath) {
+// Options are the resolved config for the file (standard, tags, rules, css thresholds).
+async function scan(filePath, options = {}) {
     const ext = path.extname(filePath).toLowerCase();
     if (ext === '.html') {
-        return await scanHTML(filePath);
-    } else if (ext === '.css') {
-        return await scanCSS(filePath);
+        return await scanHTML(filePath, options);
+    } else if (isStylesheet(filePath)) {
+        return await scanCSS(filePath, options);
+    } else if (templates.isTemplate(filePath)) {
+        return await scanTemplate(filePath, options);
     } else {
         return {error: 'Unsupported file type', file: filePath};
     }
 }
 
+// Builds the axe-core run options from the configured standard or tags and the rule switches.
+function buildAxeConfig(options = {}) {
+    const axeConfig = {
+        preload: {
+            timeout: 10000,
+            assets: ['cssom']
+        },
+        runOnly: {
+            type: 'tag',
+            values: resolveTags(options, DEFAULT_CONFIG.tags)
+        }
+    };
+
+    const rules = options.rules || {};
+    if (Object.keys(rules).length > 0) {
+        axeConfig.rules = {};
+        for (const [ruleId, enabled] of Object.entries(rules)) {
+            axeConfig.rules[ruleId] = {enabled: enabled !== false && enabled !== 'off'};
+        }
+    }
+
+    return axeConfig;
+}
+
+// Creates a virtual console that drops the page's own console output and JSDOM's
+// "not implemented" notices (layout APIs axe probes for), but still reports real errors.
+function createVirtualConsole(filePath) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        if (!/^Not implemented/.test(error.message)) {
+            console.error(`Warning: ${filePath}: ${error.message}`);
+        }
+    });
+    return virtualConsole;
+}
+
 // Scans an HTML file for accessibility issues using axe-core.
-async function scanHTML(filePath) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const dom = new JSDOM(content);
+// axe is injected into each file's own JSDOM window, so no globals are shared and
+// several files can be scanned at the same time. Local linked stylesheets are loaded
+// first, and CSS embedded in the page goes through the CSS checks.
+async function scanHTML(filePath, options = {}) {
+    return scanHTMLString(fs.readFileSync(filePath, 'utf-8'), options, filePath);
+}
+
+// Scans HTML markup held in memory. The file path names the report and is where linked
+// stylesheets are resolved from.
+async function scanHTMLString(content, options = {}, filePath = 'index.html') {
+    return scanDocument(content, filePath, options, {
+        inlineStylesheets: document => stylesheets.inlineLinkedStylesheets(document, filePath, options)
+    });
+}
+
+// Scans a page fetched by the crawler ({url, html, stylesheets}). The report uses the URL as its file.
+async function scanPage(page, options = {}) {
+    return scanDocument(page.html, page.url, options, {
+        url: page.url,
+        inlineStylesheets: document => stylesheets.inlineFetchedStylesheets(document, page.stylesheets)
+    });
+}
+
+// Runs the HTML checks on a document. inlineStylesheets replaces the document's stylesheet links
+// with their content and returns what was loaded.
+async function scanDocument(content, filePath, options, {url, inlineStylesheets}) {
+    const dom = new JSDOM(content, {
+        ...(url ? {url} : {}),
+        runScripts: 'outside-only',
+        includeNodeLocations: true,
+        virtualConsole: createVirtualConsole(filePath)
+    });
     const {window} = dom;
 
-    global.window = window;
-    global.document = window.document;
-    global.Node = window.Node;
-    global.HTMLElement = window.HTMLElement;
-    global.navigator = {userAgent: 'node.js'};
+    const embeddedIssues = await scanEmbeddedStyles(dom, options);
+    const linkedStylesheets = inlineStylesheets(window.document);
 
-    return new Promise((resolve, reject) => {
-        // Timeout configuration
-        const axeConfig = {
-            preload: {
-                timeout: 10000,
-                assets: ['cssom']
-            },
-            runOnly: {
-                type: 'tag',
-                values: ['wcag2a', 'wcag2aa', 'best-practice']
-            }
+    let results;
+    try {
+        results = await runAxe(window, options);
+    } catch (err) {
+        window.close();
+        console.error("Error running axe-core:", err);
+        return {
+            file: filePath,
+            type: 'html',
+            issues: [],
+            error: err.message
         };
+    }
 
-        axe.run(window.document.documentElement, axeConfig, (err, results) => {
-            if (err) {
-                console.error("Error running axe-core:", err);
-                return resolve({
-                    file: filePath,
-                    type: 'html',
-                    issues: [],
-                    error: err.message
-                });
-            }
+    attributeColorFindings(window, results.violations);
+    results.violations.forEach(violation => violation.nodes.forEach(node => Object.assign(node, locateNode(dom, node))));
+    const colorVisionIssues = checkPageColors(dom, options);
+    window.close();
+
+    return suppressions.applySuppressions({
+        file: filePath,
+        type: 'html',
+        issues: [...results.violations, ...embeddedIssues, ...colorVisionIssues],
+        stylesheets: linkedStylesheets,
+        passes: results.passes,
+        incomplete: results.incomplete,
+        inapplicable: results.inapplicable
+    }, content);
+}
+
+// Injects axe into a window and runs it on the whole document.
+// Rules without affected elements are dropped from the results.
+function runAxe(window, options) {
+    window.eval(axe.source);
+
+    return new Promise((resolve, reject) => {
+        window.axe.run(window.document.documentElement, buildAxeConfig(options), (err, results) => {
+            if (err) return reject(err);
 
             // Filter out unnecessary violations
             results.violations = results.violations.filter(rule => Array.isArray(rule.nodes) && rule.nodes.length > 0);
+            results.violations.forEach(rule => rule.criteria = criteriaFromTags(rule.tags));
             results.incomplete = results.incomplete.filter(rule => Array.isArray(rule.nodes) && rule.nodes.length > 0);
             results.inapplicable = results.inapplicable.filter(rule => Array.isArray(rule.nodes) && rule.nodes.length > 0);
+            resolve(results);
+        });
+    });
+}
+
+// Scans the markup of a component (JSX/TSX, Vue, Svelte or Handlebars).
+// Each template fragment is checked by axe in its own document, without the rules that only make
+// sense for whole pages, and the component's <style> blocks go through the CSS checks.
+// Fragments keep the lines of the component, so every element is reported with its line.
+async function scanTemplate(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const {fragments, styles} = templates.extractTemplate(content, filePath);
+    const sourceLines = content.split('\n');
+
+    const pageRules = Object.fromEntries(templates.PAGE_LEVEL_RULES.map(rule => [rule, false]));
+    const fragmentOptions = {...options, rules: {...pageRules, ...options.rules}};
 
-            resolve({
+    // Violations of every fragment, merged per rule
+    const violations = new Map();
+    const embeddedIssues = [];
+
+    for (const fragment of fragments) {
+        const dom = new JSDOM(fragment.html, {
+            runScripts: 'outside-only',
+            includeNodeLocations: true,
+            virtualConsole: createVirtualConsole(filePath)
+        });
+
+        embeddedIssues.push(...await scanEmbeddedStyles(dom, options));
+
+        let results;
+        try {
+            results = await runAxe(dom.window, fragmentOptions);
+            results.violations.forEach(violation => violation.nodes.forEach(node => {
+                Object.assign(node, locateTemplateNode(locateNode(dom, node), fragment, fragmentLines(fragment), sourceLines));
+            }));
+        } catch (err) {
+            console.error("Error running axe-core:", err);
+            return {
                 file: filePath,
                 type: 'html',
-                issues: results.violations,
-                passes: results.passes,
-                incomplete: results.incomplete,
-                inapplicable: results.inapplicable
-            });
+                template: templates.templateSyntax(filePath),
+                issues: [],
+                error: err.message
+            };
+        } finally {
+            dom.window.close();
+        }
+
+        for (const violation of results.violations) {
+            if (violations.has(violation.id)) {
+                violations.get(violation.id).nodes.push(...violation.nodes);
+            } else {
+                violations.set(violation.id, violation);
+            }
+        }
+    }
+
+    for (const style of styles) {
+        let cssIssues;
+        try {
+            cssIssues = await analyzeCSS(style.css, options, `${filePath}.${style.lang}`);
+        } catch (error) {
+            console.error(`Warning: ${filePath}: Cannot parse ${style.label}: ${error.message}`);
+            continue;
+        }
+        cssIssues.forEach(issue => embeddedIssues.push(placeEmbeddedIssue(issue, style.label, style)));
+    }
+
+    return suppressions.applySuppressions({
+        file: filePath,
+        type: 'html',
+        template: templates.templateSyntax(filePath),
+        issues: [...violations.values(), ...embeddedIssues]
+    }, content);
+}
+
+// Returns the source range of the start tag of the element an axe node points at, as
+// {line, column, endLine, endColumn}, or {line: null} when it cannot be found.
+function locateNode(dom, node) {
+    if (!Array.isArray(node.target) || node.target.length !== 1) return {line: null};
+    try {
+        const element = dom.window.document.querySelector(node.target[0]);
+        const location = element && dom.nodeLocation(element);
+        if (!location) return {line: null};
+
+        const tag = location.startTag || location;
+        return {line: tag.startLine, column: tag.startCol, endLine: tag.endLine, endColumn: tag.endCol};
+    } catch (error) {
+        return {line: null};
+    }
+}
+
+// Splits the markup of a template fragment into lines, once per fragment.
+const fragmentLineCache = new WeakMap();
+function fragmentLines(fragment) {
+    if (!fragmentLineCache.has(fragment)) {
+        fragmentLineCache.set(fragment, fragment.html.split('\n'));
+    }
+    return fragmentLineCache.get(fragment);
+}
+
+// Maps a location in a template fragment back to the component file. Fragments keep the lines of the
+// component but not its columns, so the element is found by counting the tags before it on its line.
+// Only the start position is kept, as the end of the tag can differ from the component source.
+function locateTemplateNode(location, fragment, lines, sourceLines) {
+    if (!location.line) return location;
+
+    const tagPattern = /<[A-Za-z]/g;
+    const tagsBefore = (lines[location.line - 1] || '').slice(0, location.column - 1).match(tagPattern) || [];
+    const sourceLine = sourceLines[location.line - 1] || '';
+    // On the first line of a fragment, tags before the fragment (such as <template>) are not counted
+    const from = location.line === fragment.line ? (fragment.column || 1) - 1 : 0;
+
+    tagPattern.lastIndex = from;
+    let match;
+    let count = 0;
+    while ((match = tagPattern.exec(sourceLine)) !== null) {
+        if (count === tagsBefore.length) return {line: location.line, column: match.index + 1};
+        count++;
+    }
+    return {line: location.line, column: sourceLine.length - sourceLine.trimStart().length + 1};
+}
+
+// Runs the CSS checks on the <style> blocks and style attributes of a page.
+// Line numbers are shifted so they point into the HTML file. Color vision is checked on the
+// rendered page instead (see checkPageColors), where all of its styles come together.
+async function scanEmbeddedStyles(dom, options) {
+    const issues = [];
+    const embeddedOptions = {...options, css: {...options.css, checks: {...(options.css || {}).checks, ColorVision: false}}};
+
+    for (const embedded of stylesheets.collectEmbeddedStyles(dom)) {
+        let cssIssues;
+        try {
+            cssIssues = await analyzeCSS(embedded.css, embeddedOptions);
+        } catch (error) {
+            // Broken inline CSS should not fail the HTML scan
+            continue;
+        }
+
+        for (const issue of cssIssues) {
+            issues.push(placeEmbeddedIssue(issue, embedded.label, embedded));
+        }
+    }
+
+    return issues;
+}
+
+// Moves the locations of an issue group found in embedded CSS to the file the CSS is embedded in.
+// The origin is where the CSS starts ({line, column}); style attributes give a fixed range instead.
+function placeEmbeddedIssue(issue, label, origin) {
+    const place = location => {
+        if (origin.range) return origin.range;
+        if (!origin.line || !location.line) return {line: origin.line || null};
+
+        // Only the first line of the CSS shares its line with the opening tag
+        const shift = (line, column) => ({
+            line: origin.line + line - 1,
+            column: line === 1 && origin.column ? origin.column + column - 1 : column
         });
-    });
+        const start = shift(location.line, location.column);
+        const end = location.endLine ? shift(location.endLine, location.endColumn) : null;
+        return {
+            line: start.line,
+            column: start.column,
+            ...(end ? {endLine: end.line, endColumn: end.column} : {})
+        };
+    };
+
+    // The positions within the embedded CSS are replaced, not merged
+    const withoutRange = ({line, column, endLine, endColumn, ...rest}) => rest;
+    const {selector, ...group} = withoutRange(issue);
+    return {
+        selector,
+        ...place(issue),
+        ...group,
+        source: label,
+        issues: issue.issues.map(cssIssue => ({...withoutRange(cssIssue), ...place(cssIssue)}))
+    };
 }
 
-//Scans a CSS file for accessibility issues using PostCSS.
-async function scanCSS(filePath) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    let issues = [];
-
-    const root = postcss.parse(content);
-
-    // Walk through each rule node.
-    for (const node of root.nodes) {
-        if (node.type === 'rule') {
-            let ruleIssues = [];
-            let declarations = {};
-
-            // Collect all declarations for the rule.
-            node.walkDecls(decl => {
-                declarations[decl.prop] = decl.value;
-                // Flag the removal of focus styles.
-                if (decl.prop === 'outline' && decl.value.includes('none')) {
-                    ruleIssues.push({
-                        type: 'FocusStyle',
-                        message: `Rule "${node.selector}" uses "outline: none". Provide an alternative focus style.`,
-                        declaration: `${decl.prop}: ${decl.value}`
-                    });
-                }
-            });
-
-            // Check the contrast ratio if both "color" and "background-color" are set.
-            if (declarations['color'] && declarations['background-color']) {
-                const ratio = await calculateContrastRatio(declarations['color'], declarations['background-color']);
-                if (ratio !== null && ratio < 4.5) {
-                    ruleIssues.push({
-                        type: 'ColorContrast',
-                        message: `Rule "${node.selector}" has insufficient color contrast: ratio ${ratio.toFixed(2)} (minimum 4.5 required).`,
-                        declarations: {
-                            color: declarations['color'],
-                            'background-color': declarations['background-color']
-                        }
-                    });
-                }
+// Checks the text, link and state colors of a rendered page for color vision deficiencies. Each
+// pair that looks alike becomes an issue on the element that shows it, e.g. "span.error".
+function checkPageColors(dom, options) {
+    if (!isCheckEnabled(resolveCSSOptions(options), 'ColorVision')) return [];
+
+    const issues = [];
+    for (const pair of collectPagePairs(dom.window)) {
+        const finding = describePair(pair);
+        if (!finding) continue;
+
+        const [element] = pair.elements;
+        const location = dom.nodeLocation(element);
+        const tag = location && (location.startTag || location);
+        const range = tag ? {line: tag.startLine, column: tag.startCol, endLine: tag.endLine, endColumn: tag.endCol} : {line: null};
+        issues.push({
+            selector: pair.selectors[0],
+            ...range,
+            issues: [{
+                type: 'ColorVision',
+                impact: CSS_CHECKS.ColorVision.impact,
+                ...finding,
+                declaration: `${finding.pair.property}: ${finding.colors[0]}`,
+                criteria: criteriaFromTags(CSS_CHECKS.ColorVision.tags),
+                ...range
+            }]
+        });
+    }
+    return issues;
+}
+
+// Records on each color related finding which linked stylesheets style the affected element.
+function attributeColorFindings(window, violations) {
+    for (const violation of violations) {
+        if (!(violation.tags || []).includes('cat.color')) continue;
+
+        for (const node of violation.nodes) {
+            if (!Array.isArray(node.target) || node.target.length !== 1) continue;
+
+            let element = null;
+            try {
+                element = window.document.querySelector(node.target[0]);
+            } catch (error) {
+                element = null;
             }
-            if (ruleIssues.length > 0) {
-                issues.push({
-                    selector: node.selector,
-                    issues: ruleIssues
-                });
+            if (element) {
+                node.stylesheets = stylesheets.findStylesheetsForElement(window, element);
             }
         }
     }
+}
 
-    return {
+//Scans a CSS, SCSS or Less file for accessibility issues using PostCSS.
+async function scanCSS(filePath, options = {}) {
+    return scanCSSString(fs.readFileSync(filePath, 'utf-8'), options, filePath);
+}
+
+// Scans CSS held in memory. The extension of the file path selects the syntax (CSS, SCSS or Less).
+async function scanCSSString(content, options = {}, filePath = 'styles.css') {
+    return suppressions.applySuppressions({
         file: filePath,
         type: 'css',
-        issues: issues
-    };
+        issues: await analyzeCSS(content, options, filePath)
+    }, content);
 }
 
 module.exports = {
-    scan
+    scan,
+    scanHTMLString,
+    scanCSSString,
+    scanPage,
+    CSS_CHECKS
 };
 
 if (require.main === module) {
@@ -0,0 +1,73 @@
+// Impact levels and exit codes used to gate CI builds on scan results.
+
+// Impact levels from least to most severe.
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+// Process exit codes. Usage errors win over scan errors, which win over violations.
+const EXIT_CODES = {
+    SUCCESS: 0,
+    VIOLATIONS: 1,
+    SCAN_ERROR: 2,
+    USAGE_ERROR: 3
+};
+
+// Checks whether a value is a known impact level.
+function isImpactLevel(value) {
+    return IMPACT_LEVELS.includes(value);
+}
+
+// Checks whether an impact is at or above the threshold. Unknown impacts are treated as "minor".
+function meetsThreshold(impact, threshold) {
+    const level = IMPACT_LEVELS.indexOf(impact);
+    return Math.max(level, 0) >= IMPACT_LEVELS.indexOf(threshold);
+}
+
+// Counts affected elements and CSS issues per impact level.
+function countByImpact(results) {
+    const counts = Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0]));
+
+    for (const result of results) {
+        const report = result.report || result;
+        for (const issue of report.issues || []) {
+            if (issue.id) {
+                const impact = isImpactLevel(issue.impact) ? issue.impact : 'minor';
+                counts[impact] += Math.max((issue.nodes || []).length, 1);
+            } else if (issue.selector) {
+                for (const cssIssue of issue.issues || []) {
+                    const impact = isImpactLevel(cssIssue.impact) ? cssIssue.impact : 'minor';
+                    counts[impact]++;
+                }
+            }
+        }
+    }
+
+    return counts;
+}
+
+// Decides whether the results fail the build. Issues at or above "failOn" are counted,
+// and the build fails when there are more than "maxIssues" of them.
+// Without a threshold or a maximum no amount of issues fails the build.
+function evaluateGate(results, {failOn, maxIssues} = {}) {
+    const hasMaximum = maxIssues !== null && maxIssues !== undefined;
+    if (!failOn && !hasMaximum) {
+        return {failed: false, count: 0, threshold: null, maxIssues: null};
+    }
+
+    const threshold = failOn || IMPACT_LEVELS[0];
+    const limit = hasMaximum ? Number(maxIssues) : 0;
+    const counts = countByImpact(results);
+    const count = IMPACT_LEVELS
+        .filter(level => meetsThreshold(level, threshold))
+        .reduce((total, level) => total + counts[level], 0);
+
+    return {failed: count > limit, count, threshold, maxIssues: limit};
+}
+
+module.exports = {
+    IMPACT_LEVELS,
+    EXIT_CODES,
+    isImpactLevel,
+    meetsThreshold,
+    countByImpact,
+    evaluateGate
+};
@@ -0,0 +1,186 @@
+// Conformance standards and the WCAG success criteria behind every finding. A standard selects the
+// axe-core rules by tag and the CSS checks by the criteria they test, so a scan can target one
+// WCAG version and level or a regulation built on WCAG.
+
+// WCAG 2.2 success criteria (and 4.1.1, removed in 2.2): [number, name, level, version added].
+const WCAG_CRITERIA = [
+    ['1.1.1', 'Non-text Content', 'A', '2.0'],
+    ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+    ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0'],
+    ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+    ['1.2.4', 'Captions (Live)', 'AA', '2.0'],
+    ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0'],
+    ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0'],
+    ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+    ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0'],
+    ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0'],
+    ['1.3.1', 'Info and Relationships', 'A', '2.0'],
+    ['1.3.2', 'Meaningful Sequence', 'A', '2.0'],
+    ['1.3.3', 'Sensory Characteristics', 'A', '2.0'],
+    ['1.3.4', 'Orientation', 'AA', '2.1'],
+    ['1.3.5', 'Identify Input Purpose', 'AA', '2.1'],
+    ['1.3.6', 'Identify Purpose', 'AAA', '2.1'],
+    ['1.4.1', 'Use of Color', 'A', '2.0'],
+    ['1.4.2', 'Audio Control', 'A', '2.0'],
+    ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0'],
+    ['1.4.4', 'Resize Text', 'AA', '2.0'],
+    ['1.4.5', 'Images of Text', 'AA', '2.0'],
+    ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0'],
+    ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0'],
+    ['1.4.8', 'Visual Presentation', 'AAA', '2.0'],
+    ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0'],
+    ['1.4.10', 'Reflow', 'AA', '2.1'],
+    ['1.4.11', 'Non-text Contrast', 'AA', '2.1'],
+    ['1.4.12', 'Text Spacing', 'AA', '2.1'],
+    ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1'],
+    ['2.1.1', 'Keyboard', 'A', '2.0'],
+    ['2.1.2', 'No Keyboard Trap', 'A', '2.0'],
+    ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0'],
+    ['2.1.4', 'Character Key Shortcuts', 'A', '2.1'],
+    ['2.2.1', 'Timing Adjustable', 'A', '2.0'],
+    ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0'],
+    ['2.2.3', 'No Timing', 'AAA', '2.0'],
+    ['2.2.4', 'Interruptions', 'AAA', '2.0'],
+    ['2.2.5', 'Re-authenticating', 'AAA', '2.0'],
+    ['2.2.6', 'Timeouts', 'AAA', '2.1'],
+    ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0'],
+    ['2.3.2', 'Three Flashes', 'AAA', '2.0'],
+    ['2.3.3', 'Animation from Interactions', 'AAA', '2.1'],
+    ['2.4.1', 'Bypass Blocks', 'A', '2.0'],
+    ['2.4.2', 'Page Titled', 'A', '2.0'],
+    ['2.4.3', 'Focus Order', 'A', '2.0'],
+    ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0'],
+    ['2.4.5', 'Multiple Ways', 'AA', '2.0'],
+    ['2.4.6', 'Headings and Labels', 'AA', '2.0'],
+    ['2.4.7', 'Focus Visible', 'AA', '2.0'],
+    ['2.4.8', 'Location', 'AAA', '2.0'],
+    ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0'],
+    ['2.4.10', 'Section Headings', 'AAA', '2.0'],
+    ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'],
+    ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+    ['2.4.13', 'Focus Appearance', 'AAA', '2.2'],
+    ['2.5.1', 'Pointer Gestures', 'A', '2.1'],
+    ['2.5.2', 'Pointer Cancellation', 'A', '2.1'],
+    ['2.5.3', 'Label in Name', 'A', '2.1'],
+    ['2.5.4', 'Motion Actuation', 'A', '2.1'],
+    ['2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1'],
+    ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'],
+    ['2.5.7', 'Dragging Movements', 'AA', '2.2'],
+    ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2'],
+    ['3.1.1', 'Language of Page', 'A', '2.0'],
+    ['3.1.2', 'Language of Parts', 'AA', '2.0'],
+    ['3.1.3', 'Unusual Words', 'AAA', '2.0'],
+    ['3.1.4', 'Abbreviations', 'AAA', '2.0'],
+    ['3.1.5', 'Reading Level', 'AAA', '2.0'],
+    ['3.1.6', 'Pronunciation', 'AAA', '2.0'],
+    ['3.2.1', 'On Focus', 'A', '2.0'],
+    ['3.2.2', 'On Input', 'A', '2.0'],
+    ['3.2.3', 'Consistent Navigation', 'AA', '2.0'],
+    ['3.2.4', 'Consistent Identification', 'AA', '2.0'],
+    ['3.2.5', 'Change on Request', 'AAA', '2.0'],
+    ['3.2.6', 'Consistent Help', 'A', '2.2'],
+    ['3.3.1', 'Error Identification', 'A', '2.0'],
+    ['3.3.2', 'Labels or Instructions', 'A', '2.0'],
+    ['3.3.3', 'Error Suggestion', 'AA', '2.0'],
+    ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+    ['3.3.5', 'Help', 'AAA', '2.0'],
+    ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0'],
+    ['3.3.7', 'Redundant Entry', 'A', '2.2'],
+    ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'],
+    ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+    ['4.1.1', 'Parsing', 'A', '2.0', '2.2'],
+    ['4.1.2', 'Name, Role, Value', 'A', '2.0'],
+    ['4.1.3', 'Status Messages', 'AA', '2.1']
+].reduce((criteria, [id, name, level, version, removed]) => {
+    criteria[id] = {id, name, level, version, ...(removed ? {removed} : {})};
+    return criteria;
+}, {});
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+const WCAG20_AA_TAGS = ['wcag2a', 'wcag2aa'];
+const WCAG21_AA_TAGS = [...WCAG20_AA_TAGS, 'wcag21a', 'wcag21aa'];
+const WCAG22_AA_TAGS = [...WCAG21_AA_TAGS, 'wcag22aa'];
+
+// The standards --standard accepts. tags select the axe-core rules, and version and level the WCAG
+// criteria in scope, which select the CSS checks. Section 508 and EN 301 549 incorporate WCAG 2.0 AA
+// and WCAG 2.1 AA, on top of the rules axe-core tags for them.
+const STANDARDS = {
+    wcag2a: {name: 'WCAG 2.0 Level A', tags: ['wcag2a'], version: '2.0', level: 'A'},
+    wcag2aa: {name: 'WCAG 2.0 Level AA', tags: WCAG20_AA_TAGS, version: '2.0', level: 'AA'},
+    wcag21aa: {name: 'WCAG 2.1 Level AA', tags: WCAG21_AA_TAGS, version: '2.1', level: 'AA'},
+    wcag22aa: {name: 'WCAG 2.2 Level AA', tags: WCAG22_AA_TAGS, version: '2.2', level: 'AA'},
+    // AAA contrast asks for 7:1 (1.4.6)
+    wcag2aaa: {name: 'WCAG 2.2 Level AAA', tags: [...WCAG22_AA_TAGS, 'wcag2aaa'], version: '2.2', level: 'AAA', minContrastRatio: 7},
+    section508: {name: 'Section 508', tags: [...WCAG20_AA_TAGS, 'section508'], version: '2.0', level: 'AA'},
+    en301549: {name: 'EN 301 549', tags: [...WCAG21_AA_TAGS, 'EN-301-549'], version: '2.1', level: 'AA'}
+};
+
+// Returns the standard with the given id, or null for none. Throws on unknown ids.
+function getStandard(id) {
+    if (!id) return null;
+    if (!Object.prototype.hasOwnProperty.call(STANDARDS, id)) {
+        throw new Error(`Unknown standard "${id}". Use one of: ${Object.keys(STANDARDS).join(', ')}.`);
+    }
+    return {id, ...STANDARDS[id]};
+}
+
+// Returns the axe-core tags to run: the standard's when one is set, the configured tags otherwise.
+function resolveTags(options, defaultTags) {
+    const standard = getStandard(options.standard);
+    return standard ? standard.tags : (options.tags || defaultTags);
+}
+
+// Reads the WCAG success criteria from axe-style tags ("wcag143" is 1.4.3) as [{id, name, level}],
+// in criterion order. Criteria missing from WCAG_CRITERIA keep their number with no name or level.
+function criteriaFromTags(tags = []) {
+    return tags
+        .map(tag => /^wcag(\d)(\d)(\d+)$/.exec(tag))
+        .filter(Boolean)
+        .map(([, principle, guideline, criterion]) => describeCriterion(`${principle}.${guideline}.${criterion}`))
+        .sort(compareCriteria);
+}
+
+// Returns {id, name, level} for a criterion number.
+function describeCriterion(id) {
+    const criterion = WCAG_CRITERIA[id];
+    return criterion ? {id, name: criterion.name, level: criterion.level} : {id, name: null, level: null};
+}
+
+// Checks whether a criterion belongs to a standard's WCAG version and level.
+function isCriterionInStandard(id, standard) {
+    const criterion = WCAG_CRITERIA[id];
+    if (!criterion) return false;
+    return criterion.version <= standard.version &&
+        !(criterion.removed && criterion.removed <= standard.version) &&
+        LEVELS.indexOf(criterion.level) <= LEVELS.indexOf(standard.level);
+}
+
+// Checks whether a CSS check, described by its tags, tests a criterion in the standard.
+function isCheckInStandard(tags, standard) {
+    return criteriaFromTags(tags).some(criterion => isCriterionInStandard(criterion.id, standard));
+}
+
+// Shows a criterion as "1.4.3 Contrast (Minimum) (AA)".
+function formatCriterion(criterion) {
+    return [criterion.id, criterion.name, criterion.level ? `(${criterion.level})` : ''].filter(Boolean).join(' ');
+}
+
+// Orders criteria by number ("1.4.3" before "1.4.11").
+function compareCriteria(a, b) {
+    const [x, y] = [a, b].map(criterion => (criterion.id || criterion).split('.').map(Number));
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+}
+
+module.exports = {
+    WCAG_CRITERIA,
+    STANDARDS,
+    getStandard,
+    resolveTags,
+    criteriaFromTags,
+    describeCriterion,
+    isCriterionInStandard,
+    isCheckInStandard,
+    formatCriterion,
+    compareCriteria
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stylesheet handling for HTML scans: loads local <link rel="stylesheet"> files (or the stylesheets
+// fetched with a crawled page) into the document before axe runs, and collects the CSS embedded
+// in <style> blocks and style attributes.
+
+// Marks inlined stylesheets with the file they came from.
+const SOURCE_ATTRIBUTE = 'data-axcel-source';
+
+// Properties whose rules can cause color related findings.
+const COLOR_PROPERTIES = ['color', 'background-color', 'background', 'background-image', 'opacity'];
+
+// Checks whether an href points to another host or uses a non-file scheme.
+function isRemoteHref(href) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+}
+
+// Resolves a stylesheet href against the HTML file. Root-relative hrefs resolve against the root directory.
+function resolveStylesheetPath(href, htmlPath, rootDir) {
+    const cleanHref = decodeURIComponent(href.split(/[?#]/)[0]);
+    if (cleanHref.startsWith('/')) {
+        return path.join(rootDir || path.dirname(htmlPath), cleanHref);
+    }
+    return path.join(path.dirname(htmlPath), cleanHref);
+}
+
+// Replaces every local <link rel="stylesheet"> with a <style> element holding the file's content,
+// so style-dependent axe rules see the real styles. Returns what was found, including missing files.
+function inlineLinkedStylesheets(document, htmlPath, options = {}) {
+    return replaceStylesheetLinks(document, href => {
+        if (isRemoteHref(href)) {
+            return {path: null, error: 'Remote stylesheets are not loaded'};
+        }
+
+        const stylesheetPath = resolveStylesheetPath(href, htmlPath, options.rootDir);
+        try {
+            return {path: stylesheetPath, content: fs.readFileSync(stylesheetPath, 'utf-8')};
+        } catch (error) {
+            return {path: stylesheetPath, error: `Cannot read ${stylesheetPath}`};
+        }
+    });
+}
+
+// Replaces the <link rel="stylesheet"> elements of a crawled page with the stylesheets fetched
+// along with it ([{href, url, css?, error?}]).
+function inlineFetchedStylesheets(document, fetched = []) {
+    const byHref = new Map(fetched.map(stylesheet => [stylesheet.href, stylesheet]));
+
+    return replaceStylesheetLinks(document, href => {
+        const stylesheet = byHref.get(href);
+        if (!stylesheet) return {path: null, error: 'Stylesheet was not fetched'};
+        if (stylesheet.error) return {path: stylesheet.url, error: stylesheet.error};
+        return {path: stylesheet.url, content: stylesheet.css};
+    });
+}
+
+// Replaces each stylesheet link with a <style> element, using load(href) to get {path, content} or {path, error}.
+function replaceStylesheetLinks(document, load) {
+    const stylesheets = [];
+    const links = document.querySelectorAll('link[rel~="stylesheet" i][href]');
+
+    for (const link of links) {
+        const href = link.getAttribute('href');
+        const {path: stylesheetPath, content, error} = load(href);
+        if (error) {
+            stylesheets.push({href, path: stylesheetPath, loaded: false, error});
+            continue;
+        }
+
+        const style = document.createElement('style');
+        style.textContent = content;
+        style.setAttribute(SOURCE_ATTRIBUTE, stylesheetPath);
+        if (link.hasAttribute('media')) {
+            style.setAttribute('media', link.getAttribute('media'));
+        }
+        // Replacing one element with another keeps the positions axe uses in its selectors
+        link.replaceWith(style);
+
+        stylesheets.push({href, path: stylesheetPath, loaded: true});
+    }
+
+    return stylesheets;
+}
+
+// Collects the CSS written inside the HTML file: every <style> block and every style attribute.
+// Each entry carries the line it starts on so findings can point back into the HTML file.
+function collectEmbeddedStyles(dom) {
+    const document = dom.window.document;
+    const embedded = [];
+
+    document.querySelectorAll(`style:not([${SOURCE_ATTRIBUTE}])`).forEach((style, index) => {
+        const location = dom.nodeLocation(style);
+        embedded.push({
+            origin: 'style-element',
+            label: `<style> block ${index + 1}`,
+            css: style.textContent,
+            // The CSS starts right after the opening tag
+            line: location && location.startTag ? location.startTag.endLine : null,
+            column: location && location.startTag ? location.startTag.endCol : null
+        });
+    });
+
+    document.querySelectorAll('[style]').forEach(element => {
+        const location = dom.nodeLocation(element);
+        const selector = describeElement(element);
+        embedded.push({
+            origin: 'style-attribute',
+            label: `style attribute of ${selector}`,
+            css: `${selector} { ${element.getAttribute('style')} }`,
+            line: location ? location.startLine : null,
+            // Findings point at the whole attribute
+            range: location && location.attrs && location.attrs.style ? {
+                line: location.attrs.style.startLine,
+                column: location.attrs.style.startCol,
+                endLine: location.attrs.style.endLine,
+                endColumn: location.attrs.style.endCol
+            } : null
+        });
+    });
+
+    return embedded;
+}
+
+// Builds a short selector for an element, such as "button#save.primary".
+function describeElement(element) {
+    let selector = element.tagName.toLowerCase();
+    if (element.id) {
+        selector += `#${element.id}`;
+    }
+    for (const className of element.classList) {
+        selector += `.${className}`;
+    }
+    return selector;
+}
+
+// Returns the stylesheet files whose rules set colors on the element.
+function findStylesheetsForElement(window, element) {
+    const sources = new Set();
+
+    const visitRules = (rules, source) => {
+        for (const rule of Array.from(rules || [])) {
+            if (rule.cssRules && !rule.selectorText) {
+                // Grouping rules such as @media
+                visitRules(rule.cssRules, source);
+                continue;
+            }
+            if (!rule.selectorText || !rule.style) continue;
+
+            let matches = false;
+            try {
+                matches = element.matches(rule.selectorText);
+            } catch (error) {
+                matches = false;
+            }
+            if (matches && COLOR_PROPERTIES.some(prop => rule.style.getPropertyValue(prop))) {
+                sources.add(source);
+            }
+        }
+    };
+
+    for (const sheet of Array.from(window.document.styleSheets)) {
+        const owner = sheet.ownerNode;
+        const source = owner && owner.getAttribute(SOURCE_ATTRIBUTE);
+        if (source) {
+            visitRules(sheet.cssRules, source);
+        }
+    }
+
+    return Array.from(sources);
+}
+
+module.exports = {
+    inlineLinkedStylesheets,
+    inlineFetchedStylesheets,
+    collectEmbeddedStyles,
+    findStylesheetsForElement
+};
@@ -1,29 +1,42 @@
-const fs = require('fs');
 const path = require('path');
-const {GoogleGenerativeAI} = require('@google/generative-ai');
+const {createProvider} = require('./providers');
+const {pickContrastFix} = require('./colors');
+const {getRuleFix} = require('./html-fixes');
 
-// Process an accessibility report and generate AI-driven suggestions for fixing issues
-async function processReport(report) {
+// Version of the prompt templates below. Bump it whenever a prompt changes so cached answers are not reused.
+const PROMPT_VERSION = 1;
+
+// Process an accessibility report and generate AI-driven suggestions for fixing issues.
+// AI options select the provider ({provider, model, baseUrl, apiKeyEnv}), Gemini by default.
+// An optional cache (see cache.js) reuses answers for issues that were already sent.
+async function processReport(report, aiOptions = {}, cache = null) {
     const suggestions = {};
 
-    // Check if API key is set
-    if (!process.env.GEMINI_API_KEY) {
-        console.warn("Warning: GEMINI_API_KEY environment variable not set. Defaulting to rule-based suggestions.");
+    let provider;
+    try {
+        provider = createProvider(aiOptions);
+    } catch (error) {
+        console.error(`Error: ${error.message} Defaulting to rule-based suggestions.`);
+        return generateRuleBasedSuggestions(report);
+    }
+
+    // Check if the provider has credentials
+    if (!provider) {
+        console.warn(`Warning: No API key set for the ${aiOptions.provider || 'gemini'} AI provider. Defaulting to rule-based suggestions.`);
         return generateRuleBasedSuggestions(report);
     }
 
     try {
-        // Initialize the Gemini API
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const model = genAI.getGenerativeModel({model: "gemini-1.5-flash"});
+        // HTML reports can also hold CSS issues found in <style> blocks and style attributes
+        const {htmlIssues, cssIssues} = splitIssues(report);
 
         // Process HTML issues
-        if (report.type === 'html' && Array.isArray(report.issues)) {
-            suggestions.html = await processHTMLIssues(report.issues, report.file, model);
+        if (htmlIssues.length > 0) {
+            suggestions.html = await processHTMLIssues(htmlIssues, report.file, provider, cache);
         }
         // Process CSS issues
-        else if (report.type === 'css' && Array.isArray(report.issues)) {
-            suggestions.css = await processCSSIssues(report.issues, report.file, model);
+        if (cssIssues.length > 0) {
+            suggestions.css = await processCSSIssues(cssIssues, report.file, provider, cache);
         }
 
         return suggestions;
@@ -33,9 +46,17 @@ async function processReport(report) {
     }
 }
 
-// Process HTML accessibility issues and generate suggestions using Gemini
-async function processHTMLIssues(issues, filePath, model) {
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
+// Splits the issues of a report into axe violations (with an id) and CSS issues (with a selector)
+function splitIssues(report) {
+    const issues = Array.isArray(report.issues) ? report.issues : [];
+    return {
+        htmlIssues: issues.filter(issue => issue.id),
+        cssIssues: issues.filter(issue => issue.selector)
+    };
+}
+
+// Process HTML accessibility issues and generate suggestions using the AI provider
+async function processHTMLIssues(issues, filePath, provider, cache = null) {
     const suggestions = [];
 
     for (const issue of issues) {
@@ -55,7 +76,7 @@ async function processHTMLIssues(issues, filePath, model) {
             };
         });
 
-        // Create prompt for Gemini
+        // Create prompt for the AI provider
         const prompt = `You are an accessibility expert helping to fix accessibility issues in HTML code.
 
 Issue details:
@@ -80,12 +101,9 @@ SUGGESTION: [Your suggestion text here]
 CODE: [Your code fix here]`;
 
         try {
-            // Generate content with Gemini
-            const result = await model.generateContent(prompt);
-            const response = result.response;
-            const text = response.text();
-
-            const {suggestion, codeFix} = parseGeminiResponse(text);
+            // Generate content with the AI provider
+            const snippet = nodeExamples.map(n => n.html).join('\n\n');
+            const {suggestion, codeFix} = await generateSuggestion(provider, cache, ruleId, snippet, prompt);
 
             suggestions.push({
                 ruleId,
@@ -99,13 +117,14 @@ CODE: [Your code fix here]`;
             console.error(`Error generating suggestion for rule ${ruleId}:`, error);
 
             // Fall back to rule-based suggestion
-            const {suggestion, codeFix} = getHTMLSuggestionByRule(ruleId, nodeExamples);
+            const {suggestion, codeFix, fixes} = getRuleFix(ruleId, issue.nodes);
             suggestions.push({
                 ruleId,
                 impact,
                 description,
                 suggestion,
                 codeFix,
+                fixes,
                 nodes: nodeExamples.map(n => n.html)
             });
         }
@@ -114,9 +133,8 @@ CODE: [Your code fix here]`;
     return suggestions;
 }
 
-//Process CSS accessibility issues and generate suggestions using Gemini
-async function processCSSIssues(issues, filePath, model) {
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
+//Process CSS accessibility issues and generate suggestions using the AI provider
+async function processCSSIssues(issues, filePath, provider, cache = null) {
     const suggestions = [];
 
     for (const issue of issues) {
@@ -136,7 +154,7 @@ async function processCSSIssues(issues, filePath, model) {
                     .join('\n')}\n}`;
             }
 
-            // Create prompt for Gemini
+            // Create prompt for the AI provider
             const prompt = `You are an accessibility expert helping to fix accessibility issues in CSS code.
 
 Issue details:
@@ -157,13 +175,8 @@ SUGGESTION: [Your suggestion text here]
 CODE: [Your code fix here]`;
 
             try {
-                // Generate content with Gemini
-                const result = await model.generateContent(prompt);
-                const response = result.response;
-                const text = response.text();
-
-                // Parse the response to extract suggestion and code fix
-                const {suggestion, codeFix} = parseGeminiResponse(text);
+                // Generate content with the AI provider and extract suggestion and code fix
+                const {suggestion, codeFix} = await generateSuggestion(provider, cache, type, problematicCode, prompt);
 
                 suggestions.push({
                     selector,
@@ -193,8 +206,18 @@ CODE: [Your code fix here]`;
     return suggestions;
 }
 
-// Parse the Gemini response to extract suggestion and code fix
-function parseGeminiResponse(response) {
+// Ask the AI provider for a suggestion, reusing a cached answer for the same provider, model,
+// prompt version, rule and offending snippet
+async function generateSuggestion(provider, cache, rule, snippet, prompt) {
+    const produce = async () => parseAIResponse(await provider.generate(prompt));
+    if (!cache) {
+        return produce();
+    }
+    return cache.getOrCreate([provider.name, provider.model, PROMPT_VERSION, rule, snippet], produce);
+}
+
+// Parse the AI response to extract suggestion and code fix
+function parseAIResponse(response) {
     let suggestion = '';
     let codeFix = '';
 
@@ -218,17 +241,19 @@ function parseGeminiResponse(response) {
 // Generate rule-based suggestions without using generative AI
 function generateRuleBasedSuggestions(report) {
     const suggestions = {};
+    const {htmlIssues, cssIssues} = splitIssues(report);
 
     // Process HTML issues
-    if (report.type === 'html' && Array.isArray(report.issues)) {
-        suggestions.html = report.issues.map(issue => {
+    if (htmlIssues.length > 0) {
+        suggestions.html = htmlIssues.map(issue => {
             const nodeExamples = issue.nodes?.slice(0, 2).map(node => ({
                 html: node.html,
                 target: node.target?.join(' ') || '',
                 failureSummary: node.failureSummary || ''
             })) || [];
 
-            const {suggestion, codeFix} = getHTMLSuggestionByRule(issue.id, nodeExamples);
+            // Rule-based fixes cover every affected element, not only the examples
+            const {suggestion, codeFix, fixes} = getRuleFix(issue.id, issue.nodes || []);
 
             return {
                 ruleId: issue.id,
@@ -236,14 +261,15 @@ function generateRuleBasedSuggestions(report) {
                 description: issue.description,
                 suggestion,
                 codeFix,
+                fixes,
                 nodes: nodeExamples.map(n => n.html)
             };
         });
     }
     // Process CSS issues
-    else if (report.type === 'css' && Array.isArray(report.issues)) {
+    if (cssIssues.length > 0) {
         suggestions.css = [];
-        for (const issue of report.issues) {
+        for (const issue of cssIssues) {
             const selector = issue.selector;
 
             for (const cssIssue of issue.issues) {
@@ -276,102 +302,97 @@ function generateRuleBasedSuggestions(report) {
     return suggestions;
 }
 
-// Get HTML suggestions based on axe-core rule ID
-
-function getHTMLSuggestionByRule(ruleId, nodes) {
-    const exampleHTML = nodes[0]?.html || '';
-
-    // Rule-based suggestions dictionary
-    const ruleSuggestions = {
-        'image-alt': {
-            suggestion: "Add an alt attribute to images to provide text alternatives for screen readers.",
-            codeFix: exampleHTML.replace(/<img([^>]*)>/g, '<img$1 alt="Descriptive text for this image">')
-        },
-        'button-name': {
-            suggestion: "Provide a name for all button elements through text content, aria-label, or aria-labelledby.",
-            codeFix: exampleHTML.replace(/<button([^>]*)><\/button>/g, '<button$1>Button Label</button>')
-                .replace(/<button([^>]*)>/g, (match, p1) => {
-                    return p1.includes('aria-label') ? match : `<button${p1} aria-label="Button action">`;
-                })
-        },
-        'color-contrast': {
-            suggestion: "Ensure sufficient contrast between foreground and background colors (at least 4.5:1 for normal text).",
-            codeFix: `<!-- Original: ${exampleHTML} -->\n<!-- Recommended: Increase the contrast ratio by using darker text or lighter background -->`
-        },
-        'label': {
-            suggestion: "Associate form elements with labels using the 'for' attribute or nesting within label elements.",
-            codeFix: exampleHTML.includes('for=') ?
-                exampleHTML :
-                exampleHTML.replace(/<input([^>]*)>/g, '<label>Label Text: <input$1></label>')
-        },
-        'link-name': {
-            suggestion: "Provide accessible names for all links through text content, aria-label, or aria-labelledby.",
-            codeFix: exampleHTML.replace(/<a([^>]*)><\/a>/g, '<a$1>Link Text</a>')
-                .replace(/<a([^>]*)>/g, (match, p1) => {
-                    return p1.includes('aria-label') ? match : `<a${p1} aria-label="Link destination">`;
-                })
-        },
-        'heading-order': {
-            suggestion: "Ensure heading levels are properly nested (h1, then h2, etc.) without skipping levels.",
-            codeFix: `<!-- Original: ${exampleHTML} -->\n<!-- Review the document outline and adjust heading levels to be sequential -->`
-        },
-        'landmark': {
-            suggestion: "Use ARIA landmark roles or HTML5 semantic elements to mark important regions of the page.",
-            codeFix: exampleHTML.replace(/<div([^>]*)>/g, '<div$1 role="region" aria-label="Content section">')
-                .replace(/<div([^>]*)>/g, '<section$1>')
-        },
-        'aria-roles': {
-            suggestion: "Ensure all ARIA roles are used according to specifications and are appropriate for the element.",
-            codeFix: `<!-- Original: ${exampleHTML} -->\n<!-- Review ARIA roles and ensure they match the element's purpose and semantics -->`
-        },
-        'document-title': {
-            suggestion: "Provide a descriptive page title using the <title> element in the document head.",
-            codeFix: `<head>\n  <title>Descriptive Page Title</title>\n  <!-- other head elements -->\n</head>`
-        },
-        'html-lang': {
-            suggestion: "Specify the language of the document using the lang attribute on the html element.",
-            codeFix: exampleHTML.replace(/<html([^>]*)>/g, '<html$1 lang="en">')
-        },
-        'region': {
-            suggestion: "Wrap page content in landmark regions using semantic HTML5 elements (header, nav, main, footer) or ARIA landmark roles.",
-            codeFix: `<!-- Original: ${exampleHTML} -->\n<!-- Recommended: Wrap content in semantic landmarks -->\n<main>\n  ${exampleHTML}\n</main>`
+// Lists every recommended color by threshold as a CSS comment.
+function formatContrastAlternatives(recommendations) {
+    const describe = option => `${option.change}: ${option.value || option.color}${option.name ? ` (${option.name})` : ''} gives ${option.ratio}:1`;
+    const lines = [];
+    for (const [label, options] of [['', recommendations.options], ['Palette: ', recommendations.palette || []]]) {
+        for (const threshold of [...new Set(options.map(option => option.threshold))]) {
+            const level = options.find(option => option.threshold === threshold).level;
+            lines.push(`   ${label}${level} (${threshold}:1): ${options.filter(option => option.threshold === threshold).map(describe).join(', or ')}`);
         }
-    };
-
-    // Default suggestion if rule not found
-    const defaultSuggestion = {
-        suggestion: `Fix accessibility issues related to "${ruleId}" by following WCAG guidelines.`,
-        codeFix: `<!-- Original: ${exampleHTML} -->\n<!-- Review and implement fixes according to accessibility guidelines -->`
-    };
-
-    return ruleSuggestions[ruleId] || defaultSuggestion;
+    }
+    return `/* Compliant alternatives, changing one color and keeping the other:\n${lines.join('\n')}\n*/`;
 }
 
 // Get CSS suggestions based on issue type
 function getCSSSuggestionByType(type, selector, cssIssue, problematicCode) {
     if (type === 'ColorContrast') {
-        let colorVal = '#000000'; // Default black text
-        let bgVal = '#ffffff';    // Default white background
-
-        // Extract existing values if possible
-        if (cssIssue.declarations) {
-            if (cssIssue.declarations.color) {
-                colorVal = '#000000'; // Suggest black for better contrast
-            }
-            if (cssIssue.declarations['background-color']) {
-                bgVal = '#ffffff'; // Suggest white for better contrast
-            }
+        const recommendations = cssIssue.recommendations;
+        const fix = recommendations && pickContrastFix(recommendations);
+        if (!fix) {
+            return {
+                suggestion: "Increase the contrast ratio between text and background to at least 4.5:1 for normal text.",
+                codeFix: `/* Original: */\n${problematicCode}\n\n/* Fixed version: */\n${selector} {\n  color: #000000; /* Darker text for better contrast */\n  background-color: #ffffff; /* Lighter background for better contrast */\n}`
+            };
         }
 
+        const target = fix.change === 'color' ? 'text color' : 'background color';
+        const name = fix.name ? ` (${fix.name})` : '';
         return {
-            suggestion: "Increase the contrast ratio between text and background to at least 4.5:1 for normal text.",
-            codeFix: `/* Original: */\n${problematicCode}\n\n/* Fixed version: */\n${selector} {\n  color: ${colorVal}; /* Darker text for better contrast */\n  background-color: ${bgVal}; /* Lighter background for better contrast */\n}`
+            suggestion: `Change the ${target} to ${fix.color}${name}, the closest color with a contrast ratio of at least ${recommendations.required}:1 (${fix.ratio}:1).`,
+            codeFix: `/* Original: */\n${problematicCode}\n\n${formatContrastAlternatives(recommendations)}\n\n/* Fixed version: */\n${selector} {\n  ${fix.change}: ${fix.value || fix.color}; /* ${fix.ratio}:1${name} */\n}`
         };
     } else if (type === 'FocusStyle') {
         return {
             suggestion: "Instead of removing the outline completely, provide an alternative focus indicator for keyboard users.",
             codeFix: `/* Original: */\n${problematicCode}\n\n/* Fixed version: */\n${selector} {\n  outline: none; /* Removing default outline is fine if you provide an alternative */\n  box-shadow: 0 0 0 2px #4a90e2; /* Add visible focus indicator */\n  /* You can also use border or other visual indicators */\n}`
         };
+    } else if (type === 'FocusVisible') {
+        const focusVisible = selector.replace(/:focus(?![\w-])/g, ':focus-visible');
+        return {
+            suggestion: "Keep a focus indicator for keyboard users by adding a :focus-visible rule, or limit the :focus rule to :focus:not(:focus-visible).",
+            codeFix: `/* Original: */\n${problematicCode}\n\n/* Add: */\n${focusVisible} {\n  outline: 2px solid #4a90e2;\n  outline-offset: 2px;\n}`
+        };
+    } else if (type === 'ReducedMotion') {
+        return {
+            suggestion: "Turn off or shorten the animation for users who ask for reduced motion.",
+            codeFix: `/* Original: */\n${problematicCode}\n\n/* Add: */\n@media (prefers-reduced-motion: reduce) {\n  ${selector} {\n    animation: none;\n    transition: none;\n  }\n}`
+        };
+    } else if (type === 'FixedFontSize' || type === 'FixedLineHeight') {
+        const declaration = cssIssue.declaration || '';
+        const [prop] = declaration.split(':');
+        const value = declaration.slice(prop.length + 1).replace(/\s*!important$/, '').trim();
+        const fixedValue = type === 'FixedFontSize' ?
+            value.replace(/((?:\d*\.)?\d+)px/, (match, size) => `${parseFloat((size / 16).toFixed(4))}rem`) :
+            (prop.trim() === 'font' ? value.replace(/\/\s*(?:\d*\.)?\d+px/, '/1.5') : '1.5');
+        return {
+            suggestion: type === 'FixedFontSize' ?
+                "Use rem or em for font sizes so text follows the user's preferred size." :
+                "Use a unitless line-height so it grows with the text.",
+            codeFix: `/* Original: */\n${problematicCode}\n\n/* Fixed version: */\n${selector} {\n  ${prop.trim()}: ${fixedValue};\n}`
+        };
+    } else if (type === 'ImportantTextSpacing') {
+        return {
+            suggestion: "Remove !important from letter-spacing and word-spacing so users can adjust text spacing with their own styles.",
+            codeFix: `/* Original: */\n${problematicCode}\n\n/* Remove the !important flag from the declaration */`
+        };
+    } else if (type === 'InteractiveHidden') {
+        return {
+            suggestion: "Use the disabled attribute (or aria-disabled with a script guard) for inactive controls, and remove hidden controls from the page or the tab order.",
+            codeFix: `/* Original: */\n${problematicCode}\n\n/* Disable the control in the markup instead: */\n<button disabled>...</button>`
+        };
+    } else if (type === 'ColorVision') {
+        const kind = cssIssue.pair ? cssIssue.pair.kind : 'state';
+        if (kind === 'link') {
+            return {
+                suggestion: "Underline links in text so they do not depend on color to stand out from the surrounding text.",
+                codeFix: `/* Original: */\n${problematicCode}\n\n/* Fixed version: */\n${selector} {\n  text-decoration: underline;\n}`
+            };
+        }
+        return {
+            suggestion: kind === 'state' ?
+                "Do not show states by color alone: add an icon or a text prefix such as \"Error:\", or make the colors differ clearly in lightness." :
+                "Make the text and background differ in lightness, not only in hue, so they stay apart with color vision deficiencies.",
+            codeFix: kind === 'state' ?
+                `/* Original: */\n${problematicCode}\n\n<!-- Name the state in the markup as well: -->\n<p class="error"><strong>Error:</strong> ...</p>` :
+                `/* Original: */\n${problematicCode}\n\n/* Change the lightness of the text or the background until they have a contrast of at least 4.5:1 */`
+        };
+    } else if (type === 'ContentText') {
+        return {
+            suggestion: "Move meaningful text from CSS content into the HTML so it is announced, translated and selectable.",
+            codeFix: `/* Original: */\n${problematicCode}\n\n<!-- Put the text in the markup instead: -->\n<span>...</span>`
+        };
     }
 
     // Default suggestion
@@ -382,5 +403,9 @@ function getCSSSuggestionByType(type, selector, cssIssue, problematicCode) {
 }
 
 module.exports = {
-    processReport
+    processReport,
+    processHTMLIssues,
+    processCSSIssues,
+    parseAIResponse,
+    generateRuleBasedSuggestions
 };
\ No newline at end of file
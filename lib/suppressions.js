@@ -0,0 +1,180 @@
+// Inline suppression comments for known false positives and accepted exceptions.
+// A directive names the axe rules or CSS checks it disables (all of them when none are named)
+// and must give a reason after "--":
+//
+//   <!-- axcel-disable-next-line image-alt -- Decorative, described by the caption -->
+//   <!-- axcel-disable region -- Legacy layout, tracked in #42 --> ... <!-- axcel-enable -->
+//   /* axcel-disable-next-line FocusStyle -- Focus ring drawn with box-shadow */
+//
+// Directives are read from HTML comments, CSS block comments, SCSS/Less line comments and
+// Handlebars comments, so CSS inside a <style> block can be suppressed with a CSS comment.
+
+// Comment openers and the text that closes each of them.
+const COMMENT_CLOSERS = {
+    '<!--': '-->',
+    '/*': '*/',
+    '//': '\n',
+    '{{!--': '--}}',
+    '{{!': '}}'
+};
+
+const DIRECTIVE_PATTERN = /(<!--|\/\*|\/\/|\{\{!--|\{\{!)\s*axcel-(disable-next-line|disable|enable)(?![\w-])(.*?)(?=-->|\*\/|--\}\}|\}\}|$)/gm;
+
+// Finds every directive in a file: [{kind, rules, reason, line, endLine}].
+// endLine is the line the comment closes on, which the "next line" is counted from.
+function parseDirectives(content) {
+    const directives = [];
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle; else high = middle - 1;
+        }
+        return low + 1;
+    };
+
+    for (const match of content.matchAll(DIRECTIVE_PATTERN)) {
+        const [text, opener, kind, body] = match;
+        const closeAt = content.indexOf(COMMENT_CLOSERS[opener], match.index + text.length);
+
+        // The reason follows a "--" that stands on its own
+        const separator = body.search(/(?:^|\s)--(?:\s|$)/);
+        const rulesText = separator === -1 ? body : body.slice(0, separator);
+        const reason = separator === -1 ? '' : body.slice(separator).replace(/^\s*--/, '').trim();
+
+        directives.push({
+            kind,
+            rules: rulesText.split(/[\s,]+/).filter(Boolean),
+            reason,
+            line: lineAt(match.index),
+            endLine: lineAt(closeAt === -1 ? match.index + text.length : closeAt)
+        });
+    }
+
+    return directives;
+}
+
+// Turns directives into the line ranges they suppress. Directives without a reason, and
+// axcel-enable comments with nothing to enable, are returned as invalid and suppress nothing.
+function buildSuppressions(directives) {
+    const ranges = [];
+    const invalid = [];
+    let open = [];
+
+    for (const directive of directives) {
+        const {kind, rules, reason, line, endLine} = directive;
+
+        if (kind === 'enable') {
+            const closing = open.filter(range => rules.length === 0 || range.rules.some(rule => rules.includes(rule)));
+            if (closing.length === 0) {
+                invalid.push({line, message: `axcel-enable${rules.length ? ` ${rules.join(', ')}` : ''} has no matching axcel-disable.`});
+            }
+            closing.forEach(range => range.to = line);
+            open = open.filter(range => !closing.includes(range));
+            continue;
+        }
+
+        if (!reason) {
+            invalid.push({line, message: `axcel-${kind} needs a reason after "--", e.g. <!-- axcel-${kind} ${rules.join(', ') || 'image-alt'} -- why this is acceptable -->.`});
+            continue;
+        }
+
+        const range = kind === 'disable-next-line' ?
+            {kind, rules, reason, line, from: endLine + 1, to: endLine + 1, used: false} :
+            {kind, rules, reason, line, from: line, to: Infinity, used: false};
+        ranges.push(range);
+        if (kind === 'disable') open.push(range);
+    }
+
+    return {ranges, invalid};
+}
+
+// Moves the findings covered by suppression comments out of report.issues and into report.suppressed.
+// Each suppressed element or CSS issue records the reason and line of its directive. Directives that
+// suppressed nothing are listed in report.unusedSuppressions and broken ones in report.invalidSuppressions.
+// Reports for files without directives are returned unchanged.
+function applySuppressions(report, content) {
+    const {ranges, invalid} = buildSuppressions(parseDirectives(content));
+    if (ranges.length === 0 && invalid.length === 0) return report;
+
+    // Finds the directive that covers a rule on any of the given lines
+    const findRange = (rule, lines) => {
+        const range = ranges.find(candidate =>
+            (candidate.rules.length === 0 || candidate.rules.includes(rule)) &&
+            lines.some(line => line >= candidate.from && line <= candidate.to));
+        if (!range) return null;
+        range.used = true;
+        return {reason: range.reason, line: range.line};
+    };
+
+    const issues = [];
+    const suppressed = [];
+    for (const issue of report.issues || []) {
+        if (issue.id) {
+            const kept = [];
+            const hidden = [];
+            for (const node of issue.nodes || []) {
+                const suppression = node.line ? findRange(issue.id, [node.line]) : null;
+                if (suppression) hidden.push({...node, suppression}); else kept.push(node);
+            }
+            if (kept.length > 0) issues.push(hidden.length > 0 ? {...issue, nodes: kept} : issue);
+            if (hidden.length > 0) suppressed.push({...issue, nodes: hidden});
+        } else if (issue.selector) {
+            const kept = [];
+            const hidden = [];
+            for (const cssIssue of issue.issues || []) {
+                const lines = [issue.line, cssIssue.line].filter(Boolean);
+                const suppression = findRange(cssIssue.type, lines);
+                if (suppression) hidden.push({...cssIssue, suppression}); else kept.push(cssIssue);
+            }
+            if (kept.length > 0) issues.push(hidden.length > 0 ? {...issue, issues: kept} : issue);
+            if (hidden.length > 0) suppressed.push({...issue, issues: hidden});
+        } else {
+            issues.push(issue);
+        }
+    }
+
+    const unused = ranges
+        .filter(range => !range.used)
+        .map(({kind, rules, reason, line}) => ({kind, rules, reason, line}));
+
+    return {
+        ...report,
+        issues,
+        suppressed,
+        unusedSuppressions: unused,
+        ...(invalid.length > 0 ? {invalidSuppressions: invalid} : {})
+    };
+}
+
+// Lists the suppressed findings of a report, one entry per element or CSS issue:
+// [{rule, target, line, column, reason, directiveLine}].
+function listSuppressed(suppressed = []) {
+    const entries = [];
+    for (const issue of suppressed) {
+        if (issue.id) {
+            for (const node of issue.nodes || []) {
+                const target = Array.isArray(node.target) ? node.target.join(' ') : String(node.target || '');
+                entries.push({rule: issue.id, target, line: node.line, column: node.column, reason: node.suppression.reason, directiveLine: node.suppression.line});
+            }
+        } else if (issue.selector) {
+            for (const cssIssue of issue.issues || []) {
+                const location = cssIssue.line ? cssIssue : issue;
+                entries.push({rule: cssIssue.type, target: issue.selector, line: location.line, column: location.column, reason: cssIssue.suppression.reason, directiveLine: cssIssue.suppression.line});
+            }
+        }
+    }
+    return entries;
+}
+
+module.exports = {
+    parseDirectives,
+    buildSuppressions,
+    applySuppressions,
+    listSuppressed
+};
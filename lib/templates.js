@@ -0,0 +1,503 @@
+const path = require('path');
+const babelParser = require('@babel/parser');
+
+// Extracts the static markup of component templates so the HTML checks can run on it.
+// Every template becomes one or more fragments of plain HTML, padded with blank lines so the
+// lines JSDOM reports are the lines of the component file. Expressions are replaced with their
+// source text, since their runtime values are unknown.
+
+// Template syntaxes by file extension.
+const TEMPLATE_SYNTAXES = {
+    '.jsx': 'jsx',
+    '.tsx': 'tsx',
+    '.vue': 'vue',
+    '.svelte': 'svelte',
+    '.hbs': 'handlebars',
+    '.handlebars': 'handlebars'
+};
+
+// axe rules about a whole page, which do not apply to a component on its own.
+const PAGE_LEVEL_RULES = [
+    'bypass',
+    'document-title',
+    'html-has-lang',
+    'html-lang-valid',
+    'landmark-one-main',
+    'meta-viewport',
+    'page-has-heading-one',
+    'region'
+];
+
+// Elements without content, which templates may write self-closing.
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// JSX attribute names that differ from their HTML names.
+const JSX_ATTRIBUTES = {
+    className: 'class',
+    htmlFor: 'for'
+};
+
+// JSX attributes that only matter to the framework, or whose value is not a string.
+const JSX_IGNORED_ATTRIBUTES = ['key', 'ref', 'style', 'dangerouslySetInnerHTML', 'children'];
+
+// Checks whether a file is a component template that can be scanned.
+function isTemplate(filePath) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATE_SYNTAXES, path.extname(filePath).toLowerCase());
+}
+
+// Returns the template syntax of a file ("jsx", "tsx", "vue", "svelte" or "handlebars").
+function templateSyntax(filePath) {
+    return TEMPLATE_SYNTAXES[path.extname(filePath).toLowerCase()] || null;
+}
+
+// Extracts the markup fragments and style blocks of a component file.
+// Returns {fragments: [{html, line, column}], styles: [{css, lang, label, line, column}]}.
+function extractTemplate(content, filePath) {
+    const syntax = templateSyntax(filePath);
+    if (syntax === 'jsx' || syntax === 'tsx') {
+        return {fragments: extractJSX(content, syntax), styles: []};
+    }
+    if (syntax === 'vue') {
+        return extractVue(content);
+    }
+    if (syntax === 'svelte') {
+        return extractSvelte(content);
+    }
+    if (syntax === 'handlebars') {
+        return {fragments: [{html: convertMarkup(content, syntax), line: 1, column: 1}], styles: []};
+    }
+    throw new Error(`Unsupported template type "${path.extname(filePath)}"`);
+}
+
+// Returns the line number of a position in the content.
+function lineAt(content, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (content[i] === '\n') line++;
+    }
+    return line;
+}
+
+// Returns as many line breaks as the text contains, to keep later lines in place.
+function lineBreaks(text) {
+    return '\n'.repeat((text.match(/\n/g) || []).length);
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Collapses an expression's source text to a single line placeholder.
+function placeholder(source) {
+    return source.replace(/\s+/g, ' ').trim();
+}
+
+// Maps a component tag to an HTML tag. Components such as <Button> or <Nav.Link> become custom
+// elements (<x-button>, <x-nav-link>), so the parser does not mistake them for native elements.
+function htmlTagName(name) {
+    if (!/^[A-Z]/.test(name) && !name.includes('.')) return name;
+    return `x-${name.replace(/\./g, '-').replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+}
+
+// Creates a writer that pads the output with line breaks so text lands on its source line.
+function createLineWriter() {
+    let html = '';
+    let line = 1;
+    return {
+        moveTo(target) {
+            if (target > line) {
+                html += '\n'.repeat(target - line);
+                line = target;
+            }
+        },
+        write(text) {
+            html += text;
+            line += (text.match(/\n/g) || []).length;
+        },
+        get html() {
+            return html;
+        }
+    };
+}
+
+// Parses a JSX or TSX module and returns one fragment per outermost JSX element.
+function extractJSX(content, syntax) {
+    const ast = babelParser.parse(content, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        plugins: syntax === 'tsx' ? ['jsx', 'typescript'] : ['jsx']
+    });
+
+    return findJSXRoots(ast.program).map(root => {
+        const writer = createLineWriter();
+        renderJSX(root, content, writer);
+        return {html: writer.html, line: root.loc.start.line, column: root.loc.start.column + 1};
+    });
+}
+
+// Finds the outermost JSX elements and fragments below a node.
+function findJSXRoots(node, roots = []) {
+    if (!node || typeof node.type !== 'string') return roots;
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+        roots.push(node);
+        return roots;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') continue;
+        if (Array.isArray(value)) {
+            value.forEach(child => findJSXRoots(child, roots));
+        } else if (value && typeof value === 'object') {
+            findJSXRoots(value, roots);
+        }
+    }
+    return roots;
+}
+
+// Returns the source name of a JSX element name, such as "div", "Nav.Link" or "svg:use".
+function jsxName(name) {
+    if (name.type === 'JSXIdentifier') return name.name;
+    if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+    return `${jsxName(name.object)}.${name.property.name}`;
+}
+
+// Writes a JSX element, fragment or child as HTML.
+function renderJSX(node, content, writer) {
+    writer.moveTo(node.loc.start.line);
+
+    if (node.type === 'JSXText') {
+        writer.write(node.extra ? node.extra.raw : node.value);
+    } else if (node.type === 'JSXExpressionContainer') {
+        renderJSXExpression(node.expression, content, writer);
+    } else if (node.type === 'JSXFragment') {
+        node.children.forEach(child => renderJSX(child, content, writer));
+    } else if (node.type === 'JSXElement') {
+        const name = jsxName(node.openingElement.name);
+        const tag = htmlTagName(name);
+
+        writer.write(`<${tag}`);
+        for (const attribute of node.openingElement.attributes) {
+            if (attribute.type !== 'JSXAttribute') continue;
+            writer.moveTo(attribute.loc.start.line);
+            writer.write(renderJSXAttribute(attribute, content));
+        }
+
+        if (node.openingElement.selfClosing) {
+            writer.write(VOID_ELEMENTS.includes(tag) ? '>' : `></${tag}>`);
+            return;
+        }
+        writer.write('>');
+
+        node.children.forEach(child => renderJSX(child, content, writer));
+
+        writer.moveTo(node.closingElement.loc.start.line);
+        writer.write(`</${tag}>`);
+    }
+}
+
+// Writes an expression child. JSX inside the expression (conditionals, map callbacks) is kept,
+// anything else becomes the expression's source text.
+function renderJSXExpression(expression, content, writer) {
+    if (expression.type === 'JSXEmptyExpression') return;
+
+    const roots = findJSXRoots(expression);
+    if (roots.length > 0) {
+        roots.forEach(root => renderJSX(root, content, writer));
+    } else if (expression.type === 'StringLiteral') {
+        writer.write(escapeText(expression.value));
+    } else {
+        writer.write(escapeText(placeholder(content.slice(expression.start, expression.end))));
+    }
+}
+
+// Returns a JSX attribute as an HTML attribute, or an empty string for framework-only attributes.
+function renderJSXAttribute(attribute, content) {
+    const sourceName = attribute.name.type === 'JSXNamespacedName' ?
+        `${attribute.name.namespace.name}:${attribute.name.name.name}` :
+        attribute.name.name;
+    if (JSX_IGNORED_ATTRIBUTES.includes(sourceName)) return '';
+
+    const name = JSX_ATTRIBUTES[sourceName] || sourceName;
+    const value = attribute.value;
+    if (!value) return ` ${name}`;
+    if (value.type === 'StringLiteral') return ` ${name}="${escapeAttribute(value.value)}"`;
+
+    const expression = value.type === 'JSXExpressionContainer' ? value.expression : value;
+    if (expression.type === 'JSXEmptyExpression') return '';
+    if (expression.type === 'BooleanLiteral') return expression.value ? ` ${name}` : '';
+    if (expression.type === 'StringLiteral') return ` ${name}="${escapeAttribute(expression.value)}"`;
+    if (expression.type === 'TemplateLiteral' && expression.expressions.length === 0) {
+        return ` ${name}="${escapeAttribute(expression.quasis[0].value.cooked)}"`;
+    }
+    return ` ${name}="${escapeAttribute(placeholder(content.slice(expression.start, expression.end)))}"`;
+}
+
+// Finds the top-level blocks of a single-file component, such as <template>, <script> and <style>.
+function findBlocks(content, names) {
+    const blocks = [];
+    const pattern = new RegExp(`<(${names.join('|')})(\\s[^>]*)?>`, 'gi');
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        const name = match[1].toLowerCase();
+        const contentStart = match.index + match[0].length;
+        const contentEnd = findClosingTag(content, name, contentStart);
+        if (contentEnd === -1) break;
+
+        const lang = /\slang\s*=\s*["']?([\w-]+)/i.exec(match[2] || '');
+        blocks.push({
+            name,
+            lang: lang ? lang[1].toLowerCase() : null,
+            start: match.index,
+            end: content.indexOf('>', contentEnd) + 1,
+            content: content.slice(contentStart, contentEnd),
+            line: lineAt(content, contentStart),
+            column: contentStart - content.lastIndexOf('\n', contentStart - 1)
+        });
+        pattern.lastIndex = content.indexOf('>', contentEnd) + 1;
+    }
+
+    return blocks;
+}
+
+// Returns the position of the closing tag that matches an opened block, counting nested blocks of the same name.
+function findClosingTag(content, name, from) {
+    const pattern = new RegExp(`<(/?)${name}(?:\\s[^>]*)?(/?)>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        if (match[1]) {
+            depth--;
+            if (depth === 0) return match.index;
+        } else if (!match[2]) {
+            depth++;
+        }
+    }
+    return -1;
+}
+
+// Returns the style blocks of a component as CSS check inputs.
+function styleEntries(blocks) {
+    return blocks
+        .filter(block => block.name === 'style')
+        .map((block, index) => ({
+            css: block.content,
+            lang: block.lang || 'css',
+            label: `<style> block ${index + 1}`,
+            line: block.line,
+            column: block.column
+        }));
+}
+
+// Extracts the <template> block and <style> blocks of a Vue single-file component.
+function extractVue(content) {
+    const blocks = findBlocks(content, ['template', 'script', 'style']);
+    const template = blocks.find(block => block.name === 'template' && (!block.lang || block.lang === 'html'));
+
+    const fragments = template ?
+        [{html: '\n'.repeat(template.line - 1) + convertMarkup(template.content, 'vue'), line: template.line, column: template.column}] :
+        [];
+    return {fragments, styles: styleEntries(blocks)};
+}
+
+// Extracts the markup of a Svelte component, which is everything outside its <script> and <style> blocks.
+function extractSvelte(content) {
+    const blocks = findBlocks(content, ['script', 'style']);
+
+    let markup = '';
+    let position = 0;
+    for (const block of blocks) {
+        markup += content.slice(position, block.start) + lineBreaks(content.slice(block.start, block.end));
+        position = block.end;
+    }
+    markup += content.slice(position);
+
+    return {fragments: [{html: convertMarkup(markup, 'svelte'), line: 1, column: 1}], styles: styleEntries(blocks)};
+}
+
+// Reads a template expression starting at a position: {{ ... }} in Vue and Handlebars, { ... } in Svelte.
+// Returns {source, end, block} or null. Block expressions are control flow such as {#if} or {{/each}}.
+function readExpression(markup, index, syntax) {
+    if (syntax === 'svelte') {
+        if (markup[index] !== '{') return null;
+        const end = findClosingBrace(markup, index);
+        const source = markup.slice(index + 1, end - 1);
+        return {source, end, block: /^\s*[#:/@]/.test(source)};
+    }
+
+    if (!markup.startsWith('{{', index)) return null;
+    if (syntax === 'handlebars' && markup.startsWith('{{!--', index)) {
+        const close = markup.indexOf('--}}', index);
+        const end = close === -1 ? markup.length : close + 4;
+        return {source: markup.slice(index, end), end, block: true};
+    }
+
+    const triple = syntax === 'handlebars' && markup.startsWith('{{{', index);
+    const closing = triple ? '}}}' : '}}';
+    const close = markup.indexOf(closing, index + closing.length);
+    const end = close === -1 ? markup.length : close + closing.length;
+    const source = markup.slice(index + closing.length, end - closing.length);
+    return {
+        source: source.replace(/^~|~$/g, ''),
+        end,
+        block: syntax === 'handlebars' && /^~?\s*(?:[#/^!>]|else\b)/.test(source)
+    };
+}
+
+// Returns the position after the brace that closes the one at the index, skipping JavaScript strings.
+function findClosingBrace(markup, index) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = index; i < markup.length; i++) {
+        const char = markup[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'' || char === '`') {
+            quote = char;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return markup.length;
+}
+
+// Converts Vue, Svelte or Handlebars markup to plain HTML with the same line breaks.
+// Expressions become their source text, control flow blocks are dropped, Vue bindings
+// (:alt, v-bind:alt) become plain attributes, and self-closing components get closing tags.
+function convertMarkup(markup, syntax) {
+    let html = '';
+    let index = 0;
+
+    while (index < markup.length) {
+        if (markup.startsWith('<!--', index)) {
+            const close = markup.indexOf('-->', index);
+            const end = close === -1 ? markup.length : close + 3;
+            html += markup.slice(index, end);
+            index = end;
+            continue;
+        }
+
+        const expression = readExpression(markup, index, syntax);
+        if (expression) {
+            html += (expression.block ? '' : escapeText(placeholder(expression.source))) + lineBreaks(expression.source);
+            index = expression.end;
+            continue;
+        }
+
+        if (markup[index] === '<' && /[A-Za-z/]/.test(markup[index + 1] || '')) {
+            const tag = convertTag(markup, index, syntax);
+            html += tag.html;
+            index = tag.end;
+
+            // Script and style content is copied as it is, braces included
+            if (!tag.closing && !tag.selfClosing && (tag.name === 'script' || tag.name === 'style')) {
+                const close = markup.toLowerCase().indexOf(`</${tag.name}`, index);
+                const end = close === -1 ? markup.length : close;
+                html += markup.slice(index, end);
+                index = end;
+            }
+            continue;
+        }
+
+        html += markup[index++];
+    }
+
+    return html;
+}
+
+// Converts one start or end tag, with its attributes, starting at the index.
+function convertTag(markup, start, syntax) {
+    let index = start + 1;
+    const closing = markup[index] === '/';
+    if (closing) index++;
+
+    const nameMatch = /^[\w.:-]+/.exec(markup.slice(index));
+    const sourceName = nameMatch ? nameMatch[0] : '';
+    const name = htmlTagName(sourceName);
+    index += sourceName.length;
+
+    let html = `<${closing ? '/' : ''}${name}`;
+    let quote = null;
+
+    while (index < markup.length) {
+        const char = markup[index];
+
+        if (quote) {
+            const expression = readExpression(markup, index, syntax);
+            if (expression) {
+                html += (expression.block ? '' : escapeAttribute(placeholder(expression.source))) + lineBreaks(expression.source);
+                index = expression.end;
+                continue;
+            }
+            if (char === quote) quote = null;
+            html += char;
+            index++;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+            html += char;
+            index++;
+            continue;
+        }
+
+        const expression = readExpression(markup, index, syntax);
+        if (expression) {
+            const source = placeholder(expression.source);
+            if (!expression.block && /=\s*$/.test(html)) {
+                html += `"${escapeAttribute(source)}"`;
+            } else if (!expression.block && syntax === 'svelte' && /^[A-Za-z_$][\w$]*$/.test(source)) {
+                // Svelte shorthand: {alt} is alt={alt}
+                html += `${source}="${escapeAttribute(source)}"`;
+            }
+            html += lineBreaks(expression.source);
+            index = expression.end;
+            continue;
+        }
+
+        if (syntax === 'vue' && /\s/.test(char)) {
+            const binding = /^\s+(?:v-bind)?:(?=[\w-])/.exec(markup.slice(index, index + 64));
+            if (binding) {
+                html += binding[0].replace(/(?:v-bind)?:$/, '');
+                index += binding[0].length;
+                continue;
+            }
+        }
+
+        if (char === '>') {
+            // Vue renders <template v-if>, <template v-for> and slots without a wrapper element
+            if (syntax === 'vue' && name.toLowerCase() === 'template') {
+                return {html: lineBreaks(html), end: index + 1, name: 'template', closing, selfClosing: false};
+            }
+            return {html: `${html}>`, end: index + 1, name: name.toLowerCase(), closing, selfClosing: false};
+        }
+        if (char === '/' && markup[index + 1] === '>') {
+            const tagName = name.toLowerCase();
+            html += VOID_ELEMENTS.includes(tagName) ? '>' : `></${name}>`;
+            return {html, end: index + 2, name: tagName, closing, selfClosing: true};
+        }
+
+        html += char;
+        index++;
+    }
+
+    return {html, end: index, name: name.toLowerCase(), closing, selfClosing: false};
+}
+
+module.exports = {
+    PAGE_LEVEL_RULES,
+    isTemplate,
+    templateSyntax,
+    extractTemplate
+};
@@ -0,0 +1,194 @@
+// Formats the series built by history.buildSeries as a terminal table, CSV or a self-contained
+// HTML page with a line chart. The table and the chart show the `top` keys of the series and
+// count the rest as "other"; CSV always has every key.
+
+const DEFAULT_TOP = 8;
+
+// Line colors and dash patterns of the chart. Every line has its own pattern as well as its own
+// color, so the lines can be told apart without color vision.
+const LINE_STYLES = [
+    {color: '#0550ae', dash: ''},
+    {color: '#a40e26', dash: '8 4'},
+    {color: '#1a7f37', dash: '2 4'},
+    {color: '#8250df', dash: '12 4 2 4'},
+    {color: '#953800', dash: '4 4'},
+    {color: '#1b7c83', dash: '12 6'},
+    {color: '#bf3989', dash: '2 2'},
+    {color: '#4d2d00', dash: '6 2 2 2'},
+    {color: '#57606a', dash: '1 6'}
+];
+
+// Formats the series as a plain-text table with one row per run.
+function formatTrendTable(series, {top = DEFAULT_TOP} = {}) {
+    const {keys, values} = limitKeys(series, top);
+    const headers = ['Run', 'Date', 'Commit', 'Total', 'Fixed', 'Regressed', ...keys];
+    const rows = series.rows.map((row, index) => [
+        String(row.run.id),
+        formatDate(row.run.timestamp),
+        row.run.commit ? row.run.commit.slice(0, 7) : '-',
+        String(row.total),
+        row.fixed === null ? '-' : String(row.fixed),
+        row.regressed === null ? '-' : String(row.regressed),
+        ...values[index].map(String)
+    ]);
+
+    const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+    // Text columns are left aligned, counts right aligned
+    const formatRow = cells => cells
+        .map((cell, column) => column < 3 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        `Issues by ${series.dimension}`,
+        formatRow(headers),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(formatRow)
+    ].join('\n');
+}
+
+// Formats the series as CSV with one row per run and one column per key.
+function formatTrendCSV(series) {
+    const headers = ['run', 'timestamp', 'commit', 'branch', 'target', 'total', 'fixed', 'regressed', ...series.keys];
+    const rows = series.rows.map(row => [
+        row.run.id,
+        row.run.timestamp,
+        row.run.commit || '',
+        row.run.branch || '',
+        row.run.target || '',
+        row.total,
+        row.fixed === null ? '' : row.fixed,
+        row.regressed === null ? '' : row.regressed,
+        ...series.keys.map(key => row.counts.get(key) || 0)
+    ]);
+    return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Formats the series as an HTML page with an SVG line chart of the totals and each key, followed by
+// the same numbers as a table.
+function formatTrendHTML(series, {top = DEFAULT_TOP} = {}) {
+    const {keys, values} = limitKeys(series, top);
+    const lines = [
+        {label: 'Total', points: series.rows.map(row => row.total)},
+        ...keys.map((key, index) => ({label: key, points: values.map(row => row[index])}))
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Accessibility Trend</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 0 auto; padding: 0 1.25rem; max-width: 75rem; line-height: 1.5; color: #1f2328; background: #ffffff; }
+figure { margin: 0 0 2rem; }
+svg { max-width: 100%; height: auto; }
+.legend { display: flex; flex-wrap: wrap; gap: 0.5rem 1.5rem; list-style: none; padding: 0; }
+.legend svg { vertical-align: middle; margin-right: 0.4rem; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+caption { font-weight: bold; text-align: left; padding-bottom: 0.25rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.25rem 0.6rem; text-align: right; }
+th[scope="col"] { text-align: left; }
+</style>
+</head>
+<body>
+<header>
+<h1>Accessibility Trend</h1>
+<p>${series.rows.length} run(s) by ${escapeHTML(series.dimension)}${series.rows.length > 0 ? `, from ${escapeHTML(formatDate(series.rows[0].run.timestamp))} to ${escapeHTML(formatDate(series.rows[series.rows.length - 1].run.timestamp))}` : ''}.</p>
+</header>
+<main>
+<figure>
+${renderChart(series.rows, lines)}
+<figcaption>
+<ul class="legend">
+${lines.map((line, index) => `<li>${renderSwatch(index)}${escapeHTML(line.label)}</li>`).join('\n')}
+</ul>
+</figcaption>
+</figure>
+<table>
+<caption>Issues by ${escapeHTML(series.dimension)} per run</caption>
+<thead><tr>${['Run', 'Date', 'Commit', 'Total', 'Fixed', 'Regressed', ...keys].map(header => `<th scope="col">${escapeHTML(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${series.rows.map((row, index) => `<tr><th scope="row">${row.run.id}</th><td>${escapeHTML(formatDate(row.run.timestamp))}</td><td>${escapeHTML(row.run.commit ? row.run.commit.slice(0, 7) : '-')}</td><td>${row.total}</td><td>${row.fixed === null ? '-' : row.fixed}</td><td>${row.regressed === null ? '-' : row.regressed}</td>${values[index].map(value => `<td>${value}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</main>
+</body>
+</html>
+`;
+}
+
+// Draws the lines on a chart with a run axis and an issue count axis.
+function renderChart(rows, lines) {
+    const width = 800;
+    const height = 360;
+    const margin = {top: 20, right: 20, bottom: 40, left: 50};
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const maximum = Math.max(1, ...lines.flatMap(line => line.points));
+    const x = index => margin.left + (rows.length > 1 ? index * plotWidth / (rows.length - 1) : plotWidth / 2);
+    const y = value => margin.top + plotHeight - value * plotHeight / maximum;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(step => Math.round(maximum * step)).filter((tick, index, all) => all.indexOf(tick) === index);
+    // Label at most about ten runs on the axis
+    const labelEvery = Math.max(1, Math.ceil(rows.length / 10));
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Line chart of issue counts per run. The table below has the same numbers.">
+<g stroke="#d0d7de">
+${ticks.map(tick => `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick)}" y2="${y(tick)}"/>`).join('\n')}
+</g>
+<g font-size="12" fill="#1f2328">
+${ticks.map(tick => `<text x="${margin.left - 8}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`).join('\n')}
+${rows.map((row, index) => index % labelEvery === 0 || index === rows.length - 1 ?
+        `<text x="${x(index)}" y="${height - margin.bottom + 18}" text-anchor="middle">${row.run.id}</text>` : '').join('\n')}
+<text x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle">Run</text>
+</g>
+${lines.map((line, index) => {
+        const style = LINE_STYLES[index % LINE_STYLES.length];
+        const points = line.points.map((value, pointIndex) => `${x(pointIndex)},${y(value)}`).join(' ');
+        return `<polyline fill="none" stroke="${style.color}" stroke-width="${index === 0 ? 3 : 2}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''} points="${points}"><title>${escapeHTML(line.label)}</title></polyline>`;
+    }).join('\n')}
+</svg>`;
+}
+
+function renderSwatch(index) {
+    const style = LINE_STYLES[index % LINE_STYLES.length];
+    return `<svg width="40" height="10" aria-hidden="true"><line x1="0" x2="40" y1="5" y2="5" stroke="${style.color}" stroke-width="${index === 0 ? 3 : 2}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}/></svg>`;
+}
+
+// Keeps the first `top` keys and adds up the rest as "other". Returns the keys and each run's values.
+function limitKeys(series, top) {
+    const shown = series.keys.slice(0, top);
+    const hidden = series.keys.slice(top);
+    const keys = hidden.length > 0 ? [...shown, 'other'] : shown;
+    const values = series.rows.map(row => {
+        const counts = shown.map(key => row.counts.get(key) || 0);
+        if (hidden.length > 0) counts.push(hidden.reduce((total, key) => total + (row.counts.get(key) || 0), 0));
+        return counts;
+    });
+    return {keys, values};
+}
+
+// Shows a timestamp as "2024-05-01 14:30" in UTC.
+function formatDate(timestamp) {
+    return String(timestamp).replace('T', ' ').slice(0, 16);
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    DEFAULT_TOP,
+    formatTrendTable,
+    formatTrendCSV,
+    formatTrendHTML
+};
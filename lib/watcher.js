@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const baseline = require('./baseline');
+
+// Watch mode support: watches a directory for saved files, works out which files need a new scan
+// and compares the findings of two runs. Editors usually write a file in several steps, so
+// change events are collected until the directory has been quiet for the debounce delay.
+
+const DEFAULT_DEBOUNCE = 300;
+
+// Watches a directory and calls onChange(files) with every changed file accepted by filter(filePath)
+// once events stop arriving for `debounce` milliseconds. Paths are joined to dir as given, like the
+// paths of a directory scan. Returns a function that stops watching.
+function watchDirectory(dir, {debounce = DEFAULT_DEBOUNCE, filter = () => true, onChange}) {
+    const pending = new Set();
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        const files = [...pending].sort();
+        pending.clear();
+        onChange(files);
+    };
+
+    const watcher = fs.watch(dir, {recursive: true}, (eventType, fileName) => {
+        if (!fileName) return;
+        const filePath = path.join(dir, fileName.toString());
+        if (!filter(filePath)) return;
+
+        pending.add(filePath);
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounce);
+    });
+
+    return () => {
+        clearTimeout(timer);
+        watcher.close();
+    };
+}
+
+// Works out what a set of changed files means for the current results (a Map of file to {file, report}).
+// Changed files that still exist are rescanned, along with the HTML pages that link a changed
+// stylesheet. Files that no longer exist are removed.
+function findAffectedFiles(changed, results) {
+    const rescan = new Set();
+    const removed = new Set();
+    const changedPaths = new Set(changed.map(file => path.resolve(file)));
+
+    for (const file of changed) {
+        if (fs.existsSync(file)) {
+            rescan.add(file);
+        } else if (results.has(file)) {
+            removed.add(file);
+        }
+    }
+
+    for (const [file, result] of results) {
+        if (removed.has(file)) continue;
+        const linked = (result.report.stylesheets || []).filter(stylesheet => stylesheet.path);
+        if (linked.some(stylesheet => changedPaths.has(path.resolve(stylesheet.path)))) {
+            rescan.add(file);
+        }
+    }
+
+    return {rescan: [...rescan].sort(), removed: [...removed].sort()};
+}
+
+// Compares the findings of two runs. Findings are matched by their baseline fingerprint
+// (file, rule and target), so an issue that only moved within its file is not reported.
+function diffFindings(previous, current) {
+    const {newIssues, fixedIssues} = baseline.compareWithBaseline(current, {issues: previous});
+    return {added: newIssues, resolved: fixedIssues};
+}
+
+module.exports = {
+    DEFAULT_DEBOUNCE,
+    watchDirectory,
+    findAffectedFiles,
+    diffFindings
+};
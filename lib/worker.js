@@ -0,0 +1,13 @@
+const {parentPort} = require('worker_threads');
+const scanner = require('./scanner');
+
+// Worker thread entry point. Scans one file per message and posts the report back.
+
+parentPort.on('message', async ({id, filePath, options}) => {
+    try {
+        const report = await scanner.scan(filePath, options);
+        parentPort.postMessage({id, report});
+    } catch (error) {
+        parentPort.postMessage({id, error: error.message});
+    }
+});